@@ -1,23 +1,133 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { saveAs } from "file-saver";
 import { readFileAsText } from "./eval.js";
 import { detectFileType, extractTextFromFile, isImageFile } from "./file-processor.js";
 import { maskDocx, maskDoc, maskPdf } from "./text-masker.js";
 import { maskImage, maskScannedPdf } from "./image-masker.js";
+import { maskMixedPdf } from "./pdf-mixed.js";
+import { detectPII } from "./pii-detector.js";
+import { DEFAULT_LISTS_CONFIG, GERMAN_WORDS_EXAMPLE_CONFIG, parseListsConfig, applyAllowDenyLists } from "./pii-lists.js";
+import { MASK_POLICIES, DEFAULT_POLICY_MAP, createMasker } from "./mask-policy.js";
+import { createPseudonymSession } from "./pseudonymizer.js";
+import { createDateShiftSession } from "./date-transform.js";
+import { anchorDetections, isAnchored } from "./detection-anchors.js";
+import { DEFAULT_TYPE_PRIORITY, mergeDetections, describeSources } from "./detection-merge.js";
+import { SCORE_BUCKETS, summarizeDetections, filterDetections, describeFilters } from "./detection-filter.js";
+import { formatIssue } from "./detection-schema.js";
+import { importDetectionsFile, parseTypeMap } from "./detection-adapters.js";
+import { createVault, encryptVault, decryptVault } from "./vault.js";
+import { unmaskDocx, unmaskText } from "./unmask.js";
+
+// Types offered in the policy editor; any other type follows "default"
+const POLICY_TYPES = ["default", "NAME", "EMAIL", "PHONE", "ADDRESS", "IBAN", "CREDIT_CARD", "DATE", "DATE_OF_BIRTH", "AGE", "NATIONAL_ID"];
 
 export default function App() {
   const [originalFile, setOriginalFile] = useState(null);
-  const [jsonFile, setJsonFile] = useState(null);
+  const [jsonFiles, setJsonFiles] = useState([]);
+  const [mergeStrategy, setMergeStrategy] = useState("longest");
+  const [typePriorityText, setTypePriorityText] = useState(DEFAULT_TYPE_PRIORITY.join(", "));
+  const [detectionSource, setDetectionSource] = useState("both");
+  const [listsConfig, setListsConfig] = useState(JSON.stringify(DEFAULT_LISTS_CONFIG, null, 2));
+  const [typeMap, setTypeMap] = useState("{}");
+  const [policyMap, setPolicyMap] = useState(DEFAULT_POLICY_MAP);
+  const [hashSalt, setHashSalt] = useState("");
+  // Kept across runs so a batch of documents shares the same fakes
+  const pseudonymsRef = useRef(createPseudonymSession());
+  // Day offsets per subject, kept across runs so all documents of a subject shift alike
+  const dateShiftsRef = useRef(createDateShiftSession());
+  const [dateSubject, setDateSubject] = useState("");
+  const [dateOrder, setDateOrder] = useState("dmy");
+  const [saveVault, setSaveVault] = useState(false);
+  const [vaultPassphrase, setVaultPassphrase] = useState("");
+  const [unmaskFile, setUnmaskFile] = useState(null);
+  const [vaultFile, setVaultFile] = useState(null);
+  const [allowUnlocated, setAllowUnlocated] = useState(false);
+  const [allowInvalidJson, setAllowInvalidJson] = useState(false);
+  // Per type: { exclude, minScore }; the summary is filled by "Review detections"
+  const [typeFilters, setTypeFilters] = useState({});
+  const [detectionSummary, setDetectionSummary] = useState([]);
+  const [metadataMode, setMetadataMode] = useState("blank");
+  const [revisionsMode, setRevisionsMode] = useState("mask");
+  const [annotationsMode, setAnnotationsMode] = useState("mask");
+  const [removeAttachments, setRemoveAttachments] = useState(true);
+  const [formMode, setFormMode] = useState("mask");
+  const [flattenForm, setFlattenForm] = useState(false);
   const [busy, setBusy] = useState(false);
   const [log, setLog] = useState("");
 
   const logLine = (m) => setLog((s) => (s ? s + "\n" : "") + m);
 
+  // Extract the text and collect JSON and built-in detections (before filters and lists)
+  const readDetections = async () => {
+    // Extract text and determine masking approach
+    logLine("Extracting text from file…");
+    const { text, fileType: detectedType, isScanned, pageStarts, pages = [] } = await extractTextFromFile(originalFile);
+    logLine(`Extracted text length: ${text.length}`);
+    logLine(`Is scanned document: ${isScanned}`);
+    const scannedPages = pages.filter((p) => p.kind === "scanned").map((p) => p.page);
+    if (scannedPages.length > 0 && !isScanned) {
+      logLine(`Mixed PDF: ${pages.length - scannedPages.length} text page(s), scanned page(s) ${scannedPages.join(", ")}`);
+    }
+
+    // Read detection files; each is validated and attributed on its own
+    const lists = [];
+    for (const jsonFile of detectionSource !== "builtin" ? jsonFiles : []) {
+      logLine(`Reading detections from ${jsonFile.name}…`);
+      const jsonText = await readFileAsText(jsonFile);
+      const validation = importDetectionsFile(jsonText, { text, typeMap: parseTypeMap(typeMap) });
+      logLine(`Detections file format: ${validation.format}`);
+      validation.errors.forEach((issue) => logLine(`❌ ${jsonFile.name}: ${formatIssue(issue)}`));
+      validation.warnings.forEach((issue) => logLine(`⚠️ ${jsonFile.name}: ${formatIssue(issue)}`));
+      if (!validation.valid || validation.detections.length === 0) {
+        const problem = validation.valid
+          ? `${jsonFile.name} contains no detections`
+          : `${jsonFile.name} is invalid (${validation.errors.length} error(s))`;
+        if (!allowInvalidJson) {
+          throw new Error(`${problem}. Masking blocked — fix the file or tick "Mask with an invalid or empty detections file" to override.`);
+        }
+        logLine(`⚠️ ${problem}; masking anyway with ${validation.detections.length} valid detection(s).`);
+      }
+      // start/end, page and bbox are kept so the maskers can mask exactly that occurrence/region
+      const anchored = anchorDetections(validation.detections, text, { pageStarts: isScanned ? null : pageStarts });
+      anchored.warnings.forEach((w) => logLine(`⚠️ ${jsonFile.name}: ${w}`));
+      const fileDetections = anchored.detections.map((det) => ({
+        ...det,
+        sources: [det.source && det.source !== jsonFile.name ? `${jsonFile.name} (${det.source})` : jsonFile.name],
+      }));
+      logLine(`${jsonFile.name}: ${fileDetections.length} detections (${fileDetections.filter(isAnchored).length} anchored by offset or region)`);
+      lists.push({ source: jsonFile.name, detections: fileDetections });
+    }
+
+    // Built-in rule-based detection on the extracted text
+    if (detectionSource !== "json") {
+      const builtinDetections = detectPII(text);
+      logLine(`Built-in detections: ${builtinDetections.length}`);
+      if (!text.trim()) logLine("⚠️ No extracted text (image or scanned PDF): built-in detection found nothing, use a JSON file.");
+      lists.push({ source: "built-in", detections: builtinDetections });
+    }
+
+    // Duplicates become one detection, nested spans are resolved by the merge strategy
+    const typePriority = typePriorityText.split(",").map((t) => t.trim()).filter(Boolean);
+    const merged = mergeDetections(lists, { text, strategy: mergeStrategy, typePriority });
+    if (lists.length > 1) {
+      logLine(`Merged ${lists.length} sources (${mergeStrategy}): ${merged.duplicates} duplicate(s) combined, ${merged.conflicts.length} conflict(s) resolved, ${merged.overlaps.length} partial overlap(s) kept`);
+      merged.conflicts.forEach(({ kept, dropped, reason }) =>
+        logLine(`  ${dropped.type} "${dropped.value}" [${describeSources(dropped)}] → ${kept.type} "${kept.value}" [${describeSources(kept)}]: ${reason}`)
+      );
+    }
+
+    return { text, isScanned, pageStarts, pages, detections: merged.detections };
+  };
+
   const onGenerate = async () => {
-    if (!originalFile || !jsonFile) {
+    if (!originalFile || (detectionSource === "json" && jsonFiles.length === 0)) {
       alert("Please upload an original file (DOC/DOCX/PDF/Image) and a JSON file with PII detections.");
       return;
     }
+    if (saveVault && !vaultPassphrase) {
+      alert("Please enter a passphrase for the re-identification vault.");
+      return;
+    }
     setBusy(true);
     setLog("");
 
@@ -33,49 +143,147 @@ export default function App() {
       const fileType = detectFileType(originalFile);
       logLine(`File type detected: ${fileType.type}`);
 
-      // Read JSON detections
-      logLine("Reading JSON detections…");
-      const jsonText = await readFileAsText(jsonFile);
-      const parsed = JSON.parse(jsonText);
-      const detections = Array.isArray(parsed?.pii)
-        ? parsed.pii.map((x) => ({ type: x.type, value: String(x.value ?? "") }))
-        : [];
+      const { text, isScanned, pageStarts, pages, detections: candidates } = await readDetections();
+
+      // Per-type confidence thresholds and exclusions
+      const { kept, dropped } = filterDetections(candidates, typeFilters);
+      logLine(`Detection filters: ${describeFilters(typeFilters)}`);
+      if (dropped.length > 0) logLine(`Filtered out ${dropped.length} detection(s)`);
+      dropped.forEach(({ detection, reason }) => console.log(`Filtered (${reason}) ${detection.type}`));
+
+      // Allow/deny lists apply to every file type
+      const lists = parseListsConfig(listsConfig);
+      const { detections, suppressed, added } = applyAllowDenyLists(
+        kept,
+        lists,
+        text
+      );
+      suppressed.forEach(({ detection, entry }) =>
+        logLine(`Allowlist (${entry.match}: ${entry.value}) suppressed ${detection.type}: ${detection.value}`)
+      );
+      added.forEach(({ detection, entry }) =>
+        logLine(`Denylist (${entry.match}: ${entry.value}) added ${detection.type}: ${detection.value}`)
+      );
       logLine(`Found ${detections.length} PII detections`);
 
-      // Extract text and determine masking approach
-      logLine("Extracting text from file…");
-      const { text, fileType: detectedType, isScanned } = await extractTextFromFile(originalFile);
-      logLine(`Extracted text length: ${text.length}`);
-      logLine(`Is scanned document: ${isScanned}`);
+      const subject = dateSubject.trim() || originalFile.name;
+      const mask = await createMasker(policyMap, detections, {
+        salt: hashSalt,
+        pseudonyms: pseudonymsRef.current,
+        dateShiftDays: dateShiftsRef.current.offsetFor(subject),
+        dateOrder,
+      });
+      logLine(`Masking policies: ${Object.entries(policyMap).map(([type, policy]) => `${type}=${policy}`).join(", ")}`);
+
+      const pdfSanitizeOptions = {
+        mask,
+        metadata: metadataMode,
+        annotations: annotationsMode,
+        attachments: removeAttachments ? "remove" : "keep",
+        form: formMode,
+        flattenForm,
+      };
+      const logSanitized = (sanitized) => {
+        logLine(`PDF document objects (properties ${metadataMode}, annotations ${annotationsMode}, form ${formMode}${flattenForm ? ", flattened" : ""}): ${sanitized.length} change(s)`);
+        sanitized.forEach(({ object, field, action }) => logLine(`  ${action}: ${field} (${object})`));
+      };
+      const logOccurrences = (occurrences) => {
+        const pageCount = new Set(occurrences.map((o) => o.page)).size;
+        logLine(`PDF text layer: ${occurrences.reduce((n, o) => n + o.masked, 0)} occurrence(s) masked on ${pageCount} page(s)`);
+        occurrences
+          .filter((o) => o.masked < o.expected)
+          .forEach(({ page, type, value, expected, masked }) =>
+            logLine(`⚠️ Page ${page}: ${type} "${value}" occurs ${expected}× in the extracted text, ${masked} masked`)
+          );
+      };
+      // Unmasked PII blocks the download unless explicitly allowed
+      const checkUnlocated = (report) => {
+        report.unlocated.forEach(({ detection, image, reason }) =>
+          logLine(`⚠️ Not masked (${reason}): ${image ? `embedded image ${image}` : `${detection.type}: ${detection.value}`}`)
+        );
+        if (report.ocrError || report.pageErrors?.length > 0 || report.unlocated.length > 0) {
+          if (!allowUnlocated) {
+            throw new Error("Some PII could not be located, so the output would still show it. Download blocked — tick \"Allow download with unlocated PII\" to override.");
+          }
+          logLine("⚠️ Downloading anyway: unlocated PII explicitly allowed.");
+        }
+      };
 
       // Generate masked file based on file type
       let maskedBlob;
+      let vault = null;
       const originalArrayBuffer = await originalFile.arrayBuffer();
 
-      if (isScanned || isImageFile(originalFile)) {
+      // Born-digital pages keep text masking, scanned pages of the same PDF get image masking
+      const isMixedPdf = fileType.type === 'pdf' && !isScanned && pages.some((p) => p.kind === "scanned");
+
+      if (isScanned || isImageFile(originalFile) || isMixedPdf) {
         // Use image masking (black rectangles)
-        logLine("Applying image masking (black rectangles)…");
-        if (fileType.type === 'pdf') {
-          maskedBlob = await maskScannedPdf(originalArrayBuffer, detections);
+        logLine(isMixedPdf ? "Applying text masking to text pages and image masking to scanned pages…" : "Applying image masking (black rectangles)…");
+        let result;
+        if (isMixedPdf) {
+          result = await maskMixedPdf(originalArrayBuffer, detections, { text, pageStarts, pages }, pdfSanitizeOptions);
+        } else if (fileType.type === 'pdf') {
+          result = await maskScannedPdf(originalArrayBuffer, detections, pdfSanitizeOptions);
         } else {
-          maskedBlob = await maskImage(originalFile, detections);
+          result = await maskImage(originalFile, detections);
         }
+        const { blob, report } = result;
+        maskedBlob = blob;
+        if (report.sanitized) logSanitized(report.sanitized);
+        if (report.occurrences) logOccurrences(report.occurrences);
+
+        logLine(`Located ${report.located.length} PII boxes, ${report.unlocated.length} detections not located`);
+        if (report.ocrError) logLine(`⚠️ OCR failed: ${report.ocrError}`);
+        report.pageErrors.forEach(({ page, error }) => logLine(`⚠️ Page ${page} could not be masked and is unchanged: ${error}`));
+        checkUnlocated(report);
       } else {
         // Use text masking (replace with 'x' characters)
         logLine("Applying text masking (replace with 'x' characters)…");
         switch (fileType.type) {
-          case 'docx':
-            maskedBlob = await maskDocx(originalArrayBuffer, detections);
+          case 'docx': {
+            vault = saveVault ? createVault(originalFile.name) : null;
+            const { blob, report } = await maskDocx(originalArrayBuffer, detections, {
+              metadata: metadataMode,
+              revisions: revisionsMode,
+              mask,
+              vault,
+            });
+            maskedBlob = blob;
+            const { deletions, insertions, moves, hiddenRuns, fieldInstructions } = report.hiddenContent;
+            logLine(
+              `Hidden content (${revisionsMode === 'accept' ? 'accepted/stripped' : 'masked'}): ` +
+              `${deletions} deletions, ${insertions} insertions, ${moves} moves, ${hiddenRuns} hidden runs, ${fieldInstructions} field codes`
+            );
+            logLine(`Image alt texts masked: ${report.altText}`);
+            report.images.forEach(({ path, status, boxes, detail }) =>
+              logLine(`${status === 'failed' || status === 'unlocated' ? '⚠️ ' : ''}Embedded image ${path}: ${status}${boxes ? ` (${boxes} boxes)` : ''}${detail ? ` — ${detail}` : ''}`)
+            );
+            logLine(`Document properties (${metadataMode}): ${report.metadata.length} field(s) changed`);
+            report.metadata.forEach(({ part, field, action }) => logLine(`  ${action}: ${field} (${part})`));
+            checkUnlocated(report);
             break;
+          }
           case 'doc':
-            maskedBlob = await maskDoc(originalArrayBuffer, detections);
+            maskedBlob = await maskDoc(originalArrayBuffer, detections, { mask });
             break;
-          case 'pdf':
-            maskedBlob = await maskPdf(originalArrayBuffer, detections, text, 'rectangle'); // Use 'rectangle' or 'text' for masking method
+          case 'pdf': {
+            const { blob, report } = await maskPdf(originalArrayBuffer, detections, text, 'redact', { ...pdfSanitizeOptions, pageStarts }); // 'redact', 'rectangle' or 'text'
+            maskedBlob = blob;
+            logOccurrences(report.occurrences);
+            logSanitized(report.sanitized);
+            checkUnlocated(report);
             break;
+          }
           default:
             throw new Error(`Unsupported file type for text masking: ${fileType.type}`);
         }
+        if (Object.values(policyMap).includes("pseudonym")) {
+          logLine(`Pseudonym session: ${pseudonymsRef.current.mapping.size} value(s) mapped so far`);
+        }
+        if (Object.values(policyMap).includes("date-shift")) {
+          logLine(`Dates shifted with the offset of subject "${subject}"`);
+        }
       }
 
       // Generate output filename
@@ -95,6 +303,13 @@ export default function App() {
       logLine("Downloading masked file…");
       saveAs(maskedBlob, outputFileName);
 
+      if (vault) {
+        saveAs(await encryptVault(vault, vaultPassphrase), `${nameWithoutExt}_MASKED.vault.json`);
+        logLine(`🔐 Re-identification vault downloaded (${vault.entries.length} replacements)`);
+      } else if (saveVault) {
+        logLine("⚠️ Re-identification vaults are only written for DOCX files");
+      }
+
       logLine("✅ Done — masked file downloaded.");
     } catch (e) {
       console.error(e);
@@ -106,12 +321,70 @@ export default function App() {
     }
   };
 
+  const onReviewDetections = async () => {
+    if (!originalFile || (detectionSource === "json" && jsonFiles.length === 0)) {
+      alert("Please upload an original file (DOC/DOCX/PDF/Image) and a JSON file with PII detections.");
+      return;
+    }
+    setBusy(true);
+    setLog("");
+    try {
+      const { detections } = await readDetections();
+      const summary = summarizeDetections(detections);
+      setDetectionSummary(summary);
+      logLine(`Found ${detections.length} detections of ${summary.length} type(s); choose thresholds below and generate.`);
+    } catch (e) {
+      console.error(e);
+      logLine("❌ " + (e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setTypeFilter = (type, change) =>
+    setTypeFilters((filters) => ({ ...filters, [type]: { ...filters[type], ...change } }));
+
+  const onUnmask = async () => {
+    if (!unmaskFile || !vaultFile || !vaultPassphrase) {
+      alert("Please select the masked file (DOCX or text), the vault file and enter its passphrase.");
+      return;
+    }
+    setBusy(true);
+    setLog("");
+    try {
+      logLine("Decrypting vault…");
+      const vault = await decryptVault(await readFileAsText(vaultFile), vaultPassphrase);
+      logLine(`Vault for ${vault.document}: ${vault.entries.length} replacements`);
+
+      const nameWithoutExt = unmaskFile.name.replace(/\.[^/.]+$/, "").replace(/_MASKED$/, "");
+      let result;
+      if (unmaskFile.name.toLowerCase().endsWith(".docx")) {
+        result = await unmaskDocx(await unmaskFile.arrayBuffer(), vault);
+        saveAs(result.blob, `${nameWithoutExt}_UNMASKED.docx`);
+      } else {
+        result = unmaskText(await readFileAsText(unmaskFile), vault);
+        saveAs(new Blob([result.text], { type: "text/plain;charset=utf-8" }), `${nameWithoutExt}_UNMASKED.txt`);
+      }
+      logLine(`Restored ${result.report.restored} value(s)`);
+      result.report.skipped.forEach(({ part, replacement, reason }) =>
+        logLine(`⚠️ Not restored (${reason}): ${replacement}${part ? ` in ${part}` : ""}`)
+      );
+      logLine("✅ Done — unmasked file downloaded.");
+    } catch (e) {
+      console.error(e);
+      logLine("❌ " + (e?.message || e));
+      alert("Failed: " + (e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
   return (
     <div style={{ minHeight: "100vh", background: "#f7fafc", padding: 24 }}>
       <div style={{ maxWidth: 900, margin: "0 auto", background: "#fff", borderRadius: 16, boxShadow: "0 6px 20px rgba(0,0,0,0.06)", padding: 24 }}>
         <h1 style={{ fontSize: 22, marginBottom: 6 }}>PII Masking Tool</h1>
         <p style={{ fontSize: 14, color: "#718096", marginBottom: 20 }}>
-          Upload a document (DOC/DOCX/PDF) or image, and a JSON file with PII detections to create a masked version.
+          Upload a document (DOC/DOCX/PDF) or image, and optionally a JSON file with PII detections, to create a masked version.
         </p>
         <div style={{ display: "grid", gap: 12 }}>
           <div>
@@ -128,12 +401,246 @@ export default function App() {
             )}
           </div>
 
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            PII detection:
+            <select value={detectionSource} onChange={(e) => setDetectionSource(e.target.value)}>
+              <option value="both">Built-in + JSON file (if uploaded)</option>
+              <option value="builtin">Built-in only</option>
+              <option value="json">JSON file only</option>
+            </select>
+          </label>
+
           <div>
-            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>PII Detections JSON</div>
-            <input type="file" accept=".json" onChange={(e) => setJsonFile(e.target.files?.[0] || null)} />
-            {jsonFile && <div style={{ fontSize: 12, color: "#718096", marginTop: 4 }}>Selected: {jsonFile.name}</div>}
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>PII detection files (one or more)</div>
+            <input type="file" accept=".json,.csv" multiple onChange={(e) => setJsonFiles([...(e.target.files || [])])} />
+            {jsonFiles.length > 0 && (
+              <div style={{ fontSize: 12, color: "#718096", marginTop: 4 }}>Selected: {jsonFiles.map((f) => f.name).join(", ")}</div>
+            )}
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginTop: 6, fontSize: 12 }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                Overlapping detections:
+                <select value={mergeStrategy} onChange={(e) => setMergeStrategy(e.target.value)}>
+                  <option value="longest">Longest span wins</option>
+                  <option value="priority">Type priority wins</option>
+                </select>
+              </label>
+              <label style={{ display: "flex", alignItems: "center", gap: 4, flex: 1 }}>
+                Type priority:
+                <input type="text" value={typePriorityText} onChange={(e) => setTypePriorityText(e.target.value)} style={{ flex: 1 }} />
+              </label>
+            </div>
+            <div style={{ fontSize: 12, color: "#718096", marginTop: 4 }}>
+              Native {'{"version": 1, "pii": [...]}'}, Presidio analyzer results, spaCy {'{"text", "ents"}'}, Comprehend {'{"Entities"}'}, DLP {'{"findings"}'} or CSV with a header row.
+            </div>
+            <label style={{ fontSize: 12, display: "block", marginTop: 6 }}>
+              Type mapping (tool type → our type; common Presidio/spaCy/Comprehend/DLP names are mapped already):
+              <textarea
+                value={typeMap}
+                onChange={(e) => setTypeMap(e.target.value)}
+                rows={2}
+                spellCheck={false}
+                placeholder='{"ORG": "NAME", "NRP": "NATIONAL_ID"}'
+                style={{ display: "block", width: "100%", marginTop: 4, fontFamily: "monospace", fontSize: 12 }}
+              />
+            </label>
           </div>
 
+          <div>
+            <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 6 }}>
+              <span style={{ fontSize: 13, fontWeight: 600 }}>Detections per type</span>
+              <button type="button" disabled={busy} onClick={onReviewDetections} style={{ fontSize: 12 }}>
+                Review detections
+              </button>
+            </div>
+            {detectionSummary.length > 0 && (
+              <table style={{ fontSize: 12, borderCollapse: "collapse", width: "100%" }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: "#718096" }}>
+                    <th>Type</th>
+                    <th>Count</th>
+                    <th>Scores (min–max)</th>
+                    <th>{SCORE_BUCKETS.map((bound, i) => `${i === 0 ? 0 : SCORE_BUCKETS[i - 1]}–${bound}`).join(" / ")}</th>
+                    <th>No score</th>
+                    <th>Min confidence</th>
+                    <th>Exclude</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detectionSummary.map(({ type, count, unscored, min, max, buckets }) => (
+                    <tr key={type} style={{ opacity: typeFilters[type]?.exclude ? 0.5 : 1 }}>
+                      <td>{type}</td>
+                      <td>{count}</td>
+                      <td>{min === null ? "—" : `${min.toFixed(2)}–${max.toFixed(2)}`}</td>
+                      <td>{buckets.join(" / ")}</td>
+                      <td>{unscored}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min={0}
+                          max={1}
+                          step={0.05}
+                          value={typeFilters[type]?.minScore ?? 0}
+                          onChange={(e) => setTypeFilter(type, { minScore: Math.min(1, Math.max(0, Number(e.target.value) || 0)) })}
+                          style={{ width: 60 }}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(typeFilters[type]?.exclude)}
+                          onChange={(e) => setTypeFilter(type, { exclude: e.target.checked })}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ fontSize: 12, color: "#718096", marginTop: 4 }}>
+              Thresholds only apply to detections with a score; built-in and list detections are dropped only by excluding their type.
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Allow / deny lists</div>
+            <input type="file" accept=".json" onChange={async (e) => {
+              const file = e.target.files?.[0];
+              if (file) setListsConfig(await readFileAsText(file));
+            }} />
+            <button
+              type="button"
+              onClick={() => setListsConfig(JSON.stringify(GERMAN_WORDS_EXAMPLE_CONFIG, null, 2))}
+              style={{ fontSize: 12, marginLeft: 6 }}
+            >
+              Load example (common German words)
+            </button>
+            <textarea
+              value={listsConfig}
+              onChange={(e) => setListsConfig(e.target.value)}
+              rows={6}
+              spellCheck={false}
+              style={{ display: "block", width: "100%", marginTop: 6, fontFamily: "monospace", fontSize: 12 }}
+            />
+            <div style={{ fontSize: 12, color: "#718096", marginTop: 4 }}>
+              {'{"allow": [...], "deny": [...]}'} — entries are strings (case-insensitive) or {'{"value", "match": "exact"|"ci"|"regex", "type"}'}. Allowed values are never masked, denied values always are.
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Masking policy per type (DOC/DOCX/PDF text)</div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
+              {POLICY_TYPES.map((type) => (
+                <label key={type} style={{ fontSize: 12, display: "flex", alignItems: "center", gap: 4 }}>
+                  {type}:
+                  <select
+                    value={policyMap[type] || ""}
+                    onChange={(e) => setPolicyMap((m) => {
+                      const next = { ...m };
+                      if (e.target.value) next[type] = e.target.value;
+                      else delete next[type];
+                      return next;
+                    })}
+                  >
+                    {type !== "default" && <option value="">(default)</option>}
+                    {MASK_POLICIES.map((policy) => <option key={policy} value={policy}>{policy}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <label style={{ fontSize: 12, display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+              Hash salt (empty = random per run):
+              <input type="text" value={hashSalt} onChange={(e) => setHashSalt(e.target.value)} />
+            </label>
+            <button
+              type="button"
+              onClick={() => { pseudonymsRef.current = createPseudonymSession(); logLine("Pseudonym session reset"); }}
+              style={{ fontSize: 12, marginTop: 6 }}
+            >
+              Start new pseudonym batch
+            </button>
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginTop: 6, fontSize: 12 }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                Date-shift subject (empty = file name):
+                <input type="text" value={dateSubject} onChange={(e) => setDateSubject(e.target.value)} placeholder="e.g. patient or employee ID" />
+              </label>
+              <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                Numeric dates like 03/04/2024:
+                <select value={dateOrder} onChange={(e) => setDateOrder(e.target.value)}>
+                  <option value="dmy">day/month (EU)</option>
+                  <option value="mdy">month/day (US)</option>
+                </select>
+              </label>
+              <button
+                type="button"
+                onClick={() => { dateShiftsRef.current = createDateShiftSession(); logLine("Date offsets reset"); }}
+                style={{ fontSize: 12 }}
+              >
+                New date offsets
+              </button>
+            </div>
+          </div>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            Document properties and XMP (DOCX/PDF author, company, title…):
+            <select value={metadataMode} onChange={(e) => setMetadataMode(e.target.value)}>
+              <option value="blank">Clear</option>
+              <option value="mask">Mask detected PII</option>
+              <option value="keep">Keep</option>
+            </select>
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            PDF comments and notes:
+            <select value={annotationsMode} onChange={(e) => setAnnotationsMode(e.target.value)}>
+              <option value="mask">Mask detected PII</option>
+              <option value="remove">Remove</option>
+              <option value="keep">Keep</option>
+            </select>
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            PDF form fields containing PII:
+            <select value={formMode} onChange={(e) => setFormMode(e.target.value)}>
+              <option value="mask">Mask the PII in the value</option>
+              <option value="clear">Clear the value</option>
+            </select>
+            <input type="checkbox" checked={flattenForm} onChange={(e) => setFlattenForm(e.target.checked)} />
+            Flatten form
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            <input type="checkbox" checked={removeAttachments} onChange={(e) => setRemoveAttachments(e.target.checked)} />
+            Remove PDF file attachments
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            DOCX tracked changes and hidden text:
+            <select value={revisionsMode} onChange={(e) => setRevisionsMode(e.target.value)}>
+              <option value="mask">Mask PII inside them</option>
+              <option value="accept">Accept changes and strip hidden text</option>
+            </select>
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            <input type="checkbox" checked={allowUnlocated} onChange={(e) => setAllowUnlocated(e.target.checked)} />
+            Allow download with unlocated PII (images and scanned PDFs)
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            <input type="checkbox" checked={allowInvalidJson} onChange={(e) => setAllowInvalidJson(e.target.checked)} />
+            Mask with an invalid or empty detections file (uses its valid entries only)
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            <input type="checkbox" checked={saveVault} onChange={(e) => setSaveVault(e.target.checked)} />
+            Save encrypted re-identification vault (DOCX)
+          </label>
+
+          <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+            Vault passphrase:
+            <input type="password" value={vaultPassphrase} onChange={(e) => setVaultPassphrase(e.target.value)} />
+          </label>
+
           <button
             disabled={busy}
             onClick={onGenerate}
@@ -151,6 +658,34 @@ export default function App() {
           </button>
         </div>
 
+        <div style={{ display: "grid", gap: 12, marginTop: 24, paddingTop: 16, borderTop: "1px solid #e2e8f0" }}>
+          <div style={{ fontSize: 15, fontWeight: 600 }}>Unmask (authorised staff)</div>
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Masked file (DOCX or text)</div>
+            <input type="file" accept=".docx,.txt" onChange={(e) => setUnmaskFile(e.target.files?.[0] || null)} />
+          </div>
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Vault file (uses the passphrase above)</div>
+            <input type="file" accept=".json" onChange={(e) => setVaultFile(e.target.files?.[0] || null)} />
+          </div>
+          <button
+            disabled={busy}
+            onClick={onUnmask}
+            style={{
+              padding: "10px 14px",
+              borderRadius: 10,
+              background: "#fff",
+              color: "#111",
+              border: "1px solid #111",
+              fontWeight: 600,
+              opacity: busy ? 0.6 : 1,
+              cursor: busy ? "not-allowed" : "pointer"
+            }}
+          >
+            Restore Originals
+          </button>
+        </div>
+
         <pre style={{ background: "#f1f5f9", color: "#1f2937", fontSize: 12, padding: 12, borderRadius: 10, marginTop: 16, maxHeight: 260, overflow: "auto", whiteSpace: "pre-wrap" }}>
 {log || "Logs will appear here…"}
         </pre>
@@ -36,7 +36,7 @@ function partitionTextToRuns(text, ranges, defaultHalfPts) {
  * <doc> REVIEWED.docx
  * - exact matches: red/italic/underline
  * - partial/normalized matches: brown/underline
- * - appendix: JSON items not found (brown)
+ * - appendix: JSON items not found (brown), with the files/detectors that reported them
  * - font size: preserved via original default half-points
  */
 export function makeReviewedDocumentDocx({
@@ -76,6 +76,7 @@ export function makeReviewedDocumentDocx({
           children: [
             run(`${d.type}: `, { bold: true }, defaultFontHalfPts),
             run(`${d.value}`, { color: "7B3F00", italics: true }, defaultFontHalfPts),
+            ...(d.sources?.length ? [run(` (${d.sources.join(", ")})`, { color: "718096" }, defaultFontHalfPts)] : []),
           ],
         })
       )
@@ -0,0 +1,209 @@
+/**
+ * Compound File Binary (OLE2 / [MS-CFB]) reader
+ * Used for legacy Office files (.doc). Streams can be read and overwritten in place as long
+ * as their size does not change, which keeps every other byte of the file untouched.
+ */
+
+const SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+// Sector numbers above this are markers (DIFSECT, FATSECT, ENDOFCHAIN, FREESECT)
+const MAXREGSECT = 0xfffffffa;
+const FREESECT = 0xffffffff;
+const NOSTREAM = 0xffffffff;
+const DIR_ENTRY_SIZE = 128;
+
+const ENTRY_TYPES = { 1: "storage", 2: "stream", 5: "root" };
+
+/**
+ * Check the compound file signature
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {boolean}
+ */
+export function isCompoundFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return bytes.length >= 512 && SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Open a compound file
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents (a copy is made, the input is not modified)
+ * @returns {{entries: Array<{name: string, type: string, path: string}>, readStream: (path: string) => Uint8Array, writeStream: (path: string, data: Uint8Array) => void, toBytes: () => Uint8Array}}
+ */
+export function openCompoundFile(buffer) {
+  if (!isCompoundFile(buffer)) throw new Error("Not a Compound File (OLE2) document");
+  const bytes = (buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)).slice();
+  const view = new DataView(bytes.buffer);
+
+  const sectorShift = view.getUint16(0x1e, true);
+  const miniSectorShift = view.getUint16(0x20, true);
+  const sectorSize = 1 << sectorShift;
+  const miniSectorSize = 1 << miniSectorShift;
+  const firstDirSector = view.getUint32(0x30, true);
+  const miniStreamCutoff = view.getUint32(0x38, true);
+  const firstMiniFatSector = view.getUint32(0x3c, true);
+  const firstDifatSector = view.getUint32(0x44, true);
+  const numDifatSectors = view.getUint32(0x48, true);
+
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const entriesPerSector = sectorSize / 4;
+
+  // DIFAT: 109 entries in the header, the rest in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sector = view.getUint32(0x4c + i * 4, true);
+    if (sector !== FREESECT) fatSectors.push(sector);
+  }
+  let difatSector = firstDifatSector;
+  for (let n = 0; n < numDifatSectors && difatSector <= MAXREGSECT; n++) {
+    const base = sectorOffset(difatSector);
+    for (let i = 0; i < entriesPerSector - 1; i++) {
+      const sector = view.getUint32(base + i * 4, true);
+      if (sector !== FREESECT) fatSectors.push(sector);
+    }
+    difatSector = view.getUint32(base + (entriesPerSector - 1) * 4, true);
+  }
+
+  const fat = new Uint32Array(fatSectors.length * entriesPerSector);
+  fatSectors.forEach((sector, i) => {
+    const base = sectorOffset(sector);
+    for (let j = 0; j < entriesPerSector; j++) fat[i * entriesPerSector + j] = view.getUint32(base + j * 4, true);
+  });
+
+  const chain = (start) => {
+    const sectors = [];
+    const seen = new Set();
+    for (let s = start; s <= MAXREGSECT; s = fat[s]) {
+      if (seen.has(s) || s >= fat.length) throw new Error("Corrupt compound file: broken sector chain");
+      seen.add(s);
+      sectors.push(s);
+    }
+    return sectors;
+  };
+
+  // Byte segments of a regular stream inside the file
+  const regularSegments = (start, size) => {
+    const segments = [];
+    let remaining = size;
+    for (const sector of chain(start)) {
+      if (remaining <= 0) break;
+      const length = Math.min(sectorSize, remaining);
+      segments.push({ offset: sectorOffset(sector), length });
+      remaining -= length;
+    }
+    if (remaining > 0) throw new Error("Corrupt compound file: stream shorter than its size");
+    return segments;
+  };
+
+  // Directory
+  const dirSegments = chain(firstDirSector).map((sector) => sectorOffset(sector));
+  const rawEntries = [];
+  for (const base of dirSegments) {
+    for (let off = base; off < base + sectorSize; off += DIR_ENTRY_SIZE) {
+      const nameLength = view.getUint16(off + 64, true);
+      let name = "";
+      for (let i = 0; i + 2 < nameLength && i < 64; i += 2) name += String.fromCharCode(view.getUint16(off + i, true));
+      rawEntries.push({
+        name,
+        type: ENTRY_TYPES[bytes[off + 66]] || null,
+        left: view.getUint32(off + 68, true),
+        right: view.getUint32(off + 72, true),
+        child: view.getUint32(off + 76, true),
+        start: view.getUint32(off + 116, true),
+        size: view.getUint32(off + 120, true), // high dword is zero for the files we handle
+      });
+    }
+  }
+
+  const root = rawEntries[0];
+  if (!root || root.type !== "root") throw new Error("Corrupt compound file: missing root entry");
+
+  // Mini stream: small streams live in 64-byte mini sectors inside the root entry's stream
+  const miniStreamSegments = root.start <= MAXREGSECT ? regularSegments(root.start, root.size) : [];
+  const miniFat = firstMiniFatSector <= MAXREGSECT
+    ? regularSegments(firstMiniFatSector, chain(firstMiniFatSector).length * sectorSize)
+        .flatMap(({ offset, length }) => Array.from({ length: length / 4 }, (_, i) => view.getUint32(offset + i * 4, true)))
+    : [];
+
+  const miniSegments = (start, size) => {
+    const segments = [];
+    let remaining = size;
+    const seen = new Set();
+    for (let s = start; s <= MAXREGSECT && remaining > 0; s = miniFat[s]) {
+      if (seen.has(s) || s >= miniFat.length) throw new Error("Corrupt compound file: broken mini sector chain");
+      seen.add(s);
+      const streamPos = s * miniSectorSize;
+      const segment = miniStreamSegments[Math.floor(streamPos / sectorSize)];
+      if (!segment) throw new Error("Corrupt compound file: mini sector outside the mini stream");
+      const length = Math.min(miniSectorSize, remaining);
+      segments.push({ offset: segment.offset + (streamPos % sectorSize), length });
+      remaining -= length;
+    }
+    if (remaining > 0) throw new Error("Corrupt compound file: stream shorter than its size");
+    return segments;
+  };
+
+  // Walk the red-black trees of each storage to get full paths
+  const entries = [];
+  const byPath = new Map();
+  const visit = (id, parentPath, depth) => {
+    if (id === NOSTREAM || id >= rawEntries.length || depth > rawEntries.length) return;
+    const entry = rawEntries[id];
+    visit(entry.left, parentPath, depth + 1);
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    const info = { name: entry.name, type: entry.type, path, size: entry.size };
+    entries.push(info);
+    byPath.set(path, entry);
+    if (entry.type === "storage") visit(entry.child, path, depth + 1);
+    visit(entry.right, parentPath, depth + 1);
+  };
+  visit(root.child, "", 0);
+
+  const segmentsOf = (path) => {
+    const entry = byPath.get(path);
+    if (!entry || entry.type !== "stream") throw new Error(`Stream not found: ${path}`);
+    if (entry.size === 0) return [];
+    return entry.size < miniStreamCutoff ? miniSegments(entry.start, entry.size) : regularSegments(entry.start, entry.size);
+  };
+
+  return {
+    entries,
+
+    /**
+     * Read a stream by path (e.g. "WordDocument" or "ObjectPool/_123/CONTENTS")
+     * @param {string} path
+     * @returns {Uint8Array}
+     */
+    readStream(path) {
+      const segments = segmentsOf(path);
+      const out = new Uint8Array(segments.reduce((n, s) => n + s.length, 0));
+      let pos = 0;
+      for (const { offset, length } of segments) {
+        out.set(bytes.subarray(offset, offset + length), pos);
+        pos += length;
+      }
+      return out;
+    },
+
+    /**
+     * Overwrite a stream in place; the new data must have exactly the stream's size
+     * @param {string} path
+     * @param {Uint8Array} data
+     */
+    writeStream(path, data) {
+      const segments = segmentsOf(path);
+      const size = segments.reduce((n, s) => n + s.length, 0);
+      if (data.length !== size) throw new Error(`Stream ${path} must stay ${size} bytes (got ${data.length})`);
+      let pos = 0;
+      for (const { offset, length } of segments) {
+        bytes.set(data.subarray(pos, pos + length), offset);
+        pos += length;
+      }
+    },
+
+    /**
+     * @returns {Uint8Array} - The (possibly modified) file
+     */
+    toBytes() {
+      return bytes;
+    },
+  };
+}
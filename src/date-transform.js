@@ -0,0 +1,199 @@
+/**
+ * Date shifting and generalization
+ * Dates are parsed with their format (separators, padding, order, month names) so the
+ * transformed value is written back the way the document wrote it:
+ * - shift: add a fixed number of days per subject, which keeps intervals between dates intact
+ * - month / year: drop the day (and month), e.g. 12.03.1985 → 03.1985 → 1985
+ * Ages ("42", "42 Jahre", "42 years") are generalized to 10-year bands; shifting leaves them as
+ * they are. Anything else, e.g. a date in a format not parsed here, is not a date or an age.
+ */
+
+const MONTH_NAMES = {
+  en: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+  de: ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"],
+  fr: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+};
+
+const MAX_SHIFT_DAYS = 365;
+
+// Abbreviations are the first 3 or 4 letters of a name ("Mar", "Sept", "janv"), with or without its accents
+const ABBREVIATION_LENGTHS = [3, 4];
+
+const stripAccents = (text) => text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// name (full or abbreviated, any case) → { month, lang, abbreviated: letters kept or 0, accents }
+const MONTH_LOOKUP = new Map();
+for (const [lang, names] of Object.entries(MONTH_NAMES)) {
+  names.forEach((name, i) => {
+    const lower = name.toLowerCase();
+    if (!MONTH_LOOKUP.has(lower)) MONTH_LOOKUP.set(lower, { month: i + 1, lang, abbreviated: 0, accents: true });
+    for (const length of ABBREVIATION_LENGTHS) {
+      if (length >= lower.length) continue;
+      for (const accents of [true, false]) {
+        const short = (accents ? lower : stripAccents(lower)).slice(0, length);
+        if (!MONTH_LOOKUP.has(short)) MONTH_LOOKUP.set(short, { month: i + 1, lang, abbreviated: length, accents });
+      }
+    }
+  });
+}
+
+// Age units kept after a generalized age ("42 years", "42 J.", "42 ans")
+const AGE_PATTERN = /^(\d{1,3})(\s*(?:years?(?: old)?|yrs?\.?|y\/o|yo|y|Jahre?n?(?: alt)?|J\.|ans?))?$/iu;
+
+/**
+ * Parse a date in a common European or US format
+ * @param {string} value - Date text
+ * @param {Object} [options]
+ * @param {'dmy'|'mdy'} [options.order='dmy'] - Reading of ambiguous numeric dates with "/" or "-"
+ * @returns {{year: number, month: number, day: number, format: Object}|null}
+ */
+export function parseDate(value, options = {}) {
+  const text = String(value ?? "").trim();
+  const order = options.order || "dmy";
+  let m;
+
+  // ISO 2024-03-12
+  if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+    return checked(+m[1], +m[2], +m[3], { kind: "iso", sep: "-", pad: m[2].length === 2 });
+  }
+
+  // Numeric 12.03.2024, 12/03/24, 03-12-2024
+  if ((m = /^(\d{1,2})([./-])(\d{1,2})\2(\d{4}|\d{2})$/.exec(text))) {
+    const [, a, sep, b, y] = m;
+    const year = expandYear(y);
+    // A dot is always day first; otherwise follow the configured order unless it cannot be right
+    let dayFirst = sep === "." || order === "dmy";
+    if (dayFirst && +b > 12 && +a <= 12) dayFirst = false;
+    if (!dayFirst && +a > 12 && +b <= 12) dayFirst = true;
+    const [day, month] = dayFirst ? [+a, +b] : [+b, +a];
+    return checked(year, month, day, { kind: "numeric", sep, dayFirst, pad: a.length === 2 || b.length === 2, yearDigits: y.length });
+  }
+
+  // 12 March 2024, 12. März 2024, 1er mars 2024, 5 Sept. 2020
+  if ((m = /^(\d{1,2})(\.|er)? ?([\p{L}]+)(\.)? (\d{4})$/u.exec(text))) {
+    const name = MONTH_LOOKUP.get(m[3].toLowerCase());
+    if (!name) return null;
+    return checked(+m[5], name.month, +m[1], { kind: "text-dmy", suffix: m[2] || "", ...name, dot: !!m[4], caps: m[3][0] === m[3][0].toUpperCase() });
+  }
+
+  // March 12, 2024, Sept. 5, 2020
+  if ((m = /^([\p{L}]+)(\.)? (\d{1,2}),? (\d{4})$/u.exec(text))) {
+    const name = MONTH_LOOKUP.get(m[1].toLowerCase());
+    if (!name) return null;
+    return checked(+m[4], name.month, +m[3], { kind: "text-mdy", comma: text.includes(","), ...name, dot: !!m[2], caps: true });
+  }
+
+  return null;
+}
+
+function expandYear(y) {
+  if (y.length === 4) return +y;
+  // Two-digit years: assume the last 100 years
+  const current = new Date().getUTCFullYear() % 100;
+  return +y <= current ? 2000 + +y : 1900 + +y;
+}
+
+function checked(year, month, day, format) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return { year, month, day, format };
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function monthName(month, format) {
+  let name = MONTH_NAMES[format.lang][month - 1];
+  if (format.abbreviated) {
+    const full = format.accents ? name : stripAccents(name);
+    // A month shorter than the abbreviation ("Mai", "mars") is written out
+    name = full.length > format.abbreviated ? full.slice(0, format.abbreviated) + (format.dot ? "." : "") : full;
+  }
+  return format.caps ? name[0].toUpperCase() + name.slice(1) : name.toLowerCase();
+}
+
+/**
+ * Write a date back in the format it was parsed from
+ * @param {{year: number, month: number, day?: number, format: Object}} date
+ * @param {'day'|'month'|'year'} [precision='day'] - Parts to keep
+ * @returns {string}
+ */
+export function formatDate({ year, month, day, format }, precision = "day") {
+  if (precision === "year") return String(year);
+  const f = format;
+  const p = (n) => (f.pad ? pad2(n) : String(n));
+  const y = f.yearDigits === 2 && precision === "day" ? pad2(year % 100) : String(year);
+
+  switch (f.kind) {
+    case "iso":
+      return precision === "month" ? `${year}-${pad2(month)}` : `${year}-${pad2(month)}-${pad2(day)}`;
+    case "numeric":
+      if (precision === "month") return `${p(month)}${f.sep}${year}`;
+      return f.dayFirst ? `${p(day)}${f.sep}${p(month)}${f.sep}${y}` : `${p(month)}${f.sep}${p(day)}${f.sep}${y}`;
+    case "text-dmy":
+      if (precision === "month") return `${monthName(month, f)} ${year}`;
+      // "1er" is only used for the first of the month
+      return `${day}${f.suffix === "." || (f.suffix && day === 1) ? f.suffix : ""} ${monthName(month, f)} ${year}`;
+    default:
+      if (precision === "month") return `${monthName(month, f)} ${year}`;
+      return `${monthName(month, f)} ${day}${f.comma ? "," : ""} ${year}`;
+  }
+}
+
+/**
+ * Shift a date by a number of days, keeping its format
+ * @param {string} value - Date text
+ * @param {number} days - Offset in days
+ * @param {Object} [options] - Options for parseDate
+ * @returns {string|null} - null when the value is not a recognised date
+ */
+export function shiftDate(value, days, options = {}) {
+  const date = parseDate(value, options);
+  if (!date) return null;
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return formatDate({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    format: date.format,
+  });
+}
+
+/**
+ * Generalize a date to month/year or year, or an age to a 10-year band
+ * @param {string} value - Date or age text
+ * @param {'month'|'year'} precision - Parts to keep
+ * @param {Object} [options] - Options for parseDate
+ * @returns {string|null} - null when the value is neither a date nor an age
+ */
+export function generalizeDate(value, precision, options = {}) {
+  const date = parseDate(value, options);
+  if (date) return formatDate(date, precision);
+
+  const age = AGE_PATTERN.exec(String(value ?? "").trim());
+  if (age) {
+    const years = +age[1];
+    const band = years >= 90 ? "90+" : `${Math.floor(years / 10) * 10}-${Math.floor(years / 10) * 10 + 9}`;
+    return band + (age[2] || "");
+  }
+  return null;
+}
+
+/**
+ * Per-subject date offsets, shared across a batch
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.offsets] - Existing subject → days mapping to continue
+ * @returns {{offsetFor: (subject: string) => number, offsets: Map<string, number>}}
+ */
+export function createDateShiftSession(options = {}) {
+  const offsets = options.offsets || new Map();
+  const offsetFor = (subject) => {
+    const key = String(subject || "").trim();
+    if (!offsets.has(key)) {
+      let days = 0;
+      while (days === 0) days = Math.floor(Math.random() * (2 * MAX_SHIFT_DAYS + 1)) - MAX_SHIFT_DAYS;
+      offsets.set(key, days);
+    }
+    return offsets.get(key);
+  };
+  return { offsetFor, offsets };
+}
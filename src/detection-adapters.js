@@ -0,0 +1,290 @@
+/**
+ * Import adapters for detections produced by other tools
+ * The format is recognised from the file itself and converted to the internal detection
+ * model (see detection-schema.js) before validation:
+ * - native:     {"version": 1, "pii": [...]}
+ * - presidio:   analyzer results [{entity_type, start, end, score}] (image results with left/top/width/height)
+ * - spacy:      doc.to_json() / displaCy {text, ents: [{start, end, label}]}
+ * - comprehend: {Entities: [{Type, BeginOffset, EndOffset, Score, Text?}]}
+ * - dlp:        {findings | result.findings: [{infoType: {name}, likelihood, quote?, location: {codepointRange}}]}
+ * - csv:        header row with type/value/start/end/score/page/source columns (aliases accepted)
+ * Values missing from the file are read from the document text at the given offsets, and
+ * tool-specific type names are mapped onto ours with a type map.
+ */
+
+import { parseJsonWithLines, validateDetections, validateDetectionsFile } from "./detection-schema.js";
+
+export const DEFAULT_TYPE_MAP = {
+  PERSON: "NAME",
+  PER: "NAME",
+  PERSON_NAME: "NAME",
+  FIRST_NAME: "NAME",
+  LAST_NAME: "NAME",
+  EMAIL_ADDRESS: "EMAIL",
+  PHONE_NUMBER: "PHONE",
+  LOCATION: "ADDRESS",
+  STREET_ADDRESS: "ADDRESS",
+  IBAN_CODE: "IBAN",
+  BANK_ACCOUNT_NUMBER: "IBAN",
+  CREDIT_CARD_NUMBER: "CREDIT_CARD",
+  CREDIT_DEBIT_NUMBER: "CREDIT_CARD",
+  DATE_TIME: "DATE",
+  US_SSN: "NATIONAL_ID",
+  SSN: "NATIONAL_ID",
+  US_SOCIAL_SECURITY_NUMBER: "NATIONAL_ID",
+  FRANCE_NIR: "NATIONAL_ID",
+  SPAIN_DNI_NUMBER: "NATIONAL_ID",
+  ES_NIF: "NATIONAL_ID",
+  GERMANY_TAXPAYER_IDENTIFICATION_NUMBER: "NATIONAL_ID",
+  NETHERLANDS_BSN_NUMBER: "NATIONAL_ID",
+};
+
+// Google DLP reports likelihoods instead of scores
+const DLP_LIKELIHOOD_SCORES = {
+  VERY_UNLIKELY: 0.1,
+  UNLIKELY: 0.3,
+  POSSIBLE: 0.5,
+  LIKELY: 0.7,
+  VERY_LIKELY: 0.9,
+};
+
+// CSV header aliases (lower case, spaces and dashes as underscores)
+const CSV_COLUMNS = {
+  type: ["type", "entity_type", "entity", "label", "category", "infotype", "info_type"],
+  value: ["value", "text", "quote", "entity_text", "match"],
+  start: ["start", "start_char", "begin", "begin_offset", "beginoffset", "offset"],
+  end: ["end", "end_char", "end_offset", "endoffset"],
+  score: ["score", "confidence", "probability"],
+  page: ["page", "page_number"],
+  source: ["source", "detector", "tool"],
+};
+
+/**
+ * Parse and validate a type map
+ * @param {string|Object} config - JSON text or object mapping tool type names to ours, e.g. {"PER": "NAME"}
+ * @returns {Object<string, string>} - Default mapping extended by the given one
+ */
+export function parseTypeMap(config) {
+  const parsed = typeof config === "string" ? (config.trim() ? JSON.parse(config) : {}) : config || {};
+  if (typeof parsed !== "object" || Array.isArray(parsed)) throw new Error('Type map must be an object like {"PER": "NAME"}');
+  const map = { ...DEFAULT_TYPE_MAP };
+  for (const [from, to] of Object.entries(parsed)) {
+    if (typeof to !== "string" || !to.trim()) throw new Error(`Type map entry for ${from} must be a type name`);
+    map[from.toUpperCase()] = to.trim();
+  }
+  return map;
+}
+
+/**
+ * Import a detections file in any supported format
+ * @param {string} fileText - File content
+ * @param {Object} [options]
+ * @param {string} [options.text] - Extracted document text, used to read values from offsets
+ * @param {Object<string, string>} [options.typeMap] - Type names to map (see parseTypeMap)
+ * @returns {{format: string, valid: boolean, version: number|null, detections: Array<Object>, errors: Array, warnings: Array}}
+ */
+export function importDetectionsFile(fileText, options = {}) {
+  const { text = "", typeMap = DEFAULT_TYPE_MAP } = options;
+
+  let imported;
+  if (!/^\uFEFF?\s*[[{]/.test(fileText)) {
+    imported = { format: "csv", ...fromCsv(fileText, text) };
+  } else {
+    let parsed;
+    try {
+      parsed = parseJsonWithLines(fileText);
+    } catch {
+      // Let the schema report the syntax error with its line
+      return { format: "json", ...validateDetectionsFile(fileText) };
+    }
+    const adapter = ADAPTERS.find((a) => a.detect(parsed.value));
+    if (!adapter) {
+      const message = "Unrecognised detections format (expected native {\"pii\": [...]}, Presidio, spaCy, Comprehend, DLP or CSV)";
+      return { format: "unknown", valid: false, version: null, detections: [], errors: [{ line: 1, path: "", message }], warnings: [] };
+    }
+    if (adapter.format === "native") return { format: "native", ...mapTypes(validateDetections(parsed.value, parsed.lines), typeMap) };
+    imported = { format: adapter.format, ...adapter.convert(parsed.value, parsed.lines, text) };
+  }
+
+  const { format, pii, lines, warnings = [] } = imported;
+  const result = mapTypes(validateDetections({ version: 1, pii }, lines), typeMap);
+  result.warnings.unshift(...warnings);
+  result.detections = result.detections.map((det) => ({ ...det, source: det.source || format }));
+  return { format, ...result };
+}
+
+function mapTypes(result, typeMap) {
+  result.detections = result.detections.map((det) => {
+    const mapped = typeMap[String(det.type).toUpperCase()];
+    return mapped ? { ...det, type: mapped } : det;
+  });
+  return result;
+}
+
+// Value at the offsets in the document text ("" when they do not fit, which validation reports)
+function valueAt(text, start, end) {
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end <= text.length ? text.slice(start, end) : "";
+}
+
+// Copy the line of each source item onto the converted item's path
+function itemLines(lines, sourcePath, count) {
+  const out = new Map();
+  for (let i = 0; i < count; i++) {
+    const line = lines.get(`${sourcePath}[${i}]`);
+    if (line) out.set(`pii[${i}]`, line);
+  }
+  return out;
+}
+
+const ADAPTERS = [
+  {
+    format: "native",
+    detect: (root) => root && typeof root === "object" && !Array.isArray(root) && ("pii" in root || "version" in root),
+  },
+  {
+    format: "presidio",
+    detect: (root) => Array.isArray(root) && root.every((r) => r && typeof r === "object" && "entity_type" in r),
+    convert(root, lines, text) {
+      const pii = root.map((r) => {
+        // Image redactor results carry a box; their offsets refer to the OCR text, not ours
+        if (["left", "top", "width", "height"].every((k) => k in r)) {
+          return { type: r.entity_type, bbox: { x: r.left, y: r.top, width: r.width, height: r.height }, score: r.score };
+        }
+        return { type: r.entity_type, value: valueAt(text, r.start, r.end), start: r.start, end: r.end, score: r.score };
+      });
+      return { pii, lines: itemLines(lines, "", root.length) };
+    },
+  },
+  {
+    format: "spacy",
+    detect: (root) => root && typeof root === "object" && Array.isArray(root.ents),
+    convert(root, lines, text) {
+      const ownText = typeof root.text === "string" ? root.text : null;
+      // Offsets refer to the text spaCy saw; keep them only when that is our text
+      const keepOffsets = ownText === null || ownText === text;
+      const warnings = keepOffsets ? [] : [{ line: lines.get("text") ?? null, path: "text", message: "spaCy text differs from the document text; entities are matched by value" }];
+      const pii = root.ents.map((e) => ({
+        type: e.label,
+        value: valueAt(ownText ?? text, e.start, e.end),
+        ...(keepOffsets ? { start: e.start, end: e.end } : {}),
+      }));
+      return { pii, lines: itemLines(lines, "ents", root.ents.length), warnings };
+    },
+  },
+  {
+    format: "comprehend",
+    detect: (root) => root && typeof root === "object" && Array.isArray(root.Entities),
+    convert(root, lines, text) {
+      const pii = root.Entities.map((e) => ({
+        type: e.Type,
+        value: typeof e.Text === "string" ? e.Text : valueAt(text, e.BeginOffset, e.EndOffset),
+        start: e.BeginOffset,
+        end: e.EndOffset,
+        score: e.Score,
+      }));
+      return { pii, lines: itemLines(lines, "Entities", root.Entities.length) };
+    },
+  },
+  {
+    format: "dlp",
+    detect: (root) => root && typeof root === "object" && Array.isArray(root.findings ?? root.result?.findings),
+    convert(root, lines, text) {
+      const findings = root.findings ?? root.result.findings;
+      const pii = findings.map((f) => {
+        // int64 fields arrive as strings; a range starting at 0 omits "start"
+        const range = f.location?.codepointRange;
+        const start = range ? Number(range.start ?? 0) : undefined;
+        const end = range ? Number(range.end) : undefined;
+        return {
+          type: f.infoType?.name,
+          value: typeof f.quote === "string" ? f.quote : valueAt(text, start, end),
+          ...(range ? { start, end } : {}),
+          score: DLP_LIKELIHOOD_SCORES[f.likelihood],
+        };
+      });
+      return { pii, lines: itemLines(lines, root.findings ? "findings" : "result.findings", findings.length) };
+    },
+  },
+];
+
+function fromCsv(fileText, text) {
+  const rows = parseCsv(fileText.replace(/^\uFEFF/, ""));
+  if (rows.length === 0) return { pii: [], lines: new Map() };
+
+  const header = rows[0].cells.map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+  const column = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, aliases]) => [field, header.findIndex((h) => aliases.includes(h))])
+  );
+  const warnings = [];
+  if (column.type === -1) warnings.push({ line: rows[0].line, path: "", message: `No type column (expected one of: ${CSV_COLUMNS.type.join(", ")})` });
+
+  const pii = [];
+  const lines = new Map();
+  for (const { cells, line } of rows.slice(1)) {
+    if (cells.every((c) => !c.trim())) continue;
+    const cell = (field) => (column[field] === -1 ? undefined : cells[column[field]]?.trim() || undefined);
+    const number = (field) => {
+      const raw = cell(field);
+      return raw === undefined || Number.isNaN(Number(raw)) ? raw : Number(raw);
+    };
+    const start = number("start");
+    const end = number("end");
+    lines.set(`pii[${pii.length}]`, line);
+    pii.push({
+      type: cell("type"),
+      value: cell("value") ?? valueAt(text, start, end),
+      start,
+      end,
+      score: number("score"),
+      page: number("page"),
+      source: cell("source"),
+    });
+  }
+  return { pii, lines, warnings };
+}
+
+// RFC 4180 style: quoted fields may contain separators, quotes ("") and line breaks.
+// The separator is the first of , ; or tab found in the header line.
+function parseCsv(csv) {
+  const separator = [",", ";", "\t"].find((s) => csv.split(/\r?\n/, 1)[0].includes(s)) || ",";
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < csv.length; i++) {
+    const ch = csv[i];
+    if (ch === "\n") line++;
+    if (quoted) {
+      if (ch === '"' && csv[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === separator) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && csv[i + 1] === "\n") continue;
+      cells.push(cell);
+      rows.push({ cells, line: rowLine });
+      cells = [];
+      cell = "";
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ cells, line: rowLine });
+  }
+  return rows;
+}
@@ -0,0 +1,129 @@
+/**
+ * Anchored detections
+ * Upstream NER can send where a value is instead of only what it is:
+ * - start/end: character offsets into the extracted text of the document
+ * - page + bbox: a region on a PDF page or image
+ * Offsets are turned into "the n-th occurrence of this text" (occurrence, and page for PDFs),
+ * which survives the small differences between the extracted text and the text each masker
+ * indexes. In the text an anchor refers to (the DOCX body, the PDF page text) maskers mask
+ * exactly the anchored occurrence or region. Everywhere the anchor cannot point at (headers,
+ * comments, alt text, images, metadata, PDF annotations and form fields) the value is searched
+ * for like that of any other detection.
+ */
+
+import { findTextSpans } from "./openxml-edit.js";
+
+// Detection fields that pin a detection to one place
+const ANCHOR_KEYS = ["start", "end", "occurrence", "page", "bbox"];
+
+/**
+ * Normalize a bounding box to {x, y, width, height}
+ * Accepts [x0, y0, x1, y1], {x0, y0, x1, y1} or {x, y, width, height}. Coordinates have their
+ * origin at the top-left corner: pixels for images, PDF points of the displayed page for PDFs.
+ * @param {Array<number>|Object} bbox - Bounding box
+ * @returns {{x: number, y: number, width: number, height: number}|null} - null when invalid
+ */
+export function normalizeBbox(bbox) {
+  if (!bbox) return null;
+  let x0, y0, x1, y1;
+  if (Array.isArray(bbox)) {
+    [x0, y0, x1, y1] = bbox.map(Number);
+  } else if ("width" in bbox) {
+    x0 = Number(bbox.x);
+    y0 = Number(bbox.y);
+    x1 = x0 + Number(bbox.width);
+    y1 = y0 + Number(bbox.height);
+  } else {
+    ({ x0, y0, x1, y1 } = bbox);
+    [x0, y0, x1, y1] = [x0, y0, x1, y1].map(Number);
+  }
+  if (![x0, y0, x1, y1].every(Number.isFinite) || x1 <= x0 || y1 <= y0) return null;
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Whether a detection is pinned to one occurrence of the text its anchor refers to
+ * @param {Object} det - Detection
+ * @returns {boolean}
+ */
+export function isAnchored(det) {
+  return Number.isInteger(det?.occurrence) || Boolean(normalizeBbox(det?.bbox));
+}
+
+/**
+ * Resolve start/end offsets of detections against the extracted text
+ * The text at the offsets becomes the value to mask (it is what the document actually says),
+ * and the detection gets the ordinal of that occurrence. Detections whose offsets do not
+ * point at any text fall back to value search.
+ * @param {Array<{type: string, value?: string, start?: number, end?: number, page?: number, bbox?: any}>} detections
+ * @param {string} text - Extracted text the offsets refer to
+ * @param {Object} [options]
+ * @param {Array<number>} [options.pageStarts] - Offset of each PDF page in the text; occurrences are then counted per page
+ * @returns {{detections: Array<Object>, warnings: Array<string>}}
+ */
+export function anchorDetections(detections, text, options = {}) {
+  const { pageStarts = null } = options;
+  const warnings = [];
+
+  const out = (detections || []).map((det) => {
+    const { start, end } = det;
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return det;
+
+    const slice = start >= 0 && end > start && end <= text.length ? text.slice(start, end).trim() : "";
+    if (!slice) {
+      warnings.push(`Offsets ${start}-${end} of ${det.type} "${det.value ?? ""}" are outside the text; searching by value`);
+      return det;
+    }
+    const value = String(det.value ?? "").trim();
+    if (value && value.replace(/\s+/g, " ") !== slice.replace(/\s+/g, " ")) {
+      warnings.push(`${det.type} "${value}" reads "${slice}" at ${start}-${end}; masking the text at the offsets`);
+    }
+
+    // Occurrences are counted within the page on PDFs, within the whole text otherwise
+    let scopeStart = 0;
+    let scopeEnd = text.length;
+    let page = det.page;
+    if (pageStarts?.length) {
+      const index = pageStarts.findLastIndex((s) => s <= start);
+      scopeStart = pageStarts[index];
+      scopeEnd = pageStarts[index + 1] ?? text.length;
+      page = index + 1;
+    }
+    const spanStart = start + text.slice(start, end).search(/\S/) - scopeStart;
+    const occurrence = findTextSpans(text.slice(scopeStart, scopeEnd), slice).findIndex((s) => s.start === spanStart);
+    if (occurrence === -1) {
+      warnings.push(`Could not anchor ${det.type} "${slice}" at ${start}-${end}; searching by value`);
+      return { ...det, value: slice };
+    }
+    return { ...det, value: slice, occurrence, ...(page ? { page } : {}) };
+  });
+
+  return { detections: out, warnings };
+}
+
+/**
+ * Detections as value searches, for the parts of a document an anchor cannot refer to
+ * @param {Array<Object>} detections - Detections, anchored or not
+ * @returns {Array<Object>} - Detections with a value, without their offsets, occurrence, page and region
+ */
+export function valueSearches(detections) {
+  return (detections || [])
+    .filter((det) => String(det.value ?? "").trim())
+    .map((det) => {
+      const search = { ...det };
+      for (const key of ANCHOR_KEYS) delete search[key];
+      return search;
+    });
+}
+
+/**
+ * Keep only the anchored occurrence of a detection's matches
+ * @param {Array<T>} matches - All matches of the value, in document order
+ * @param {{occurrence?: number}} det - Detection
+ * @returns {Array<T>}
+ * @template T
+ */
+export function selectOccurrence(matches, det) {
+  if (!Number.isInteger(det?.occurrence)) return matches;
+  return matches[det.occurrence] ? [matches[det.occurrence]] : [];
+}
@@ -0,0 +1,66 @@
+/**
+ * Per-type review and filtering of detections
+ * Detections are summarized per type (count and score distribution) so a minimum confidence
+ * can be chosen per type, or a type excluded entirely. Detections without a score (built-in
+ * rules, lists, files without scores) are only affected by excluding their type.
+ */
+
+// Upper bounds of the score histogram buckets; the last bucket includes 1
+export const SCORE_BUCKETS = [0.5, 0.7, 0.9, 1];
+
+/**
+ * Summarize detections per type
+ * @param {Array<{type: string, score?: number}>} detections
+ * @returns {Array<{type: string, count: number, unscored: number, min: number|null, max: number|null, buckets: number[]}>} - Sorted by type
+ */
+export function summarizeDetections(detections) {
+  const byType = new Map();
+  for (const det of detections || []) {
+    if (!byType.has(det.type)) byType.set(det.type, { type: det.type, count: 0, unscored: 0, min: null, max: null, buckets: SCORE_BUCKETS.map(() => 0) });
+    const entry = byType.get(det.type);
+    entry.count++;
+    if (typeof det.score !== "number") {
+      entry.unscored++;
+      continue;
+    }
+    entry.min = entry.min === null ? det.score : Math.min(entry.min, det.score);
+    entry.max = entry.max === null ? det.score : Math.max(entry.max, det.score);
+    entry.buckets[SCORE_BUCKETS.findIndex((bound, i) => det.score < bound || i === SCORE_BUCKETS.length - 1)]++;
+  }
+  return [...byType.values()].sort((a, b) => a.type.localeCompare(b.type));
+}
+
+/**
+ * Keep the detections selected by the per-type filters
+ * @param {Array<{type: string, score?: number}>} detections
+ * @param {Object<string, {exclude?: boolean, minScore?: number}>} filters - Per type
+ * @returns {{kept: Array<Object>, dropped: Array<{detection: Object, reason: string}>}}
+ */
+export function filterDetections(detections, filters = {}) {
+  const kept = [];
+  const dropped = [];
+  for (const detection of detections || []) {
+    const filter = filters[detection.type] || {};
+    if (filter.exclude) {
+      dropped.push({ detection, reason: "type excluded" });
+    } else if (typeof detection.score === "number" && filter.minScore > 0 && detection.score < filter.minScore) {
+      dropped.push({ detection, reason: `score ${detection.score} < ${filter.minScore}` });
+    } else {
+      kept.push(detection);
+    }
+  }
+  return { kept, dropped };
+}
+
+/**
+ * Describe the active filters for the run log
+ * @param {Object<string, {exclude?: boolean, minScore?: number}>} filters
+ * @returns {string}
+ */
+export function describeFilters(filters = {}) {
+  const parts = Object.entries(filters)
+    .filter(([, f]) => f.exclude || f.minScore > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([type, f]) => (f.exclude ? `${type} excluded` : `${type} ≥ ${f.minScore}`));
+  return parts.length ? parts.join(", ") : "none (all detections masked)";
+}
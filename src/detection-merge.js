@@ -0,0 +1,130 @@
+/**
+ * Merge detections from several detectors / files
+ * - identical detections (same value and anchor) become one, remembering every source;
+ *   when their types differ the higher-priority type is kept
+ * - a detection whose every occurrence lies inside another one's is dropped (nested span);
+ *   with the "priority" strategy the surviving detection takes the higher-priority type.
+ *   A value search is never dropped for an anchored detection: it is what masks the value in
+ *   headers, comments, metadata and the other places an anchor cannot point at
+ * - partially overlapping detections are both kept: the maskers mask the union of their spans
+ * Every detection carries `sources`, the list of files/detectors that reported it.
+ */
+
+import { findTextSpans } from "./openxml-edit.js";
+import { normalizeBbox } from "./detection-anchors.js";
+
+export const MERGE_STRATEGIES = ["longest", "priority"];
+
+// Most specific first; types not listed rank after these
+export const DEFAULT_TYPE_PRIORITY = [
+  "NATIONAL_ID", "CREDIT_CARD", "IBAN", "EMAIL", "PHONE", "DATE_OF_BIRTH", "NAME", "ADDRESS", "DATE", "AGE",
+];
+
+/**
+ * Merge detection lists
+ * @param {Array<{source: string, detections: Array<Object>}>} lists - One list per file/detector
+ * @param {Object} [options]
+ * @param {string} [options.text] - Extracted text, used to find where value-only detections occur
+ * @param {'longest'|'priority'} [options.strategy='longest'] - How identical or nested spans of different types are resolved
+ * @param {string[]} [options.typePriority] - Type order for the priority strategy and for ties
+ * @returns {{detections: Array<Object>, duplicates: number, conflicts: Array<{kept: Object, dropped: Object, reason: string}>, overlaps: Array<[Object, Object]>}}
+ */
+export function mergeDetections(lists, options = {}) {
+  const { text = "", strategy = "longest", typePriority = DEFAULT_TYPE_PRIORITY } = options;
+  const rank = (type) => {
+    const i = typePriority.indexOf(type);
+    return i === -1 ? typePriority.length : i;
+  };
+  const conflicts = [];
+  const overlaps = [];
+
+  // 1. Identical detections: same value and same anchor, whatever the type
+  const byKey = new Map();
+  let duplicates = 0;
+  for (const { source, detections } of lists) {
+    for (const det of detections || []) {
+      const key = identityKey(det);
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, { ...det, sources: [...(det.sources || [source])] });
+        continue;
+      }
+      duplicates++;
+      for (const s of det.sources || [source]) if (!existing.sources.includes(s)) existing.sources.push(s);
+      if (typeof det.score === "number") existing.score = Math.max(existing.score ?? 0, det.score);
+      if (det.type !== existing.type) {
+        const winner = rank(det.type) < rank(existing.type) ? det.type : existing.type;
+        const loser = winner === det.type ? existing.type : det.type;
+        conflicts.push({ kept: existing, dropped: det, reason: `same span typed ${winner} over ${loser}` });
+        existing.type = winner;
+      }
+    }
+  }
+  const merged = [...byKey.values()];
+
+  // 2. Nested spans: drop detections entirely covered by a longer one
+  const spans = new Map(merged.map((det) => [det, spansOf(det, text)]));
+  const dropped = new Set();
+  const bySize = [...merged].sort((a, b) => size(b) - size(a));
+  for (const outer of bySize) {
+    if (dropped.has(outer)) continue;
+    const outerSpans = spans.get(outer);
+    if (outerSpans.length === 0) continue;
+    for (const inner of merged) {
+      if (inner === outer || dropped.has(inner) || size(inner) >= size(outer)) continue;
+      const innerSpans = spans.get(inner);
+      if (innerSpans.length === 0) continue;
+      const contained = innerSpans.every((s) => outerSpans.some((o) => o.start <= s.start && s.end <= o.end));
+      if (contained && isAnchored(outer) && !isAnchored(inner)) continue;
+      if (contained) {
+        dropped.add(inner);
+        if (strategy === "priority" && rank(inner.type) < rank(outer.type)) {
+          conflicts.push({ kept: outer, dropped: inner, reason: `nested span; ${inner.type} has priority over ${outer.type}` });
+          outer.type = inner.type;
+        } else {
+          conflicts.push({ kept: outer, dropped: inner, reason: "nested in a longer span" });
+        }
+        for (const s of inner.sources) if (!outer.sources.includes(s)) outer.sources.push(s);
+      } else if (innerSpans.some((s) => outerSpans.some((o) => s.start < o.end && o.start < s.end))) {
+        overlaps.push([outer, inner]);
+      }
+    }
+  }
+
+  return { detections: merged.filter((det) => !dropped.has(det)), duplicates, conflicts, overlaps };
+}
+
+/**
+ * Short attribution for logs, e.g. "presidio.json, built-in"
+ * @param {{sources?: string[], source?: string}} det
+ * @returns {string}
+ */
+export function describeSources(det) {
+  return (det.sources || [det.source]).filter(Boolean).join(", ") || "unknown source";
+}
+
+// Offsets or a region pin a detection to one place (before anchorDetections resolves them)
+function isAnchored(det) {
+  return (Number.isInteger(det.start) && Number.isInteger(det.end)) || Boolean(normalizeBbox(det.bbox));
+}
+
+function normalizeValue(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ");
+}
+
+// Value plus whatever pins it to a place in the document
+function identityKey(det) {
+  const anchor = [det.start, det.end, det.page, det.bbox && JSON.stringify(det.bbox)].map((a) => a ?? "").join("\u0000");
+  return `${normalizeValue(det.value)}\u0000${anchor}`;
+}
+
+function size(det) {
+  return Number.isInteger(det.start) && Number.isInteger(det.end) ? det.end - det.start : normalizeValue(det.value).length;
+}
+
+// Where a detection applies in the text: its offsets, or every occurrence of its value
+function spansOf(det, text) {
+  if (Number.isInteger(det.start) && Number.isInteger(det.end) && det.end <= text.length) return [{ start: det.start, end: det.end }];
+  const value = String(det.value ?? "").trim();
+  return value && text ? findTextSpans(text, value) : [];
+}
@@ -0,0 +1,261 @@
+/**
+ * Detections file schema (version 1) and validation
+ *
+ *   {
+ *     "version": 1,                  optional, files without it are read as version 1
+ *     "pii": [                       required
+ *       {
+ *         "type": "EMAIL",           required, non-empty string
+ *         "value": "a@b.de",         required string, may be omitted when bbox is given
+ *         "score": 0.97,             optional number between 0 and 1
+ *         "start": 120, "end": 126,  optional character offsets into the extracted text, both or neither
+ *         "page": 1,                 optional 1-based page number; a PDF region (bbox) without one is
+ *                                    only placed on single-page PDFs and reported as not masked otherwise
+ *         "bbox": [x0, y0, x1, y1],  optional region (or {x, y, width, height}), see detection-anchors.js
+ *         "source": "presidio"       optional name of the detector
+ *       }
+ *     ]
+ *   }
+ *
+ * Issues carry the line of the offending field so they can be fixed in the file.
+ */
+
+import { normalizeBbox } from "./detection-anchors.js";
+
+export const DETECTION_SCHEMA_VERSION = 1;
+
+const ITEM_FIELDS = ["type", "value", "score", "start", "end", "page", "bbox", "source"];
+
+/**
+ * Validate the text of a detections file
+ * Valid items are returned even when others are broken, so an explicit override can still use them.
+ * @param {string} text - File content
+ * @returns {{valid: boolean, version: number|null, detections: Array<Object>, errors: Array<Issue>, warnings: Array<Issue>}}
+ */
+export function validateDetectionsFile(text) {
+  let parsed;
+  try {
+    parsed = parseJsonWithLines(text);
+  } catch (err) {
+    return { valid: false, version: null, detections: [], errors: [{ line: err.line ?? null, path: "", message: err.message }], warnings: [] };
+  }
+  return validateDetections(parsed.value, parsed.lines);
+}
+
+/**
+ * Validate an already parsed detections file
+ * @param {any} root - Parsed file
+ * @param {Map<string, number>} [lines] - Line per field path ("pii[3].start"); a field without
+ *   its own line is reported at the line of its detection
+ * @returns {{valid: boolean, version: number|null, detections: Array<Object>, errors: Array<Issue>, warnings: Array<Issue>}}
+ */
+export function validateDetections(root, lines = new Map()) {
+  const errors = [];
+  const warnings = [];
+  const result = (version, detections) => ({ valid: errors.length === 0, version, detections, errors, warnings });
+  const lineOf = (path) => lines.get(path) ?? lines.get(path.replace(/\.[^.[\]]+$/, "")) ?? null;
+  const issue = (list, path, message) => list.push({ line: lineOf(path), path, message });
+
+  if (typeof root !== "object" || root === null || Array.isArray(root)) {
+    issue(errors, "", 'The file must contain an object like {"version": 1, "pii": [...]}');
+    return result(null, []);
+  }
+
+  const version = root.version ?? DETECTION_SCHEMA_VERSION;
+  if (root.version === undefined) {
+    issue(warnings, "", `No "version"; reading the file as version ${DETECTION_SCHEMA_VERSION}`);
+  } else if (root.version !== DETECTION_SCHEMA_VERSION) {
+    issue(errors, "version", `Unsupported version ${JSON.stringify(root.version)} (supported: ${DETECTION_SCHEMA_VERSION})`);
+    return result(root.version, []);
+  }
+  for (const key of Object.keys(root)) {
+    if (key !== "version" && key !== "pii") issue(warnings, key, `Unknown field "${key}" is ignored`);
+  }
+
+  if (!("pii" in root)) {
+    issue(errors, "", 'Missing required field "pii" (the list of detections)');
+    return result(version, []);
+  }
+  if (!Array.isArray(root.pii)) {
+    issue(errors, "pii", '"pii" must be a list of detections');
+    return result(version, []);
+  }
+
+  const detections = [];
+  root.pii.forEach((item, i) => {
+    const at = `pii[${i}]`;
+    const before = errors.length;
+    if (typeof item !== "object" || item === null || Array.isArray(item)) {
+      issue(errors, at, "Each detection must be an object");
+      return;
+    }
+    for (const key of Object.keys(item)) {
+      if (!ITEM_FIELDS.includes(key)) issue(warnings, `${at}.${key}`, `Unknown field "${key}" is ignored`);
+    }
+
+    if (typeof item.type !== "string" || !item.type.trim()) issue(errors, fieldPath(item, at, "type"), '"type" must be a non-empty string');
+
+    const hasBbox = item.bbox !== undefined;
+    if (item.value === undefined) {
+      if (!hasBbox) issue(errors, at, 'Missing required field "value"');
+    } else if (typeof item.value !== "string") {
+      issue(errors, `${at}.value`, '"value" must be a string');
+    } else if (!item.value.trim() && !hasBbox) {
+      issue(errors, `${at}.value`, `"value" is empty${item.start !== undefined ? " (no document text at the given offsets)" : ""}`);
+    }
+
+    if (item.score !== undefined && !(typeof item.score === "number" && item.score >= 0 && item.score <= 1)) {
+      issue(errors, `${at}.score`, '"score" must be a number between 0 and 1');
+    }
+    if ((item.start === undefined) !== (item.end === undefined)) {
+      issue(errors, fieldPath(item, at, item.start === undefined ? "end" : "start"), '"start" and "end" must be given together');
+    } else if (item.start !== undefined) {
+      if (!Number.isInteger(item.start) || item.start < 0) issue(errors, `${at}.start`, '"start" must be an integer >= 0');
+      else if (!Number.isInteger(item.end) || item.end <= item.start) issue(errors, `${at}.end`, '"end" must be an integer greater than "start"');
+    }
+    if (item.page !== undefined && !(Number.isInteger(item.page) && item.page >= 1)) {
+      issue(errors, `${at}.page`, '"page" must be an integer >= 1');
+    }
+    if (hasBbox && !normalizeBbox(item.bbox)) {
+      issue(errors, `${at}.bbox`, '"bbox" must be [x0, y0, x1, y1] or {x, y, width, height} with a positive size');
+    }
+    if (item.source !== undefined && typeof item.source !== "string") issue(errors, `${at}.source`, '"source" must be a string');
+
+    if (errors.length === before) {
+      const { type, value = "", score, start, end, page, bbox, source } = item;
+      detections.push({ type, value, score, start, end, page, bbox, source });
+    }
+  });
+
+  return result(version, detections);
+}
+
+/**
+ * Format an issue for the log
+ * @param {Issue} issue
+ * @returns {string}
+ */
+export function formatIssue({ line, path, message }) {
+  return [line ? `line ${line}` : null, path || null].filter(Boolean).join(", ") + (line || path ? ": " : "") + message;
+}
+
+/**
+ * @typedef {Object} Issue
+ * @property {number|null} line - 1-based line in the file
+ * @property {string} path - Field path like "pii[3].start" ("" for the whole file)
+ * @property {string} message
+ */
+
+// Point at the field when present, else at the detection itself
+function fieldPath(item, at, key) {
+  return key in item ? `${at}.${key}` : at;
+}
+
+/**
+ * Parse JSON and record the line where every value starts
+ * @param {string} text - JSON text
+ * @returns {{value: any, lines: Map<string, number>}} - lines is keyed by path like "pii[3].start"
+ * @throws {Error} with a line property on syntax errors
+ */
+export function parseJsonWithLines(text) {
+  const lines = new Map();
+  const literalRegex = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+  const stringRegex = /"(?:[^"\\]|\\.)*"/y;
+  // Raw line breaks can only occur between tokens, so counting them while skipping whitespace is enough
+  let line = 1;
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const fail = (message) => {
+    const err = new Error(`Invalid JSON: ${message}`);
+    err.line = line;
+    throw err;
+  };
+  const skipWhitespace = () => {
+    for (; pos < text.length && " \t\n\r".includes(text[pos]); pos++) if (text[pos] === "\n") line++;
+  };
+  const match = (regex) => {
+    regex.lastIndex = pos;
+    const m = regex.exec(text);
+    if (m) pos += m[0].length;
+    return m?.[0];
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    lines.set(path, line);
+    const ch = text[pos];
+    if (ch === "{") return parseObject(path);
+    if (ch === "[") return parseArray(path);
+    if (ch === '"') return parseString();
+    const literal = match(literalRegex);
+    if (!literal) fail(pos >= text.length ? "unexpected end of file" : `unexpected ${JSON.stringify(ch)}`);
+    return JSON.parse(literal);
+  };
+
+  const parseString = () => {
+    const string = match(stringRegex);
+    if (!string) fail("unterminated string");
+    try {
+      return JSON.parse(string);
+    } catch {
+      return fail("invalid character or escape in string");
+    }
+  };
+
+  const parseObject = (path) => {
+    const obj = {};
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "}") {
+      pos++;
+      return obj;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail("expected a field name in double quotes");
+      const key = parseString();
+      skipWhitespace();
+      if (text[pos] !== ":") fail(`expected ":" after "${key}"`);
+      pos++;
+      obj[key] = parseValue(path ? `${path}.${key}` : key);
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+        continue;
+      }
+      if (text[pos] === "}") {
+        pos++;
+        return obj;
+      }
+      fail('expected "," or "}"');
+    }
+  };
+
+  const parseArray = (path) => {
+    const arr = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === "]") {
+      pos++;
+      return arr;
+    }
+    for (;;) {
+      arr.push(parseValue(`${path}[${arr.length}]`));
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+        continue;
+      }
+      if (text[pos] === "]") {
+        pos++;
+        return arr;
+      }
+      fail('expected "," or "]"');
+    }
+  };
+
+  const value = parseValue("");
+  skipWhitespace();
+  if (pos < text.length) fail("unexpected content after the end");
+  return { value, lines };
+}
@@ -0,0 +1,122 @@
+/**
+ * Masking of raster images embedded in a DOCX package (word/media/*)
+ * Each image is OCR'd against the detections and written back under the same
+ * relationship id; if the browser cannot re-encode the original format the
+ * image is stored as PNG and its relationships are retargeted.
+ * An image where OCR failed or found none of the values is left as it is and
+ * reported: nothing shows that it holds no PII.
+ */
+
+import { maskImageBytes } from "./image-masker.js";
+
+// Formats browsers can decode into a canvas
+const RASTER_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  bmp: "image/bmp",
+  webp: "image/webp",
+};
+
+const MEDIA_PATTERN = /^word\/media\/[^/]+$/;
+
+/**
+ * OCR and mask every embedded raster image
+ * @param {JSZip} zip - Loaded DOCX package (modified in place)
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @returns {Promise<Array<{path: string, status: 'masked'|'unlocated'|'skipped'|'failed', boxes: number, detail?: string}>>}
+ */
+export async function maskDocxImages(zip, detections) {
+  const results = [];
+  const mediaPaths = Object.keys(zip.files).filter((path) => MEDIA_PATTERN.test(path) && !zip.files[path].dir);
+  const hasValues = (detections || []).some((det) => String(det.value || "").trim());
+
+  for (const path of mediaPaths) {
+    const ext = path.split(".").pop().toLowerCase();
+    const mimeType = RASTER_TYPES[ext];
+    if (!mimeType) {
+      results.push({ path, status: "skipped", boxes: 0, detail: `unsupported format .${ext}` });
+      continue;
+    }
+    if (!hasValues) {
+      results.push({ path, status: "skipped", boxes: 0, detail: "no detected values to search for" });
+      continue;
+    }
+
+    try {
+      const bytes = await zip.file(path).async("uint8array");
+      const { blob, report } = await maskImageBytes(bytes, mimeType, detections);
+      const boxes = report.located.reduce((n, { boxes }) => n + boxes.length, 0);
+
+      if (report.ocrError) {
+        results.push({ path, status: "failed", boxes: 0, detail: report.ocrError });
+        continue;
+      }
+      if (boxes === 0) {
+        results.push({ path, status: "unlocated", boxes: 0, detail: "OCR found none of the detected values" });
+        continue;
+      }
+
+      let outPath = path;
+      if (blob.type !== mimeType) {
+        outPath = uniquePath(zip, path.replace(/\.[^.]+$/, ".png"));
+        zip.remove(path);
+        await retargetRelationships(zip, path, outPath);
+        await ensureDefaultContentType(zip, "png", "image/png");
+      }
+      zip.file(outPath, blob);
+      results.push({ path: outPath, status: "masked", boxes });
+    } catch (err) {
+      console.error(`Failed to mask embedded image ${path}:`, err);
+      results.push({ path, status: "failed", boxes: 0, detail: err?.message || String(err) });
+    }
+  }
+
+  return results;
+}
+
+function uniquePath(zip, path) {
+  if (!zip.file(path)) return path;
+  const base = path.replace(/\.[^.]+$/, "");
+  let i = 1;
+  while (zip.file(`${base}_${i}.png`)) i++;
+  return `${base}_${i}.png`;
+}
+
+// Resolve a relationship target against the folder of its source part
+function resolveTarget(relsPath, target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const sourceDir = relsPath.replace(/_rels\/[^/]+\.rels$/, "");
+  const segments = (sourceDir + target).split("/");
+  const out = [];
+  for (const seg of segments) {
+    if (seg === "..") out.pop();
+    else if (seg && seg !== ".") out.push(seg);
+  }
+  return out.join("/");
+}
+
+async function retargetRelationships(zip, oldPath, newPath) {
+  const oldName = oldPath.split("/").pop();
+  const newName = newPath.split("/").pop();
+  const relsPaths = Object.keys(zip.files).filter((path) => path.endsWith(".rels"));
+
+  for (const relsPath of relsPaths) {
+    const xml = await zip.file(relsPath).async("string");
+    const updated = xml.replace(/(\bTarget=")([^"]+)(")/g, (match, before, target, after) => {
+      if (resolveTarget(relsPath, decodeURIComponent(target)) !== oldPath) return match;
+      return before + target.replace(new RegExp(`${oldName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`), newName) + after;
+    });
+    if (updated !== xml) zip.file(relsPath, updated);
+  }
+}
+
+async function ensureDefaultContentType(zip, extension, contentType) {
+  const xml = await zip.file("[Content_Types].xml")?.async("string");
+  if (!xml || new RegExp(`<Default\\b[^>]*\\bExtension="${extension}"`, "i").test(xml)) return;
+  zip.file(
+    "[Content_Types].xml",
+    xml.replace("</Types>", `<Default Extension="${extension}" ContentType="${contentType}"/></Types>`)
+  );
+}
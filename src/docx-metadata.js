@@ -0,0 +1,106 @@
+/**
+ * DOCX document property sanitization
+ * Clears or masks the author/company/title fields kept in docProps/*.xml
+ */
+
+import { decodeXmlText, encodeXmlText } from "./docx-parts.js";
+
+// Person- or organisation-revealing fields per property part
+const METADATA_FIELDS = {
+  "docProps/core.xml": [
+    "dc:title",
+    "dc:subject",
+    "dc:creator",
+    "dc:description",
+    "dc:identifier",
+    "cp:keywords",
+    "cp:lastModifiedBy",
+    "cp:category",
+    "cp:contentStatus",
+  ],
+  "docProps/app.xml": ["Company", "Manager", "HyperlinkBase"],
+};
+
+// docProps/app.xml repeats the document title in TitlesOfParts/vt:vector/vt:lpstr
+const APP_PROPERTIES_PART = "docProps/app.xml";
+
+const CUSTOM_PROPERTIES_PART = "docProps/custom.xml";
+
+/**
+ * Sanitize DOCX document properties in place
+ * @param {JSZip} zip - Loaded DOCX package
+ * @param {'blank'|'keep'|'mask'} mode - blank: clear the fields, keep: leave untouched,
+ *   mask: apply the detections to the field values
+ * @param {(text: string) => string} maskText - Applies the detections to a plain-text value
+ * @param {Function} [record] - Receives {part, field, original, replacement} per masked value (mask mode),
+ *   field being the element holding it; cleared and removed values cannot be restored
+ * @returns {Promise<Array<{part: string, field: string, action: 'cleared'|'masked'|'removed'}>>}
+ */
+export async function sanitizeDocxMetadata(zip, mode, maskText, record) {
+  const changes = [];
+  if (mode === "keep") return changes;
+
+  for (const [part, fields] of Object.entries(METADATA_FIELDS)) {
+    let xml = await zip.file(part)?.async("string");
+    if (!xml) continue;
+    const maskValue = recordingMasker(part, maskText, record);
+
+    for (const field of fields) {
+      const elementRegex = new RegExp(`<(${field})(\\s[^>]*)?>([\\s\\S]*?)</${field}>`, "g");
+      xml = xml.replace(elementRegex, (match, name, attrs = "", content) => {
+        if (!content.trim()) return match;
+        const newValue = mode === "mask" ? maskValue(decodeXmlText(content), name) : "";
+        const newContent = encodeXmlText(newValue);
+        if (newContent === content) return match;
+        changes.push({ part, field: name, action: mode === "mask" ? "masked" : "cleared" });
+        return `<${name}${attrs}>${newContent}</${name}>`;
+      });
+    }
+
+    if (part === APP_PROPERTIES_PART) {
+      xml = xml.replace(/<TitlesOfParts>([\s\S]*?)<\/TitlesOfParts>/, (match, body) => {
+        const newBody = replaceVariantStrings(body, (value, tag) => (mode === "mask" ? maskValue(value, tag) : ""));
+        if (newBody === body) return match;
+        changes.push({ part, field: "TitlesOfParts", action: mode === "mask" ? "masked" : "cleared" });
+        return `<TitlesOfParts>${newBody}</TitlesOfParts>`;
+      });
+    }
+
+    zip.file(part, xml);
+  }
+
+  let customXml = await zip.file(CUSTOM_PROPERTIES_PART)?.async("string");
+  if (customXml) {
+    const propertyRegex = /<property\b([^>]*)>([\s\S]*?)<\/property>/g;
+    customXml = customXml.replace(propertyRegex, (match, attrs, body) => {
+      const field = decodeXmlText(/\bname="([^"]*)"/.exec(attrs)?.[1] || "(unnamed)");
+      if (mode === "blank") {
+        changes.push({ part: CUSTOM_PROPERTIES_PART, field, action: "removed" });
+        return "";
+      }
+      const newBody = replaceVariantStrings(body, recordingMasker(CUSTOM_PROPERTIES_PART, maskText, record));
+      if (newBody === body) return match;
+      changes.push({ part: CUSTOM_PROPERTIES_PART, field, action: "masked" });
+      return `<property${attrs}>${newBody}</property>`;
+    });
+    zip.file(CUSTOM_PROPERTIES_PART, customXml);
+  }
+
+  return changes;
+}
+
+// Rewrite the string values (vt:lpwstr / vt:lpstr / vt:bstr) of a property body
+function replaceVariantStrings(body, rewrite) {
+  return body.replace(/(<vt:(lpwstr|lpstr|bstr)>)([\s\S]*?)(<\/vt:\2>)/g, (m, open, tag, content, close) =>
+    `${open}${encodeXmlText(rewrite(decodeXmlText(content), `vt:${tag}`))}${close}`
+  );
+}
+
+// maskText that also reports the values it changes, with the element holding them
+function recordingMasker(part, maskText, record) {
+  return (value, field) => {
+    const masked = maskText(value);
+    if (record && masked !== value) record({ part, field, original: value, replacement: masked });
+    return masked;
+  };
+}
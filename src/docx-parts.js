@@ -0,0 +1,84 @@
+/**
+ * DOCX package helpers
+ * Locates the WordprocessingML parts that carry document text and escapes XML text
+ */
+
+// Content types of parts whose <w:t> runs are visible text
+const TEXT_PART_CONTENT_TYPES = [
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml",
+  "application/vnd.ms-word.document.macroEnabled.main+xml",
+  "application/vnd.ms-word.template.macroEnabledTemplate.main+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document.glossary+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.endnotes+xml",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml",
+];
+
+// Used when [Content_Types].xml is missing or unreadable
+const TEXT_PART_NAME_PATTERN = /^word\/(document\d*|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+/**
+ * List the text-bearing parts of a DOCX package, main document first
+ * @param {JSZip} zip - Loaded DOCX package
+ * @returns {Promise<string[]>} - Zip paths (without leading slash)
+ */
+export async function listDocxTextParts(zip) {
+  const contentTypes = await zip.file("[Content_Types].xml")?.async("string");
+  const parts = [];
+
+  if (contentTypes) {
+    const overrideRegex = /<Override\b([^>]*)\/?>/g;
+    let match;
+    while ((match = overrideRegex.exec(contentTypes)) !== null) {
+      const attrs = match[1];
+      const partName = /PartName="([^"]+)"/.exec(attrs)?.[1];
+      const contentType = /ContentType="([^"]+)"/.exec(attrs)?.[1];
+      if (!partName || !TEXT_PART_CONTENT_TYPES.includes(contentType)) continue;
+      const path = decodeURIComponent(partName.replace(/^\//, ""));
+      if (zip.file(path)) parts.push({ path, isMain: contentType.includes(".main+xml") });
+    }
+  }
+
+  if (parts.length === 0) {
+    zip.forEach((path) => {
+      if (TEXT_PART_NAME_PATTERN.test(path)) parts.push({ path, isMain: path.startsWith("word/document") });
+    });
+  }
+
+  return parts
+    .sort((a, b) => Number(b.isMain) - Number(a.isMain))
+    .map((p) => p.path);
+}
+
+/**
+ * Decode the predefined XML entities and character references of a text node
+ * @param {string} text - Escaped XML text
+ * @returns {string}
+ */
+export function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (m, ent) => {
+    if (ent === "amp") return "&";
+    if (ent === "lt") return "<";
+    if (ent === "gt") return ">";
+    if (ent === "quot") return '"';
+    if (ent === "apos") return "'";
+    const code = ent[1] === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Escape text for use as XML element content or attribute value
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export function encodeXmlText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
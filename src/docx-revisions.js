@@ -0,0 +1,63 @@
+/**
+ * Tracked changes and hidden text in WordprocessingML parts
+ * Text under <w:del>, <w:moveFrom>, <w:instrText> or in <w:vanish/> runs is invisible in the
+ * default view but comes back when a recipient shows markup or hidden text.
+ */
+
+const DELETION_BLOCK = /<w:del\b[^>]*?(?<!\/)>[\s\S]*?<\/w:del>/g;
+const MOVE_FROM_BLOCK = /<w:moveFrom\b[^>]*?(?<!\/)>[\s\S]*?<\/w:moveFrom>/g;
+const INSERTION_TAGS = /<\/?w:(?:ins|moveTo)\b[^>]*?(?<!\/)>/g;
+// Self-closing revision marks (paragraph marks, table cells) and move range bookmarks
+const REVISION_MARKERS = /<w:(?:del|ins|moveFrom|moveTo|cellDel|cellIns|cellMerge|(?:moveFrom|moveTo)Range(?:Start|End))\b[^>]*\/>/g;
+// Formatting revisions carry the previous properties only, never text
+const PROPERTY_CHANGES = /<w:(rPrChange|pPrChange|sectPrChange|tblPrChange|tblPrExChange|trPrChange|tcPrChange|tblGridChange|numberingChange)\b[^>]*?(?<!\/)>[\s\S]*?<\/w:\1>|<w:(?:rPrChange|pPrChange|sectPrChange|tblPrChange|tblPrExChange|trPrChange|tcPrChange|tblGridChange|numberingChange)\b[^>]*\/>/g;
+// A run whose own properties switch on <w:vanish/> (hidden text)
+const HIDDEN_RUN = /<w:r\b[^>]*?(?<!\/)>(?:(?!<\/w:r>)[\s\S])*?<w:(?:vanish|specVanish)(?:\s+w:val="(?:true|1|on)")?\s*\/>[\s\S]*?<\/w:r>/g;
+
+function count(xml, regex) {
+  return (xml.match(regex) || []).length;
+}
+
+/**
+ * Count the hidden constructs in a part
+ * @param {string} xml - Part XML
+ * @returns {{deletions: number, insertions: number, moves: number, hiddenRuns: number, fieldInstructions: number}}
+ */
+export function inspectHiddenContent(xml) {
+  return {
+    deletions: count(xml, DELETION_BLOCK),
+    insertions: count(xml, /<w:ins\b[^>]*?(?<!\/)>/g),
+    moves: count(xml, MOVE_FROM_BLOCK),
+    hiddenRuns: count(xml, HIDDEN_RUN),
+    fieldInstructions: count(xml, /<w:instrText\b/g) + count(xml, /<w:fldSimple\b/g),
+  };
+}
+
+/**
+ * Accept all tracked changes and strip hidden runs
+ * Deleted and moved-away text is dropped, inserted and moved-to text is kept as normal text.
+ * @param {string} xml - Part XML
+ * @returns {string} - Part XML without revisions or hidden text
+ */
+export function acceptRevisionsAndStripHidden(xml) {
+  return xml
+    .replace(DELETION_BLOCK, "")
+    .replace(MOVE_FROM_BLOCK, "")
+    .replace(INSERTION_TAGS, "")
+    .replace(REVISION_MARKERS, "")
+    .replace(PROPERTY_CHANGES, "")
+    .replace(HIDDEN_RUN, "");
+}
+
+/**
+ * Add the counts of one part to a running summary
+ * @param {Object} summary - Accumulated counts
+ * @param {Object} counts - Counts from inspectHiddenContent
+ * @returns {Object} - The updated summary
+ */
+export function addHiddenContentCounts(summary, counts) {
+  for (const [key, value] of Object.entries(counts)) {
+    summary[key] = (summary[key] || 0) + value;
+  }
+  return summary;
+}
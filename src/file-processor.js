@@ -3,6 +3,7 @@
  */
 
 import mammoth from "mammoth";
+import { extractWordDocumentText } from "./word-doc.js";
 import * as pdfjsLib from 'pdfjs-dist';
 
 // Disable worker for simpler setup
@@ -58,19 +59,34 @@ export async function extractTextFromDocx(arrayBuffer) {
  * @returns {Promise<string>} - Extracted text
  */
 export async function extractTextFromDoc(arrayBuffer) {
-  // mammoth also supports .doc files
+  // mammoth only reads DOCX; .doc text comes from the Word 97 piece table
   try {
-    const { value } = await mammoth.extractRawText({ arrayBuffer });
-    return (value || "").replace(/\r/g, "");
+    return extractWordDocumentText(arrayBuffer);
   } catch (error) {
     throw new Error(`Failed to extract text from DOC file: ${error.message}`);
   }
 }
 
+// Page classification: a page is masked through its raster ("scanned") when images cover
+// most of it (any text on it is an OCR layer), when it has no text at all, or when it has
+// little text over a large image
+const FULL_IMAGE_COVERAGE = 0.8;
+const PARTIAL_IMAGE_COVERAGE = 0.3;
+const SPARSE_TEXT_CHARS = 50;
+
+/**
+ * @typedef {Object} PdfPageInfo
+ * @property {number} page - 1-based page number
+ * @property {'text'|'scanned'} kind - How the page must be masked
+ * @property {number} textLength - Non-whitespace characters in the text layer
+ * @property {number} imageCoverage - Share of the page area covered by images (0..1)
+ */
+
 /**
  * Extract text from PDF file
  * @param {ArrayBuffer} arrayBuffer - The PDF file as ArrayBuffer
- * @returns {Promise<{text: string, isScanned: boolean}>} - Extracted text and whether it's a scanned PDF
+ * @returns {Promise<{text: string, isScanned: boolean, pageStarts: number[], pages: PdfPageInfo[]}>} - Extracted text,
+ *   whether every page is scanned, the offset of each page in the text and the classification of each page
  */
 export async function extractTextFromPdf(arrayBuffer) {
   try {
@@ -86,6 +102,8 @@ export async function extractTextFromPdf(arrayBuffer) {
     const pdfDoc = await loadingTask.promise;
     
     let fullText = '';
+    const pageStarts = [];
+    const pages = [];
     const numPages = pdfDoc.numPages;
     
     console.log(`Extracting text from ${numPages} pages...`);
@@ -94,30 +112,101 @@ export async function extractTextFromPdf(arrayBuffer) {
       const page = await pdfDoc.getPage(i);
       const textContent = await page.getTextContent();
       const pageText = textContent.items.map(item => item.str).join('');
+      pageStarts.push(fullText.length);
       fullText += pageText + '\n\n';
+      pages.push(classifyPdfPage(i, pageText, await measureImageCoverage(page)));
     }
     
-    // Heuristic: if very little text extracted, it's likely a scanned PDF
-    const isScanned = fullText.trim().length < 100 && numPages > 0;
+    const isScanned = numPages > 0 && pages.every((p) => p.kind === 'scanned');
     
-    console.log(`Extracted ${fullText.length} characters, isScanned: ${isScanned}`);
+    console.log(`Extracted ${fullText.length} characters, isScanned: ${isScanned}`, pages);
     
     await pdfDoc.destroy();
     
+    // Only trim the end so detection offsets line up with pageStarts
     return {
-      text: fullText.trim(),
-      isScanned
+      text: fullText.trimEnd(),
+      isScanned,
+      pageStarts,
+      pages
     };
   } catch (error) {
     console.error('Error extracting text from PDF:', error);
     // Return empty text and mark as scanned to fall back to image masking
     return {
       text: '',
-      isScanned: true
+      isScanned: true,
+      pageStarts: [],
+      pages: []
     };
   }
 }
 
+/**
+ * Classify a PDF page from its text layer and image coverage
+ * @param {number} page - 1-based page number
+ * @param {string} pageText - Text layer of the page
+ * @param {number} imageCoverage - Share of the page covered by images
+ * @returns {PdfPageInfo}
+ */
+export function classifyPdfPage(page, pageText, imageCoverage) {
+  const textLength = pageText.replace(/\s+/g, '').length;
+  const scanned =
+    imageCoverage >= FULL_IMAGE_COVERAGE ||
+    textLength === 0 ||
+    (textLength < SPARSE_TEXT_CHARS && imageCoverage >= PARTIAL_IMAGE_COVERAGE);
+  return { page, kind: scanned ? 'scanned' : 'text', textLength, imageCoverage };
+}
+
+// Image painting operators; each paints the unit square of the current transformation
+const IMAGE_OPS = new Set([
+  pdfjsLib.OPS.paintImageXObject,
+  pdfjsLib.OPS.paintInlineImageXObject,
+  pdfjsLib.OPS.paintImageMaskXObject,
+  pdfjsLib.OPS.paintJpegXObject,
+]);
+
+/**
+ * Share of a pdf.js page covered by images
+ * Follows the transformation matrix through the operator list and adds up the page area
+ * covered by the bounding box of every image (overlapping images may be counted twice).
+ * @param {PDFPageProxy} page - pdf.js page
+ * @returns {Promise<number>} - 0..1
+ */
+async function measureImageCoverage(page) {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const [vx0, vy0, vx1, vy1] = page.view;
+  const pageArea = (vx1 - vx0) * (vy1 - vy0);
+  if (!(pageArea > 0)) return 0;
+
+  const { OPS } = pdfjsLib;
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let covered = 0;
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || ctm;
+    } else if (fn === OPS.transform) {
+      ctm = pdfjsLib.Util.transform(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (Array.isArray(args?.[0])) ctm = pdfjsLib.Util.transform(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || ctm;
+    } else if (IMAGE_OPS.has(fn)) {
+      const [x0, y0, x1, y1] = pdfjsLib.Util.getAxialAlignedBoundingBox([0, 0, 1, 1], ctm);
+      const width = Math.min(x1, vx1) - Math.max(x0, vx0);
+      const height = Math.min(y1, vy1) - Math.max(y0, vy0);
+      if (width > 0 && height > 0) covered += width * height;
+    }
+  }
+  return Math.min(1, covered / pageArea);
+}
+
 /**
  * Check if file is an image
  * @param {File} file - The file to check
@@ -150,7 +239,7 @@ export function loadImage(file) {
 /**
  * Extract text and metadata from any supported file
  * @param {File} file - The file to process
- * @returns {Promise<{text: string, fileType: string, isScanned: boolean}>}
+ * @returns {Promise<{text: string, fileType: string, isScanned: boolean, pageStarts?: number[]}>}
  */
 export async function extractTextFromFile(file) {
   const { type } = detectFileType(file);
@@ -172,11 +261,13 @@ export async function extractTextFromFile(file) {
       };
     
     case 'pdf': {
-      const { text, isScanned } = await extractTextFromPdf(arrayBuffer);
+      const { text, isScanned, pageStarts, pages } = await extractTextFromPdf(arrayBuffer);
       return {
         text,
         fileType: 'pdf',
-        isScanned
+        isScanned,
+        pageStarts,
+        pages
       };
     }
     
@@ -3,23 +3,50 @@
  * Masks detected PII with black rectangles using OCR positioning
  */
 
-import { PDFDocument, rgb } from "pdf-lib";
+import { PDFDocument, PDFName, rgb } from "pdf-lib";
 import * as pdfjsLib from "pdfjs-dist";
 import { createWorker } from 'tesseract.js';
+import { pruneUnreachableObjects } from "./pdf-redact.js";
+import { sanitizePdf } from "./pdf-sanitize.js";
+import { normalizeBbox } from "./detection-anchors.js";
 
 // Set up PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
 
+// Tesseract languages (French + English improves accuracy on FR IDs)
+const OCR_LANGUAGES = 'eng+fra';
+
+// Render scale for OCR of PDF pages (2 = 144 dpi)
+const OCR_RENDER_SCALE = 2;
+
 /**
  * Mask image file by drawing black rectangles over detected PII
+ * Detections that OCR cannot locate are reported instead of being guessed at.
  * @param {File} imageFile - Original image file
- * @param {Array<{type: string, value: string}>} detections - PII detections
- * @returns {Promise<Blob>} - Masked image as PNG
+ * @param {Array<{type: string, value: string, bbox?: any}>} detections - PII detections;
+ *   a bbox (image pixels, see detection-anchors.js) is masked as given, without OCR
+ * @returns {Promise<{blob: Blob, report: MaskingReport}>} - Masked image as PNG and what was (not) located
  */
 export async function maskImage(imageFile, detections) {
   // Load image
   const img = await loadImageFromFile(imageFile);
+  return maskLoadedImage(img, detections, 'image/png');
+}
 
+/**
+ * Mask an image held in memory, e.g. one embedded in a DOCX package
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string} mimeType - Image MIME type; the output keeps it when the browser can encode it
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @returns {Promise<{blob: Blob, report: MaskingReport}>} - Masked image (blob.type tells the actual format)
+ */
+export async function maskImageBytes(bytes, mimeType, detections) {
+  const img = await loadImageFromFile(new Blob([bytes], { type: mimeType }));
+  return maskLoadedImage(img, detections, mimeType);
+}
+
+// OCR a loaded image, burn in boxes and encode the result
+async function maskLoadedImage(img, detections, outputType) {
   // Create canvas
   const canvas = document.createElement('canvas');
   canvas.width = img.width;
@@ -29,27 +56,42 @@ export async function maskImage(imageFile, detections) {
   // Draw original image
   ctx.drawImage(img, 0, 0);
 
-  // Try OCR-based masking for precise alignment
+  const report = createReport();
+  ctx.fillStyle = 'black';
+
+  // Detections with a bounding box are masked where they say, the rest is located with OCR
+  const searched = [];
+  for (const detection of detections || []) {
+    const box = normalizeBbox(detection.bbox);
+    if (!box) {
+      searched.push(detection);
+      continue;
+    }
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+    report.located.push({ detection, boxes: [box] });
+  }
+  if (maskableDetections(searched).length === 0) return { blob: await canvasToBlob(canvas, outputType), report };
+
+  // OCR-based masking for precise alignment; never fall back to made-up positions
   try {
-    const boxes = await extractBoxesWithTesseract(img, detections);
-    ctx.fillStyle = 'black';
-    for (const b of boxes) {
-      ctx.fillRect(b.x - 2, b.y - 2, b.width + 4, b.height + 4);
+    const { located, unlocated } = await extractBoxesWithTesseract(img, searched);
+    for (const { boxes } of located) {
+      for (const b of boxes) {
+        ctx.fillRect(b.x - 2, b.y - 2, b.width + 4, b.height + 4);
+      }
     }
+    report.located.push(...located);
+    report.unlocated.push(...unlocated);
   } catch (err) {
-    console.warn('OCR masking failed, falling back to heuristic rectangles:', err);
-    // Fallback: draw rough rectangles (previous behavior)
-    ctx.fillStyle = 'black';
-    const textHeight = 20;
-    const padding = 5;
-    for (let i = 0; i < detections.length; i++) {
-      const y = 50 + (i * 30);
-      const x = 50;
-      const width = 300;
-      ctx.fillRect(x - padding, y - textHeight + padding, width + (padding * 2), textHeight + padding);
-    }
+    console.error('OCR masking failed:', err);
+    report.ocrError = err?.message || String(err);
+    report.unlocated.push(...maskableDetections(searched).map((detection) => ({ detection, reason: 'OCR failed' })));
   }
 
+  return { blob: await canvasToBlob(canvas, outputType), report };
+}
+
+function canvasToBlob(canvas, outputType) {
   return new Promise((resolve, reject) => {
     canvas.toBlob((blob) => {
       if (blob) {
@@ -57,14 +99,30 @@ export async function maskImage(imageFile, detections) {
       } else {
         reject(new Error('Failed to create image blob'));
       }
-    }, 'image/png');
+    }, outputType);
   });
 }
 
+/**
+ * @typedef {Object} MaskingReport
+ * @property {Array<{detection: Object, boxes: Array<{x: number, y: number, width: number, height: number}>, page?: number}>} located
+ * @property {Array<{detection: Object, reason: string}>} unlocated - Detections still visible in the output
+ * @property {string|null} ocrError - Set when OCR itself failed
+ * @property {Array<{page: number, error: string}>} pageErrors - PDF pages that could not be masked and were left as they are
+ */
+function createReport() {
+  return { located: [], unlocated: [], ocrError: null, pageErrors: [] };
+}
+
+// Detections with a non-empty value (the only ones a masker can act on)
+function maskableDetections(detections) {
+  return (detections || []).filter((det) => String(det.value || '').trim());
+}
+
 // Run Tesseract to get word boxes and map detections to boxes
-async function extractBoxesWithTesseract(imgElement, detections) {
-  // Prepare worker (French + English improves accuracy on FR IDs)
-  const worker = await createWorker('eng+fra');
+// Returns { boxes, located: [{detection, boxes}], unlocated: [{detection, reason}] }
+export async function extractBoxesWithTesseract(imgElement, detections) {
+  const worker = await createWorker(OCR_LANGUAGES);
   try {
     // Recognize directly from canvas to avoid re-encoding
     const tempCanvas = document.createElement('canvas');
@@ -73,156 +131,313 @@ async function extractBoxesWithTesseract(imgElement, detections) {
     const tctx = tempCanvas.getContext('2d');
     tctx.drawImage(imgElement, 0, 0);
 
-    const { data } = await worker.recognize(tempCanvas);
-    const words = data?.words || [];
-
-    // Index words by order with normalized text
-    const normalized = (s) => s
-      .normalize('NFKD')
-      .replace(/\p{Diacritic}+/gu, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .toLowerCase();
-
-    const wordList = words.map(w => ({
-      text: w.text || '',
-      ntext: normalized(w.text || ''),
-      bbox: { x: w.bbox.x0, y: w.bbox.y0, width: w.bbox.x1 - w.bbox.x0, height: w.bbox.y1 - w.bbox.y0 }
-    }));
-
-    const boxes = [];
-
-    // Token-level matcher with strict rules: digits exact, short words exact, longer words allow 1 edit
-    const levenshtein = (a, b) => {
-      const m = a.length, n = b.length;
-      const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-      for (let i = 0; i <= m; i++) dp[i][0] = i;
-      for (let j = 0; j <= n; j++) dp[0][j] = j;
-      for (let i = 1; i <= m; i++) {
-        for (let j = 1; j <= n; j++) {
-          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-          dp[i][j] = Math.min(
-            dp[i - 1][j] + 1,
-            dp[i][j - 1] + 1,
-            dp[i - 1][j - 1] + cost
-          );
-        }
+    return await findDetectionBoxes(worker, tempCanvas, detections);
+  } finally {
+    await worker.terminate();
+  }
+}
+
+// Recognize a canvas with an existing worker and match detections against the word boxes
+async function findDetectionBoxes(worker, canvas, detections) {
+  const { data } = await worker.recognize(canvas);
+  const words = data?.words || [];
+
+  // Index words by order with normalized text
+  const normalized = (s) => s
+    .normalize('NFKD')
+    .replace(/\p{Diacritic}+/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  const wordList = words.map(w => ({
+    text: w.text || '',
+    ntext: normalized(w.text || ''),
+    bbox: { x: w.bbox.x0, y: w.bbox.y0, width: w.bbox.x1 - w.bbox.x0, height: w.bbox.y1 - w.bbox.y0 }
+  }));
+
+  const boxes = [];
+
+  // Token-level matcher with strict rules: digits exact, short words exact, longer words allow 1 edit
+  const levenshtein = (a, b) => {
+    const m = a.length, n = b.length;
+    const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+    for (let i = 0; i <= m; i++) dp[i][0] = i;
+    for (let j = 0; j <= n; j++) dp[0][j] = j;
+    for (let i = 1; i <= m; i++) {
+      for (let j = 1; j <= n; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        dp[i][j] = Math.min(
+          dp[i - 1][j] + 1,
+          dp[i][j - 1] + 1,
+          dp[i - 1][j - 1] + cost
+        );
       }
-      return dp[m][n];
-    };
+    }
+    return dp[m][n];
+  };
 
-    const tokensMatchStrict = (windowTokens, targetTokens) => {
-      if (windowTokens.length !== targetTokens.length) return false;
-      for (let t = 0; t < targetTokens.length; t++) {
-        const tgt = targetTokens[t];
-        const win = windowTokens[t];
-        const hasDigit = /\d/.test(tgt) || /\d/.test(win);
-        if (hasDigit || tgt.length <= 3) {
-          if (win !== tgt) return false; // exact for digits and very short tokens
-        } else {
-          const dist = levenshtein(win, tgt);
-          if (dist > 1) return false; // allow 1 edit for longer alphabetic tokens
-        }
+  const tokensMatchStrict = (windowTokens, targetTokens) => {
+    if (windowTokens.length !== targetTokens.length) return false;
+    for (let t = 0; t < targetTokens.length; t++) {
+      const tgt = targetTokens[t];
+      const win = windowTokens[t];
+      const hasDigit = /\d/.test(tgt) || /\d/.test(win);
+      if (hasDigit || tgt.length <= 3) {
+        if (win !== tgt) return false; // exact for digits and very short tokens
+      } else {
+        const dist = levenshtein(win, tgt);
+        if (dist > 1) return false; // allow 1 edit for longer alphabetic tokens
       }
-      return true;
-    };
+    }
+    return true;
+  };
+
+  const located = [];
+  const unlocated = [];
+
+  for (const det of detections || []) {
+    const target = normalized(String(det.value || ''));
+    if (!target) continue;
+
+    // Split into tokens; try to match consecutive words with fuzziness
+    const tokens = target.split(' ').filter(Boolean);
+    if (tokens.length === 0) continue;
+    const detBoxes = [];
+
+    // Sliding fuzzy window over word sequence
+    const targetCompact = target.replace(/\s/g, '');
+    for (let i = 0; i < wordList.length; i++) {
+      // Prefer exact token-length windows to avoid overmasking trailing words (e.g., city names)
+      const preferredLens = [tokens.length];
+      for (const wlenRaw of preferredLens) {
+        const wlen = Math.min(wlenRaw, wordList.length - i);
+        const window = wordList.slice(i, i + wlen);
+        const windowText = window.map(w => w.ntext).join(' ');
+        const windowCompact = windowText.replace(/\s/g, '');
 
-    for (const det of detections || []) {
-      const target = normalized(String(det.value || ''));
-      if (!target) continue;
-
-      // Split into tokens; try to match consecutive words with fuzziness
-      const tokens = target.split(' ').filter(Boolean);
-      if (tokens.length === 0) continue;
-
-      // Sliding fuzzy window over word sequence
-      const targetCompact = target.replace(/\s/g, '');
-      for (let i = 0; i < wordList.length; i++) {
-        // Prefer exact token-length windows to avoid overmasking trailing words (e.g., city names)
-        const preferredLens = [tokens.length];
-        for (const wlenRaw of preferredLens) {
-          const wlen = Math.min(wlenRaw, wordList.length - i);
-          const window = wordList.slice(i, i + wlen);
-          const windowText = window.map(w => w.ntext).join(' ');
-          const windowCompact = windowText.replace(/\s/g, '');
-
-          // STRICT, token-aware match: require tokens to match with tight tolerance
-          let isMatch = false;
-          if (windowCompact === targetCompact || tokensMatchStrict(window.map(w => w.ntext), tokens)) {
+        // STRICT, token-aware match: require tokens to match with tight tolerance
+        let isMatch = false;
+        if (windowCompact === targetCompact || tokensMatchStrict(window.map(w => w.ntext), tokens)) {
+          isMatch = true;
+        } else {
+          // Fuzzy fallback for minor OCR slips (max 2 edits), but same token count and same digit sequence
+          const digitsEqual = windowCompact.replace(/\D/g, '') === targetCompact.replace(/\D/g, '');
+          const dist = levenshtein(windowCompact, targetCompact);
+          const ratio = dist / Math.max(1, targetCompact.length);
+          if (digitsEqual && dist <= 2 && ratio <= 0.12) {
             isMatch = true;
-          } else {
-            // Fuzzy fallback for minor OCR slips (max 2 edits), but same token count and same digit sequence
-            const digitsEqual = windowCompact.replace(/\D/g, '') === targetCompact.replace(/\D/g, '');
-            const dist = levenshtein(windowCompact, targetCompact);
-            const ratio = dist / Math.max(1, targetCompact.length);
-            if (digitsEqual && dist <= 2 && ratio <= 0.12) {
-              isMatch = true;
-            }
           }
+        }
 
-          if (isMatch) {
-            // Combine bounding boxes from window
-            let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
-            for (const w of window) {
-              const b = w.bbox;
-              x0 = Math.min(x0, b.x);
-              y0 = Math.min(y0, b.y);
-              x1 = Math.max(x1, b.x + b.width);
-              y1 = Math.max(y1, b.y + b.height);
-            }
-            boxes.push({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
-            i = i + wlen - 1; // skip ahead
-            break;
+        if (isMatch) {
+          // Combine bounding boxes from window
+          let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+          for (const w of window) {
+            const b = w.bbox;
+            x0 = Math.min(x0, b.x);
+            y0 = Math.min(y0, b.y);
+            x1 = Math.max(x1, b.x + b.width);
+            y1 = Math.max(y1, b.y + b.height);
           }
+          detBoxes.push({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+          i = i + wlen - 1; // skip ahead
+          break;
         }
       }
     }
 
-    return boxes;
-  } finally {
-    await worker.terminate();
+    boxes.push(...detBoxes);
+    if (detBoxes.length > 0) {
+      located.push({ detection: det, boxes: detBoxes });
+    } else {
+      unlocated.push({ detection: det, reason: 'No matching OCR words' });
+    }
   }
+
+  return { boxes, located, unlocated };
 }
 
 /**
- * Mask scanned PDF by drawing black rectangles over detected PII
+ * Mask scanned PDF by OCR-locating detected PII and burning black boxes into the page raster
+ * Each page is rendered with pdf.js, matched with Tesseract like images are, and replaced
+ * by the masked raster so the original pixels do not survive in the output.
  * @param {ArrayBuffer} pdfArrayBuffer - Original PDF file
- * @param {Array<{type: string, value: string}>} detections - PII detections
- * @returns {Promise<Blob>} - Masked PDF file
+ * @param {Array<{type: string, value: string, page?: number, bbox?: any}>} detections - PII detections
+ * @param {Object} [options] - Options of sanitizePdf for metadata, annotations and attachments, and:
+ * @param {number[]} [options.pages] - 1-based pages to mask (default: all); the others are left as they are
+ * @param {boolean} [options.sanitize=true] - Sanitize the document objects (off when another pass does it)
+ * @returns {Promise<{blob: Blob, report: MaskingReport & {sanitized: Array<Object>}}>} - Masked PDF file, what was
+ *   (not) located and the document objects sanitized
  */
-export async function maskScannedPdf(pdfArrayBuffer, detections) {
+export async function maskScannedPdf(pdfArrayBuffer, detections, options = {}) {
+  const { pages: onlyPages = null, sanitize = true, ...sanitizeOptions } = options;
   const pdfDoc = await PDFDocument.load(pdfArrayBuffer);
   const pages = pdfDoc.getPages();
-  
-  // For scanned PDFs, we need to:
-  // 1. Extract images from each page
-  // 2. Use OCR to find text positions (or use heuristics)
-  // 3. Draw black rectangles over detected PII
-  
-  // Simple approach: draw black rectangles at estimated positions
-  for (const page of pages) {
-    const { width, height } = page.getSize();
-    
-    // Draw black rectangles over detected areas
-    // This is a placeholder - in production, use OCR to find exact positions
-    for (let i = 0; i < detections.length; i++) {
-      const y = height - 100 - (i * 30); // From top
-      const x = 50;
-      const rectWidth = 300;
-      const rectHeight = 20;
-      
-      page.drawRectangle({
-        x,
-        y,
-        width: rectWidth,
-        height: rectHeight,
-        color: rgb(0, 0, 0),
-      });
+
+  const renderDoc = await pdfjsLib.getDocument({
+    data: new Uint8Array(pdfArrayBuffer.slice(0)),
+    disableWorker: true,
+  }).promise;
+  const report = createReport();
+  const foundOnPages = new Map(); // detection -> [{page, boxes}]
+  // Detections with page + bbox (PDF points of the displayed page) skip OCR; a region without
+  // a page only says where on a single-page PDF
+  const regions = (detections || []).filter((det) => normalizeBbox(det.bbox));
+  const regionPage = (det) => det.page ?? (pages.length === 1 ? 1 : null);
+  const searched = (detections || []).filter((det) => !normalizeBbox(det.bbox));
+  let worker = null;
+
+  // Render and OCR page i (0-based), then replace it by its raster with the PII burnt in
+  const maskScannedPage = async (i) => {
+    const pdfPage = await renderDoc.getPage(i + 1);
+
+    // OCR the page as it is displayed (page rotation applied)
+    const viewport = pdfPage.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = await renderPageToCanvas(pdfPage, viewport);
+    const located = [];
+    for (const detection of regions) {
+      if (regionPage(detection) !== i + 1) continue;
+      const box = normalizeBbox(detection.bbox);
+      const scaled = { x: box.x * OCR_RENDER_SCALE, y: box.y * OCR_RENDER_SCALE, width: box.width * OCR_RENDER_SCALE, height: box.height * OCR_RENDER_SCALE };
+      located.push({ detection, boxes: [scaled] });
+    }
+    // A value-only detection tagged with a page is only searched on that page
+    const pageSearched = maskableDetections(searched).filter((det) => !det.page || det.page === i + 1);
+    if (pageSearched.length > 0) {
+      located.push(...(await findDetectionBoxes(worker, canvas, pageSearched)).located);
+    }
+
+    // Map pixel boxes back to PDF user space
+    const toUserSpace = (b) => {
+      const [x0, y0] = viewport.convertToPdfPoint(b.x - 2, b.y - 2);
+      const [x1, y1] = viewport.convertToPdfPoint(b.x + b.width + 2, b.y + b.height + 2);
+      return { x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) };
+    };
+    const userBoxes = [];
+    const pageHits = located.map(({ detection, boxes }) => ({ detection, boxes: boxes.map(toUserSpace) }));
+    for (const { boxes } of pageHits) userBoxes.push(...boxes);
+    console.log(`Page ${i + 1}: located ${userBoxes.length} PII boxes`, userBoxes);
+
+    // Burn the boxes into an unrotated raster that lines up with user space
+    const flatViewport = pdfPage.rotate ? pdfPage.getViewport({ scale: OCR_RENDER_SCALE, rotation: 0 }) : viewport;
+    const flatCanvas = flatViewport === viewport ? canvas : await renderPageToCanvas(pdfPage, flatViewport);
+    const ctx = flatCanvas.getContext('2d');
+    ctx.fillStyle = 'black';
+    for (const box of userBoxes) {
+      const [x0, y0, x1, y1] = flatViewport.convertToViewportRectangle([box.x, box.y, box.x + box.width, box.y + box.height]);
+      ctx.fillRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
     }
+
+    await replacePageWithRaster(pdfDoc, pages[i], flatCanvas, pdfPage.view);
+    // Only now is the page masked
+    for (const { detection, boxes } of pageHits) {
+      foundOnPages.set(detection, [...(foundOnPages.get(detection) || []), { page: i + 1, boxes }]);
+    }
+  };
+
+  try {
+    worker = await createWorker(OCR_LANGUAGES);
+
+    for (let i = 0; i < pages.length; i++) {
+      if (onlyPages && !onlyPages.includes(i + 1)) continue;
+      // One page failing (render, OCR) must not leave the pages after it unmasked
+      try {
+        await maskScannedPage(i);
+      } catch (err) {
+        console.error(`OCR masking of page ${i + 1} failed:`, err);
+        report.pageErrors.push({ page: i + 1, error: err?.message || String(err) });
+      }
+    }
+  } catch (err) {
+    console.error('OCR masking of scanned PDF failed:', err);
+    report.ocrError = err?.message || String(err);
+  } finally {
+    if (worker) await worker.terminate();
+    await renderDoc.destroy();
   }
-  
+
+  for (const detection of [...regions, ...maskableDetections(searched)]) {
+    const hits = foundOnPages.get(detection);
+    if (hits) {
+      for (const { page, boxes } of hits) report.located.push({ detection, boxes, page });
+    } else {
+      const failedPages = report.pageErrors.map(({ page }) => page).join(', ');
+      const reason = regions.includes(detection) && regionPage(detection) === null ? 'Region without a page on a multi-page PDF'
+        : report.ocrError ? 'OCR failed'
+        : failedPages ? `Not found; page(s) ${failedPages} could not be masked`
+        : 'Not found on any page';
+      report.unlocated.push({ detection, reason });
+    }
+  }
+
+  report.sanitized = sanitize ? sanitizePdf(pdfDoc, detections, sanitizeOptions) : [];
+
+  // The original page images (and removed attachments) are unreferenced now; make sure they are not saved
+  pruneUnreachableObjects(pdfDoc);
+
   const pdfBytes = await pdfDoc.save();
-  return new Blob([pdfBytes], { type: 'application/pdf' });
+  return { blob: new Blob([pdfBytes], { type: 'application/pdf' }), report };
+}
+
+/**
+ * Render a pdf.js page into a new canvas
+ * @param {PDFPageProxy} pdfPage - pdf.js page
+ * @param {PageViewport} viewport - Viewport to render with
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderPageToCanvas(pdfPage, viewport) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await pdfPage.render({ canvasContext: ctx, viewport }).promise;
+  return canvas;
+}
+
+/**
+ * Replace a page's content with a raster image covering its visible area
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {PDFPage} page - pdf-lib page
+ * @param {HTMLCanvasElement} canvas - Unrotated page raster
+ * @param {number[]} view - Visible area [x0, y0, x1, y1] in user space (pdf.js page.view)
+ */
+async function replacePageWithRaster(pdfDoc, page, canvas, view) {
+  const jpgBytes = await canvasToBytes(canvas, 'image/jpeg', 0.92);
+  const image = await pdfDoc.embedJpg(jpgBytes);
+
+  const context = pdfDoc.context;
+  page.node.set(PDFName.of('Resources'), context.obj({}));
+  page.node.set(PDFName.of('Contents'), context.obj([]));
+  page.node.delete(PDFName.of('Thumb'));
+
+  page.drawImage(image, {
+    x: view[0],
+    y: view[1],
+    width: view[2] - view[0],
+    height: view[3] - view[1],
+  });
+}
+
+/**
+ * Encode a canvas to image bytes
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type
+ * @param {number} [quality] - Encoder quality for lossy formats
+ * @returns {Promise<Uint8Array>}
+ */
+function canvasToBytes(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(async (blob) => {
+      if (!blob) {
+        reject(new Error('Failed to encode canvas'));
+        return;
+      }
+      resolve(new Uint8Array(await blob.arrayBuffer()));
+    }, type, quality);
+  });
 }
 
 /**
@@ -230,7 +445,7 @@ export async function maskScannedPdf(pdfArrayBuffer, detections) {
  * This is a more sophisticated approach that finds exact text positions
  * @param {File} imageFile - Image file
  * @param {Array<{type: string, value: string}>} detections - PII detections
- * @returns {Promise<Blob>} - Masked image
+ * @returns {Promise<{blob: Blob, report: MaskingReport}>} - Masked image
  */
 export async function maskImageWithOCR(imageFile, detections) {
   // This would require Tesseract.js
@@ -240,7 +455,7 @@ export async function maskImageWithOCR(imageFile, detections) {
 
 /**
  * Load image from file
- * @param {File} file - Image file
+ * @param {Blob} file - Image file or blob
  * @returns {Promise<HTMLImageElement>}
  */
 function loadImageFromFile(file) {
@@ -297,9 +512,10 @@ export async function extractTextPositionsFromPdf(pdfArrayBuffer) {
  * Mask PDF with precise text positions
  * @param {ArrayBuffer} pdfArrayBuffer - Original PDF
  * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @param {Object} [sanitizeOptions] - Options of sanitizePdf for metadata, annotations and attachments
  * @returns {Promise<Blob>} - Masked PDF
  */
-export async function maskPdfWithPositions(pdfArrayBuffer, detections) {
+export async function maskPdfWithPositions(pdfArrayBuffer, detections, sanitizeOptions = {}) {
   // Extract text positions
   const textPositions = await extractTextPositionsFromPdf(pdfArrayBuffer);
   
@@ -336,6 +552,9 @@ export async function maskPdfWithPositions(pdfArrayBuffer, detections) {
     });
   }
   
+  console.log('Document objects sanitized:', sanitizePdf(pdfDoc, detections, sanitizeOptions));
+  pruneUnreachableObjects(pdfDoc);
+  
   const pdfBytes = await pdfDoc.save();
   return new Blob([pdfBytes], { type: 'application/pdf' });
 }
@@ -0,0 +1,127 @@
+/**
+ * Masking policies per detection type
+ * A policy map like { default: "redact", EMAIL: "label", CREDIT_CARD: "partial" } is turned
+ * into a masker function shared by every text-based masker:
+ * - redact:  every non-whitespace character becomes X
+ * - label:   [EMAIL]
+ * - partial: X out all but the last 4 letters/digits (cards, IBANs)
+ * - hash:    [EMAIL:1a2b3c4d], a salted SHA-256 token that is stable for the same value
+ * - pseudonym: a realistic fake (see pseudonymizer.js), the same fake for the same value
+ * - date-shift: the date moved by the subject's day offset, in the original format
+ * - date-month / date-year: the date generalized to month/year or year, ages to 10-year bands
+ * Date policies X out values that are not recognisable dates.
+ */
+
+import { createPseudonymSession } from "./pseudonymizer.js";
+import { shiftDate, generalizeDate } from "./date-transform.js";
+
+export const MASK_POLICIES = ["redact", "label", "partial", "hash", "pseudonym", "date-shift", "date-month", "date-year"];
+
+export const DEFAULT_POLICY_MAP = {
+  default: "redact",
+};
+
+const PARTIAL_VISIBLE = 4;
+const HASH_LENGTH = 8;
+
+/**
+ * Default masker: X out every non-whitespace character
+ * @param {string} original - Matched text
+ * @returns {string}
+ */
+export function redactMasker(original) {
+  return original.replace(/[^\s]/g, "X");
+}
+
+/**
+ * Create a masker for a policy map
+ * Hash tokens are computed up front (WebCrypto is async) for the given detections.
+ * @param {Object<string, string>} policyMap - Parsed policy map
+ * @param {Array<{type: string, value: string}>} detections - Detections that will be masked
+ * @param {Object} [options]
+ * @param {string} [options.salt] - Salt for hash tokens (random per run when empty)
+ * @param {ReturnType<typeof createPseudonymSession>} [options.pseudonyms] - Session shared across a batch
+ * @param {number} [options.dateShiftDays=0] - Day offset for date-shift (per subject, see createDateShiftSession)
+ * @param {'dmy'|'mdy'} [options.dateOrder='dmy'] - Reading of ambiguous numeric dates like 03/04/2024
+ * @returns {Promise<(original: string, detection?: {type: string, value: string}, opts?: {preserveLength?: boolean}) => string>}
+ */
+export async function createMasker(policyMap = DEFAULT_POLICY_MAP, detections = [], options = {}) {
+  const salt = options.salt || randomSalt();
+  const policyFor = (type) => policyMap[type] || policyMap.default || "redact";
+  const pseudonyms = options.pseudonyms || createPseudonymSession();
+  const dateOptions = { order: options.dateOrder || "dmy" };
+
+  const hashes = new Map();
+  for (const det of detections) {
+    if (policyFor(det.type) !== "hash") continue;
+    const value = normalizeValue(det.value);
+    if (!hashes.has(value)) hashes.set(value, await hashToken(salt, value));
+  }
+
+  return (original, detection, { preserveLength = false } = {}) => {
+    const type = detection?.type || "PII";
+    let masked;
+    switch (policyFor(type)) {
+      case "label":
+        masked = `[${type}]`;
+        break;
+      case "partial":
+        masked = keepLast(original, PARTIAL_VISIBLE);
+        break;
+      case "hash": {
+        const hash = hashes.get(normalizeValue(detection?.value ?? original));
+        masked = hash ? `[${type}:${hash}]` : redactMasker(original);
+        break;
+      }
+      case "pseudonym":
+        masked = pseudonyms.pseudonymize(detection?.value ?? original, type);
+        break;
+      case "date-shift":
+        masked = shiftDate(original, options.dateShiftDays || 0, dateOptions) ?? redactMasker(original);
+        break;
+      case "date-month":
+        masked = generalizeDate(original, "month", dateOptions) ?? redactMasker(original);
+        break;
+      case "date-year":
+        masked = generalizeDate(original, "year", dateOptions) ?? redactMasker(original);
+        break;
+      default:
+        masked = redactMasker(original);
+    }
+    return preserveLength ? fitToLength(masked, original) : masked;
+  };
+}
+
+function normalizeValue(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ");
+}
+
+// X out everything but the last n letters/digits, keeping separators
+function keepLast(original, n) {
+  let visible = 0;
+  const chars = [...original];
+  for (let i = chars.length - 1; i >= 0; i--) {
+    if (!/[\p{L}\p{N}]/u.test(chars[i])) continue;
+    if (visible < n) visible++;
+    else chars[i] = "X";
+  }
+  return chars.join("");
+}
+
+// Formats that overwrite in place (legacy .doc) need the original length: short outputs are
+// padded with spaces, outputs that do not fit (or would cross a line break) fall back to X's
+function fitToLength(masked, original) {
+  if (masked.length === original.length) return masked;
+  if (masked.length > original.length || /[\r\n\t]/.test(original)) return redactMasker(original);
+  return masked + " ".repeat(original.length - masked.length);
+}
+
+function randomSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hashToken(salt, value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${value}`));
+  return Array.from(new Uint8Array(digest).slice(0, HASH_LENGTH / 2), (b) => b.toString(16).padStart(2, "0")).join("");
+}
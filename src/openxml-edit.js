@@ -1,11 +1,6 @@
 // openxml-edit.js
 import JSZip from "jszip";
-import { XMLParser, XMLBuilder } from "fast-xml-parser";
-
-// Utilities
-const fpOpts = { ignoreAttributes: false, attributeNamePrefix: "" };
-const parser = new XMLParser(fpOpts);
-const builder = new XMLBuilder(fpOpts);
+import { decodeXmlText, encodeXmlText } from "./docx-parts.js";
 
 // docx text node QName
 const W = {
@@ -13,15 +8,6 @@ const W = {
   B: "w:b", I: "w:i", U: "w:u", VAL: "w:val"
 };
 
-function copyNonTextChildren(origRun) {
-  const keep = {};
-  for (const k of Object.keys(origRun)) {
-    if (k === W.RPR || k === W.T) continue;
-    keep[k] = clone(origRun[k]);
-  }
-  return keep;
-}
-
 // test original “bold + red”
 function isRed(rPr) {
   if (!rPr) return false;
@@ -31,148 +17,165 @@ function isRed(rPr) {
   return !!redish;
 }
 
-function clone(obj) {
-  return JSON.parse(JSON.stringify(obj));
-}
+// Elements whose content is document text: visible text, tracked deletions, field instructions
+const DEFAULT_TEXT_ELEMENTS = ["w:t", "w:delText", "w:instrText"];
 
-// Build a flat text view with per-character mapping to (pIndex, rIndex, charOffsetInRun)
-export function indexRuns(docXml) {
-  const doc = parser.parse(docXml);
-  const body = doc["w:document"]["w:body"];
-  const paragraphs = Array.isArray(body[W.P]) ? body[W.P] : (body[W.P] ? [body[W.P]] : []);
+// One pass over the markup that matters for the flattened text
+const TOKEN_REGEX = /<(w:[A-Za-z]+)\b([^>]*?)(\/?)>([^<]*)|<\/(w:[A-Za-z]+)>/g;
 
-  const map = []; // [{p, r, o}] per character
-  const plist = []; // keep structure reference
-  let full = "";
+/**
+ * Build a flat text view of a WordprocessingML part with a per-character mapping back
+ * to the text node and decoded offset it came from.
+ * Entities are decoded (so "&amp;" is one character), paragraphs end with "\n",
+ * <w:tab/> and <w:br/> become "\t" / "\n". Synthetic characters map to null.
+ * @param {string} xml - Part XML
+ * @param {Object} [options]
+ * @param {string[]} [options.textElements] - Element names treated as text
+ * @returns {{text: string, nodes: Array<{tag: string, openStart: number, contentStart: number, contentEnd: number, text: string}>, map: Array<{node: number, offset: number}|null>}}
+ */
+export function indexRuns(xml, options = {}) {
+  const textElements = options.textElements || DEFAULT_TEXT_ELEMENTS;
+  const nodes = [];
+  const map = [];
+  let text = "";
+  let inTabStops = 0;
+
+  const pushSynthetic = (ch) => {
+    text += ch;
+    map.push(null);
+  };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(xml)) !== null) {
+    const [whole, openName, , selfClosing, trailing, closeName] = match;
 
-  paragraphs.forEach((p, pIdx) => {
-    const runs = Array.isArray(p[W.R]) ? p[W.R] : (p[W.R] ? [p[W.R]] : []);
-    plist.push(runs);
-    runs.forEach((r, rIdx) => {
-      // account for tabs/breaks as single spaces in the flattened text
-      const hasTab = Array.isArray(r["w:tab"]) ? r["w:tab"].length : (r["w:tab"] ? 1 : 0);
-      const hasBr = Array.isArray(r["w:br"]) ? r["w:br"].length : (r["w:br"] ? 1 : 0);
-      const wsCount = hasTab + hasBr;
-      if (wsCount > 0) {
-        // insert one space per tab/break for matching purposes
-        for (let k = 0; k < wsCount; k++) {
-          map.push({ p: pIdx, r: rIdx, o: -1 }); // o:-1 marks synthetic whitespace
-          full += " ";
-        }
-      }
+    if (closeName) {
+      if (closeName === "w:p") pushSynthetic("\n");
+      else if (closeName === "w:tabs") inTabStops--;
+      continue;
+    }
 
-      const t = r[W.T];
-      if (t == null) return;
-      const text = typeof t === "string" ? t : (t?.["#text"] ?? "");
-      
-      // Add space between runs to preserve word boundaries
-      if (full.length > 0 && text.length > 0) {
-        // Always add space between runs to ensure proper word separation
-        // This is very aggressive but necessary to fix the spacing issue
-        map.push({ p: pIdx, r: rIdx, o: -2 }); // o:-2 marks synthetic space between runs
-        full += " ";
-      }
-      
-      for (let i = 0; i < text.length; i++) {
-        map.push({ p: pIdx, r: rIdx, o: i });
-      }
-      full += text;
-    });
-  });
-  return { doc, body, paragraphs, full, map, plist };
-}
+    if (openName === "w:tabs" && !selfClosing) { inTabStops++; continue; }
+    if (selfClosing) {
+      if (openName === "w:tab" && !inTabStops) pushSynthetic("\t");
+      else if (openName === "w:br" || openName === "w:cr") pushSynthetic("\n");
+      else if (openName === "w:noBreakHyphen") pushSynthetic("-");
+      continue;
+    }
 
-// Given absolute [start,end) over full text, split the exact runs and apply a style overlay
-function applyStyleToRange(struct, start, end, styler) {
-  const { paragraphs, plist, map } = struct;
+    if (!textElements.includes(openName)) continue;
 
-  if (start < 0 || end <= start || end > map.length) return;
+    // The content runs up to the matching close tag (text nodes never contain markup)
+    const contentStart = match.index + whole.length - trailing.length;
+    const closeTag = `</${openName}>`;
+    const contentEnd = xml.indexOf(closeTag, contentStart);
+    if (contentEnd === -1) continue;
 
-  // Determine all (p,r,offset) positions covered
-  const first = map[start];
-  const last = map[end - 1];
-  if (!first || !last) return;
+    const decoded = decodeXmlText(xml.slice(contentStart, contentEnd));
+    const nodeIndex = nodes.length;
+    nodes.push({ tag: openName, openStart: match.index, contentStart, contentEnd, text: decoded });
+    for (let i = 0; i < decoded.length; i++) map.push({ node: nodeIndex, offset: i });
+    text += decoded;
 
-  for (let i = start; i < end;) {
-    const pos = map[i];
-    if (!pos) { i++; continue; } // Skip undefined map entries
-    
-    const pRuns = plist[pos.p];
-    if (!pRuns || !pRuns[pos.r]) { i++; continue; } // Skip if paragraph or run doesn't exist
-    
-    let rNode = pRuns[pos.r];
-    const tNode = rNode[W.T];
-    if (pos.o === -1 || pos.o === -2) { i++; continue; } // synthetic whitespace (tab/br/space) — skip styling
-    if (tNode == null) { i++; continue; }
-
-    const txt = typeof tNode === "string" ? tNode : (tNode?.["#text"] ?? "");
-    // Compute how much of this run we can consume
-    const runStartAbs = i;
-    // Find how far we can go within this run
-    // Count remaining chars in this run from offset 'pos.o'
-    const remainingInRun = txt.length - pos.o;
-    const take = Math.min(remainingInRun, end - i);
-
-    // Split the run into [before][target][after]
-    const beforeText = txt.slice(0, pos.o);
-    const midText = txt.slice(pos.o, pos.o + take);
-    const afterText = txt.slice(pos.o + take);
-
-    // Prepare three run nodes based on original styling
-    const baseRPr = clone(rNode[W.RPR] || {});
-
-    const mkRun = (text, pr = null) => {
-      const out = {};
-      if (pr && Object.keys(pr).length) out[W.RPR] = pr;
-      // Always preserve spaces to avoid collapsing when we split runs
-      out[W.T] = { "#text": text, "xml:space": "preserve" };
-      return out;
-    };
-
-    const runsNew = [];
-    if (beforeText) runsNew.push(mkRun(beforeText, baseRPr));
-
-    // Styled middle
-    const styledRPr = styler(clone(baseRPr), isRed(baseRPr));
-    runsNew.push(mkRun(midText, styledRPr));
-
-    if (afterText) runsNew.push(mkRun(afterText, baseRPr));
-
-    // Replace original run with new split runs
-    if (runsNew.length) {
-      const extras = copyNonTextChildren(rNode);
-      Object.assign(runsNew[0], extras);
-    }
-    pRuns.splice(pos.r, 1, ...runsNew);
-
-    // Update mapping for following characters:
-    // We must also update 'map' to reflect the new run boundaries.
-    // Easiest approach: recompute mapping for this paragraph from scratch.
-    // (We only call this per affected range, scale is fine for typical docs.)
-    // Re-index the paragraph runs into global 'map':
-    const newRuns = pRuns;
-    let paraStartIdx = null;
-    // find first global index of this paragraph in map
-    for (let gi = 0; gi < map.length; gi++) {
-      if (map[gi].p === pos.p) { paraStartIdx = gi; break; }
-    }
-    // remove old entries for this paragraph
-    for (let gi = map.length - 1; gi >= 0; gi--) {
-      if (map[gi].p === pos.p) map.splice(gi, 1);
-    }
-    // rebuild paragraph mapping
-    for (let rIdx = 0; rIdx < newRuns.length; rIdx++) {
-      const rt = newRuns[rIdx][W.T];
-      if (rt == null) continue;
-      const rtxt = typeof rt === "string" ? rt : (rt?.["#text"] ?? "");
-      for (let off = 0; off < rtxt.length; off++) {
-        map.splice(paraStartIdx + (map[paraStartIdx]?.p === pos.p ? 0 : 0), 0, { p: pos.p, r: rIdx, o: off });
+    TOKEN_REGEX.lastIndex = contentEnd + closeTag.length;
+  }
+
+  return { text, nodes, map };
+}
+
+/**
+ * Find every occurrence of a value in the flat text of indexRuns.
+ * Whitespace inside the value matches any run of whitespace (including paragraph
+ * breaks and tabs) or none at all, so values split across runs or paragraphs are found.
+ * @param {string} text - Flat text
+ * @param {string} value - Detected value
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function findTextSpans(text, value) {
+  const tokens = String(value || "").trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+  const pattern = tokens.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s*");
+  const regex = new RegExp(pattern, "g");
+  const spans = [];
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    spans.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return spans;
+}
+
+/**
+ * How a replacement lands in the flat text of the updated part.
+ * It is distributed character by character (keeping the run structure) when it has the
+ * span's length and whitespace wherever the span has a paragraph break or tab; otherwise it
+ * goes into the first run of the span, the rest of the span is emptied and the synthetic
+ * characters stay behind it.
+ * @param {ReturnType<typeof indexRuns>} index - Result of indexRuns(xml)
+ * @param {{start: number, end: number, replacement: string}} span - Span and replacement
+ * @returns {{distributed: boolean, outputLength: number}} - outputLength in the updated flat text
+ */
+export function replacementLayout(index, { start, end, replacement }) {
+  let synthetic = 0;
+  let aligned = replacement.length === end - start;
+  for (let p = start; p < end; p++) {
+    if (index.map[p]) continue;
+    synthetic++;
+    if (aligned && !/\s/.test(replacement[p - start])) aligned = false;
+  }
+  return aligned
+    ? { distributed: true, outputLength: end - start }
+    : { distributed: false, outputLength: replacement.length + synthetic };
+}
+
+/**
+ * Replace spans of the flat text and re-serialize the affected text nodes
+ * (see replacementLayout for how each replacement is placed).
+ * @param {string} xml - Part XML the index was built from
+ * @param {ReturnType<typeof indexRuns>} index - Result of indexRuns(xml)
+ * @param {Array<{start: number, end: number, replacement: string}>} spans - Non-overlapping spans
+ * @returns {string} - Updated XML
+ */
+export function replaceTextSpans(xml, index, spans) {
+  const { nodes, map } = index;
+  const nodeTexts = new Map(); // node index -> array of chars (entries may become "" or longer strings)
+
+  const charsOf = (n) => {
+    if (!nodeTexts.has(n)) nodeTexts.set(n, Array.from(nodes[n].text.split("")));
+    return nodeTexts.get(n);
+  };
+
+  for (const span of spans) {
+    const { start, end, replacement } = span;
+    const { distributed } = replacementLayout(index, span);
+    let placed = false;
+    for (let p = start; p < end; p++) {
+      const pos = map[p];
+      if (!pos) continue; // synthetic paragraph break / tab
+      const chars = charsOf(pos.node);
+      if (distributed) {
+        chars[pos.offset] = replacement[p - start];
+      } else {
+        chars[pos.offset] = placed ? "" : replacement;
+        placed = true;
       }
     }
+  }
 
-    // Advance i by 'take'
-    i = runStartAbs + take;
+  // Splice from the end so earlier offsets stay valid
+  let out = xml;
+  const changed = [...nodeTexts.keys()].sort((a, b) => b - a);
+  for (const n of changed) {
+    const node = nodes[n];
+    const newText = nodeTexts.get(n).join("");
+    let openTag = xml.slice(node.openStart, node.contentStart);
+    // Keep leading/trailing spaces of split runs from collapsing
+    if (node.tag === "w:t" && !/\bxml:space=/.test(openTag)) {
+      openTag = openTag.replace(/^<w:t\b/, '<w:t xml:space="preserve"');
+    }
+    out = out.slice(0, node.openStart) + openTag + encodeXmlText(newText) + out.slice(node.contentEnd);
   }
+  return out;
 }
 
 // Style overlays
@@ -382,24 +385,6 @@ function applyStyleToRangeInXML(paragraphs, start, end, originalValue) {
   return true; // Styled successfully
 }
 
-// Decide if a span was originally "bold + red"
-function spanWasBoldRed(struct, start, end) {
-  const { map, paragraphs, plist } = struct;
-  if (start < 0 || end <= start || end > map.length) return false;
-  for (let k = start; k < end; k++) {
-    const pos = map[k];
-    if (!pos) continue; // Skip undefined map entries
-    
-    const pRuns = plist[pos.p];
-    if (!pRuns || !pRuns[pos.r]) continue; // Skip if paragraph or run doesn't exist
-    
-    const rNode = pRuns[pos.r];
-    const rPr = rNode[W.RPR];
-    if (!isRed(rPr)) return false; // every char of span must be bold red
-  }
-  return true;
-}
-
 /**
  * Annotate a DOCX in memory.
  * detections: [{ type, value }]
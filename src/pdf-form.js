@@ -0,0 +1,116 @@
+/**
+ * Fill-in PDF form (AcroForm) masking
+ * Filled forms keep their values in the field dictionaries and in the widget appearance
+ * streams, not in the page text, so the page maskers never see them. Every field is read
+ * with the pdf-lib form API; values containing detected PII are masked or cleared and their
+ * appearance regenerated. Flattening then burns the appearances into the pages and removes
+ * the fields, so the original values cannot be recovered from the field dictionaries.
+ * XFA data (a second, XML copy of the form) is always removed.
+ */
+
+import { PDFDropdown, PDFHexString, PDFName, PDFOptionList, PDFString, PDFTextField } from "pdf-lib";
+
+// Field entries besides the value that can repeat it: default value, rich text value, tooltip
+const EXTRA_TEXT_KEYS = ["DV", "RV", "TU"];
+
+/**
+ * Mask the fields of a loaded PDF's form in place
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {(text: string) => string} maskText - Applies the detections to a field value
+ * @param {Object} [options]
+ * @param {'mask'|'clear'} [options.mode='mask'] - Replace the PII inside a value, or clear a value containing PII
+ * @param {boolean} [options.flatten=false] - Draw the fields into the pages and remove them
+ * @returns {Array<{object: string, field: string, action: string}>}
+ */
+export function maskFormFields(pdfDoc, maskText, options = {}) {
+  const { mode = "mask", flatten = false } = options;
+  const changes = [];
+  const acroForm = pdfDoc.catalog.getAcroForm();
+  if (!acroForm) return changes;
+
+  // getForm() drops the XFA data itself; record it first
+  if (acroForm.dict.has(PDFName.of("XFA"))) {
+    changes.push({ object: "Form", field: "XFA", action: "removed" });
+  }
+  const form = pdfDoc.getForm();
+
+  const newValue = (text) => (mode === "clear" ? "" : maskText(text));
+  for (const field of form.getFields()) {
+    const object = `Form field "${field.getName()}"`;
+    const action = mode === "clear" ? "cleared" : "masked";
+
+    if (field instanceof PDFTextField) {
+      const text = readFieldText(field);
+      if (text && maskText(text) !== text) {
+        setFieldText(field, newValue(text));
+        changes.push({ object, field: "V", action });
+        // The rich text copy of the old value (string or stream) would be shown instead
+        if (field.acroField.dict.has(PDFName.of("RV"))) {
+          field.acroField.dict.delete(PDFName.of("RV"));
+          changes.push({ object, field: "RV", action: "removed" });
+        }
+      }
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      if (maskChoices(field, mode, maskText)) changes.push({ object, field: "V, Opt", action });
+    }
+    // Check boxes, radio buttons and signatures hold states, not free text
+
+    for (const key of EXTRA_TEXT_KEYS) {
+      if (maskDictText(field.acroField.dict, key, key === "TU" ? maskText : newValue, maskText)) {
+        changes.push({ object, field: key, action: key === "TU" ? "masked" : action });
+      }
+    }
+  }
+
+  if (flatten) {
+    const fieldCount = form.getFields().length;
+    form.flatten();
+    changes.push({ object: "Form", field: `${fieldCount} field(s)`, action: "flattened" });
+  } else {
+    form.updateFieldAppearances();
+  }
+  return changes;
+}
+
+// Rich text fields may only have an RV value, which pdf-lib refuses to read
+function readFieldText(field) {
+  try {
+    return field.getText() ?? "";
+  } catch {
+    return "";
+  }
+}
+
+// A masked value can be longer than the field allows (pseudonyms, tokens); cut it to fit
+function setFieldText(field, text) {
+  const maxLength = field.getMaxLength();
+  field.setText(maxLength !== undefined && text.length > maxLength ? text.slice(0, maxLength) : text);
+}
+
+function maskChoices(field, mode, maskText) {
+  const options = field.getOptions();
+  const selected = field.getSelected();
+  const maskedOptions = options.map((option) => (maskText(option) === option ? option : mode === "clear" ? null : maskText(option)));
+  const hasPii = maskedOptions.some((option, i) => option !== options[i]) || selected.some((value) => maskText(value) !== value);
+  if (!hasPii) return false;
+
+  const keptOptions = maskedOptions.filter((option) => option !== null);
+  const keptSelection = mode === "clear" ? [] : selected.map(maskText);
+  field.setOptions([...new Set([...keptOptions, ...keptSelection])]);
+  if (keptSelection.length > 0) field.select(keptSelection);
+  else field.clear();
+  return true;
+}
+
+// Only text strings are touched; rich text streams go with their field value (see above)
+function maskDictText(dict, key, transform, maskText) {
+  const name = PDFName.of(key);
+  const obj = dict.lookup(name);
+  if (!(obj instanceof PDFString || obj instanceof PDFHexString)) return false;
+  const text = obj.decodeText();
+  if (maskText(text) === text) return false;
+  const replacement = transform(text);
+  if (replacement) dict.set(name, PDFHexString.fromText(replacement));
+  else dict.delete(name);
+  return true;
+}
@@ -0,0 +1,238 @@
+/**
+ * Locating every occurrence of a value on a PDF page
+ * The pdf.js text items of a page are joined into the page text the way extractTextFromPdf
+ * joins them, and every character remembers the item it comes from. A value is searched in
+ * that text ignoring spaces, hyphens and soft hyphens between its characters, so it is found
+ * when it is split over several items, wraps onto the next line or is hyphenated there.
+ * Each occurrence is turned into one rectangle per line it covers. Character positions come
+ * from the glyph widths of the item's font. A rotated or skewed line's rectangle is given in
+ * the line's own space (along its baseline and glyph axis) with the matrix that maps it to
+ * user space, so it covers the value and not the glyphs before and after it.
+ */
+
+import { OPS } from "pdfjs-dist";
+
+// Characters that may separate the characters of a value in the page text
+const SEPARATORS = "[\\s\\u00AD-]*";
+
+// Items whose baselines are this close (in points) are on the same line
+const LINE_THRESHOLD = 5;
+
+// Padding around located text, in points
+const RECT_PADDING = 2;
+
+// Ascent and descent (fractions of the font size) when the font does not give them
+const DEFAULT_ASCENT = 0.8;
+const DEFAULT_DESCENT = -0.2;
+
+// Lines whose directions differ by less than this (radians) can be merged
+const ANGLE_THRESHOLD = 0.01;
+
+// Line axes this close to user space's axes are treated as upright
+const AXIS_EPSILON = 1e-6;
+
+/**
+ * Load the fonts used by a page's text items, for glyph widths and ascent/descent
+ * Glyph widths are the advances of the glyphs the page's operator list shows in each font.
+ * @param {PDFPageProxy} pdfPage - pdf.js page
+ * @param {Array<{fontName: string}>} items - Text items of the page
+ * @returns {Promise<Map<string, {ascent?: number, descent?: number, vertical: boolean, widths: Map<string, number>}|null>>}
+ *   - Fonts by font name, null when pdf.js could not load the font
+ */
+export async function loadPageFonts(pdfPage, items) {
+  const fonts = new Map();
+  // Fonts are only sent from the worker once the page has been parsed for drawing
+  const { fnArray, argsArray } = await pdfPage.getOperatorList();
+  const widths = shownGlyphWidths(fnArray, argsArray);
+  for (const { fontName } of items) {
+    if (!fontName || fonts.has(fontName)) continue;
+    try {
+      const { ascent, descent, vertical } = pdfPage.commonObjs.get(fontName);
+      fonts.set(fontName, { ascent, descent, vertical: !!vertical, widths: widths.get(fontName) || new Map() });
+    } catch {
+      // Not loaded (broken font): widths are estimated for its items
+      fonts.set(fontName, null);
+    }
+  }
+  return fonts;
+}
+
+// Width of each character's glyph per font name, from the text shown in the operator list
+function shownGlyphWidths(fnArray, argsArray) {
+  const widths = new Map();
+  const saved = [];
+  let fontName = null;
+  fnArray.forEach((fn, i) => {
+    if (fn === OPS.save) saved.push(fontName);
+    else if (fn === OPS.restore) fontName = saved.length > 0 ? saved.pop() : fontName;
+    else if (fn === OPS.setFont) fontName = argsArray[i][0];
+    else if (fn === OPS.showText && fontName) {
+      if (!widths.has(fontName)) widths.set(fontName, new Map());
+      const fontWidths = widths.get(fontName);
+      // Numbers between glyphs are spacing adjustments
+      for (const glyph of argsArray[i][0]) {
+        if (typeof glyph !== "object" || !glyph.unicode || !(glyph.width > 0)) continue;
+        if (!fontWidths.has(glyph.unicode)) fontWidths.set(glyph.unicode, glyph.width);
+      }
+    }
+  });
+  return widths;
+}
+
+/**
+ * Join the text items of a page and map every character back to its item
+ * @param {Array<{str: string, width: number, height: number, transform: number[]}>} items - pdf.js text items
+ * @returns {{text: string, chars: Array<{item: number, index: number}>}}
+ */
+export function indexPageText(items) {
+  let text = "";
+  const chars = [];
+  items.forEach((item, i) => {
+    const str = item.str || "";
+    for (let j = 0; j < str.length; j++) chars.push({ item: i, index: j });
+    text += str;
+  });
+  return { text, chars };
+}
+
+/**
+ * Find every occurrence of a value, ignoring separators between its characters
+ * @param {string} text - Page text
+ * @param {string} value - Value to find
+ * @returns {Array<{start: number, end: number}>} - In text order, not overlapping
+ */
+export function findValueOccurrences(text, value) {
+  const chars = [...String(value || "").replace(/[\s\u00AD-]+/g, "")];
+  if (chars.length === 0) return [];
+  const pattern = chars.map((c) => c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(SEPARATORS);
+  const regex = new RegExp(pattern, "g");
+  const spans = [];
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    spans.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return spans;
+}
+
+/**
+ * Locate the occurrences of a value on a page
+ * @param {ReturnType<typeof indexPageText>} index - Page text index
+ * @param {Array} items - pdf.js text items the index was built from
+ * @param {string} value - Value to locate
+ * @param {Map<string, Object>} [fonts] - Fonts from loadPageFonts; without them characters get
+ *   the average width of their item
+ * @returns {Array<{start: number, end: number, text: string, rects: Array<{x: number, y: number, width: number, height: number, matrix?: number[]}>}>}
+ *   - rects holds one rectangle per line the occurrence covers: in PDF user space for upright
+ *     text, otherwise in the line's space, which matrix ([a, b, c, d, e, f]) maps to user space
+ */
+export function locateValue(index, items, value, fonts = new Map()) {
+  return findValueOccurrences(index.text, value).map(({ start, end }) => ({
+    start,
+    end,
+    text: index.text.slice(start, end),
+    rects: spanRectangles(index, items, start, end, fonts),
+  }));
+}
+
+// Rectangles of the characters start..end, one per line (consecutive items on one baseline)
+function spanRectangles(index, items, start, end, fonts) {
+  // Character range per item
+  const segments = [];
+  for (let pos = start; pos < end; pos++) {
+    const { item, index: charIndex } = index.chars[pos];
+    const last = segments[segments.length - 1];
+    if (last && last.item === item) last.end = charIndex + 1;
+    else segments.push({ item, start: charIndex, end: charIndex + 1 });
+  }
+
+  // Segments on one baseline (same direction, same distance across it) form a line
+  const lines = [];
+  let current = null;
+  for (const { item: i, start: from, end: to } of segments) {
+    const item = items[i];
+    const str = item.str || "";
+    // Whitespace-only pieces (separators) are not part of the value's ink
+    if (!str.slice(from, to).trim()) continue;
+    const font = fonts.get(item.fontName) || null;
+    const [a, b, c, d, e, f] = item.transform;
+    const angle = Math.atan2(b, a);
+    const ux = Math.cos(angle);
+    const uy = Math.sin(angle);
+    // The glyphs' vertical axis is (c, d): across the baseline, leaning along it when skewed
+    const height = Math.hypot(c, d);
+    const size = height || item.height || 12;
+    const [vx, vy] = height ? [c / height, d / height] : [-uy, ux];
+    const ascent = size * (font?.ascent || DEFAULT_ASCENT);
+    const descent = size * (font?.descent || DEFAULT_DESCENT);
+
+    const offsets = characterOffsets(item, font);
+    const left = [e + ux * offsets[from], f + uy * offsets[from]];
+    const right = [e + ux * offsets[to], f + uy * offsets[to]];
+    const corners = [left, right].flatMap(([x, y]) => [
+      [x + vx * descent, y + vy * descent],
+      [x + vx * ascent, y + vy * ascent],
+    ]);
+    // Distance of the baseline from the origin, measured across the text direction
+    const baseline = f * ux - e * uy;
+    if (current && Math.abs(current.angle - angle) < ANGLE_THRESHOLD && Math.abs(current.baseline - baseline) < LINE_THRESHOLD) {
+      current.corners.push(...corners);
+    } else {
+      // The line's own space: along its first item's baseline and glyph axis, from that item's origin
+      current = { angle, baseline, matrix: [ux, uy, vx, vy, e, f], corners };
+      lines.push(current);
+    }
+  }
+
+  // Box around each line's glyphs in the line's space, so neighbouring text stays outside
+  return lines.map(({ matrix, corners }) => {
+    const points = corners.map(([x, y]) => toLineSpace(matrix, x, y));
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    const rect = {
+      x: x - RECT_PADDING,
+      y: y - RECT_PADDING,
+      width: Math.max(...xs) - x + 2 * RECT_PADDING,
+      height: Math.max(...ys) - y + 2 * RECT_PADDING,
+    };
+    const [ux, uy, vx, vy, e, f] = matrix;
+    // Upright text needs no matrix: its line space is user space moved to the item's origin
+    if (Math.abs(ux - 1) < AXIS_EPSILON && Math.abs(uy) < AXIS_EPSILON && Math.abs(vx) < AXIS_EPSILON && Math.abs(vy - 1) < AXIS_EPSILON) {
+      return { ...rect, x: rect.x + e, y: rect.y + f };
+    }
+    return { ...rect, matrix };
+  });
+}
+
+// User space point → coordinates in a line space given by its matrix
+function toLineSpace([a, b, c, d, e, f], x, y) {
+  const det = a * d - b * c;
+  return [(d * (x - e) - c * (y - f)) / det, (a * (y - f) - b * (x - e)) / det];
+}
+
+/**
+ * Distance along the baseline from an item's origin to each character boundary
+ * The item's width (which includes character and word spacing) is shared out in proportion
+ * to the glyph widths; characters the font gives no width for count as an average glyph.
+ * @returns {number[]} - str.length + 1 offsets, from 0 to item.width
+ */
+function characterOffsets(item, font) {
+  const chars = [...(item.str || "")];
+  // Vertical fonts advance down the page: their widths do not apply
+  const widths = font && !font.vertical ? font.widths : new Map();
+  const known = chars.map((ch) => widths.get(ch)).filter((w) => w > 0);
+  const average = known.length > 0 ? known.reduce((sum, w) => sum + w, 0) / known.length : 1;
+  const weights = chars.map((ch) => (widths.get(ch) > 0 ? widths.get(ch) : average));
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const scale = (item.width || 0) / total;
+
+  // Offsets are indexed by UTF-16 position, like the page text index
+  const offsets = [0];
+  let offset = 0;
+  chars.forEach((ch, i) => {
+    offset += weights[i] * scale;
+    for (let k = 0; k < ch.length; k++) offsets.push(offset);
+  });
+  return offsets;
+}
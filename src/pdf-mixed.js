@@ -0,0 +1,51 @@
+/**
+ * Masking of PDFs that mix born-digital and scanned pages
+ * Each page is masked the way its classification (see extractTextFromPdf) calls for:
+ * scanned pages are OCR-located and rasterized by maskScannedPdf, text pages are masked
+ * in their text layer by maskPdf, and both passes write into the same output PDF.
+ */
+
+import { maskPdf } from "./text-masker.js";
+import { maskScannedPdf } from "./image-masker.js";
+import { findTextSpans } from "./openxml-edit.js";
+import { normalizeBbox } from "./detection-anchors.js";
+
+/**
+ * Mask a PDF page by page
+ * @param {ArrayBuffer} pdfArrayBuffer - Original PDF file
+ * @param {Array<Object>} detections - PII detections
+ * @param {{text: string, pageStarts: number[], pages: Array<{page: number, kind: 'text'|'scanned'}>}} extracted - Result of extractTextFromPdf
+ * @param {Object} [options] - Options of maskPdf (mask, metadata, annotations, attachments, form, flattenForm) and:
+ * @param {'redact'|'rectangle'|'text'} [options.method='redact'] - maskPdf method for the text pages
+ * @returns {Promise<{blob: Blob, report: {located: Array, unlocated: Array, ocrError: string|null, pageErrors: Array, sanitized: Array, occurrences: Array, pages: Array}}>}
+ *   located/unlocated/ocrError/pageErrors describe the scanned pages, occurrences the text pages; a detection found in the text of
+ *   a text page is not unlocated
+ */
+export async function maskMixedPdf(pdfArrayBuffer, detections, extracted, options = {}) {
+  const { method = "redact", ...maskOptions } = options;
+  const { text, pageStarts, pages } = extracted;
+  const scannedPages = pages.filter((p) => p.kind === "scanned").map((p) => p.page);
+  const textPages = pages.filter((p) => p.kind !== "scanned").map((p) => p.page);
+  console.log(`Mixed PDF: text pages ${textPages.join(", ") || "none"}, scanned pages ${scannedPages.join(", ") || "none"}`);
+
+  // 1. Scanned pages: OCR and rasterize; the document objects are left to the text pass
+  const scanned = await maskScannedPdf(pdfArrayBuffer, detections, { pages: scannedPages, sanitize: false });
+
+  // 2. Text pages of the result: text layer masking, then the document objects
+  const masked = await maskPdf(await scanned.blob.arrayBuffer(), detections, text, method, { ...maskOptions, pages: textPages, pageStarts });
+
+  // What OCR did not find on the scans may well be on the text pages
+  const pageText = (page) => text.slice(pageStarts[page - 1], pageStarts[page] ?? text.length);
+  const onTextPage = (det) => {
+    // Mixed PDFs have several pages, so a region without a page cannot be placed
+    if (normalizeBbox(det.bbox)) return Number.isInteger(det.page) && textPages.includes(det.page);
+    const candidates = Number.isInteger(det.page) ? textPages.filter((p) => p === det.page) : textPages;
+    return candidates.some((p) => findTextSpans(pageText(p), String(det.value || "")).length > 0);
+  };
+  const unlocated = scanned.report.unlocated.filter(({ detection }) => !onTextPage(detection));
+
+  return {
+    blob: masked.blob,
+    report: { ...scanned.report, unlocated, sanitized: masked.report.sanitized, occurrences: masked.report.occurrences, pages },
+  };
+}
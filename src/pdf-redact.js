@@ -0,0 +1,734 @@
+/**
+ * True PDF redaction for text-layer PDFs
+ * Removes glyphs that fall inside redaction areas from the page content streams,
+ * so the masked values cannot be copied, searched or extracted afterwards.
+ */
+
+import {
+  PDFArray,
+  PDFDict,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  StandardFontEmbedder,
+  StandardFonts,
+  decodePDFRawStream,
+} from "pdf-lib";
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+
+// Fallback glyph metrics when a font dictionary does not provide widths
+const DEFAULT_GLYPH_WIDTH = 500;
+const GLYPH_ASCENT = 0.8;
+const GLYPH_DESCENT = -0.2;
+
+// ---- Byte helpers ----
+// Content streams are handled as "binary strings" (one char per byte) so that
+// untouched operations can be copied back byte-for-byte.
+
+function bytesToBinary(bytes) {
+  let out = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return out;
+}
+
+function binaryToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function readStreamBytes(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  if (typeof stream.getUnencodedContents === "function") return stream.getUnencodedContents();
+  return stream.getContents();
+}
+
+// ---- Matrix helpers (PDF row-vector convention: p' = p × M) ----
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+// ---- Content stream tokenizer ----
+
+const WHITESPACE = "\0\t\n\f\r ";
+const DELIMITERS = "()<>[]{}/%";
+
+function isWhitespace(ch) {
+  return WHITESPACE.includes(ch);
+}
+
+function isRegular(ch) {
+  return ch !== undefined && !WHITESPACE.includes(ch) && !DELIMITERS.includes(ch);
+}
+
+/**
+ * Split a decoded content stream into operations
+ * @param {string} src - Content stream as binary string
+ * @returns {Array<{op: string, operands: Array, start: number, end: number}>}
+ */
+export function tokenizeContentStream(src) {
+  const ops = [];
+  let pos = 0;
+  let operands = [];
+  let opStart = -1;
+
+  const skipWhitespace = () => {
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (isWhitespace(ch)) {
+        pos++;
+      } else if (ch === "%") {
+        while (pos < src.length && src[pos] !== "\n" && src[pos] !== "\r") pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readLiteralString = () => {
+    // pos is on "("
+    pos++;
+    let depth = 1;
+    let out = "";
+    while (pos < src.length) {
+      const ch = src[pos++];
+      if (ch === "\\") {
+        const next = src[pos++];
+        if (next === "n") out += "\n";
+        else if (next === "r") out += "\r";
+        else if (next === "t") out += "\t";
+        else if (next === "b") out += "\b";
+        else if (next === "f") out += "\f";
+        else if (next === "\r") { if (src[pos] === "\n") pos++; }
+        else if (next === "\n") { /* line continuation */ }
+        else if (next >= "0" && next <= "7") {
+          let oct = next;
+          while (oct.length < 3 && src[pos] >= "0" && src[pos] <= "7") oct += src[pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (next !== undefined) {
+          out += next;
+        }
+      } else if (ch === "(") {
+        depth++;
+        out += ch;
+      } else if (ch === ")") {
+        depth--;
+        if (depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { type: "string", value: out };
+  };
+
+  const readHexString = () => {
+    // pos is on "<"
+    pos++;
+    let hex = "";
+    while (pos < src.length && src[pos] !== ">") {
+      if (/[0-9a-fA-F]/.test(src[pos])) hex += src[pos];
+      pos++;
+    }
+    pos++;
+    if (hex.length % 2) hex += "0";
+    let out = "";
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    return { type: "string", value: out };
+  };
+
+  const readObject = () => {
+    skipWhitespace();
+    const ch = src[pos];
+    if (ch === "(") return readLiteralString();
+    if (ch === "<" && src[pos + 1] === "<") {
+      // Dictionary (e.g. marked-content property list) — keep raw, skip balanced
+      const start = pos;
+      let depth = 0;
+      while (pos < src.length) {
+        if (src[pos] === "<" && src[pos + 1] === "<") { depth++; pos += 2; continue; }
+        if (src[pos] === ">" && src[pos + 1] === ">") { depth--; pos += 2; if (depth === 0) break; continue; }
+        if (src[pos] === "(") { readLiteralString(); continue; }
+        pos++;
+      }
+      return { type: "dict", raw: src.slice(start, pos) };
+    }
+    if (ch === "<") return readHexString();
+    if (ch === "[") {
+      pos++;
+      const items = [];
+      for (;;) {
+        skipWhitespace();
+        if (pos >= src.length) break;
+        if (src[pos] === "]") { pos++; break; }
+        const item = readObject();
+        if (!item) break;
+        items.push(item);
+      }
+      return { type: "array", items };
+    }
+    if (ch === "/") {
+      pos++;
+      const start = pos;
+      while (isRegular(src[pos])) pos++;
+      return { type: "name", value: src.slice(start, pos) };
+    }
+    if (ch === "]" || ch === ">" || ch === ")" || ch === "{" || ch === "}") {
+      pos++; // stray delimiter, ignore
+      return { type: "junk" };
+    }
+    const start = pos;
+    while (isRegular(src[pos])) pos++;
+    const word = src.slice(start, pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: "number", value: parseFloat(word) };
+    if (word === "true" || word === "false" || word === "null") return { type: "keyword", value: word };
+    return { type: "operator", value: word };
+  };
+
+  while (pos < src.length) {
+    skipWhitespace();
+    if (pos >= src.length) break;
+    const tokenStart = pos;
+    const obj = readObject();
+    if (!obj) break;
+    if (opStart === -1) opStart = tokenStart;
+
+    if (obj.type !== "operator") {
+      operands.push(obj);
+      continue;
+    }
+
+    if (obj.value === "BI") {
+      // Inline image: skip binary data up to "EI" delimited by whitespace
+      const idIndex = src.indexOf("ID", pos);
+      let end = idIndex === -1 ? src.length : idIndex + 3;
+      while (end < src.length) {
+        const ei = src.indexOf("EI", end);
+        if (ei === -1) { end = src.length; break; }
+        const before = src[ei - 1];
+        const after = src[ei + 2];
+        if (isWhitespace(before) && (after === undefined || isWhitespace(after))) { end = ei + 2; break; }
+        end = ei + 2;
+      }
+      pos = end;
+    }
+
+    ops.push({ op: obj.value, operands, start: opStart, end: pos });
+    operands = [];
+    opStart = -1;
+  }
+
+  return ops;
+}
+
+// ---- Font metrics ----
+
+function lookupNumber(dict, key, fallback) {
+  const v = dict?.lookup(PDFName.of(key));
+  return v instanceof PDFNumber ? v.asNumber() : fallback;
+}
+
+// Common aliases for the standard 14 fonts used without a /Widths array
+const STANDARD_FONT_ALIASES = {
+  Arial: StandardFonts.Helvetica,
+  "Arial,Bold": StandardFonts.HelveticaBold,
+  "Arial,Italic": StandardFonts.HelveticaOblique,
+  "Arial,BoldItalic": StandardFonts.HelveticaBoldOblique,
+  TimesNewRoman: StandardFonts.TimesRoman,
+  "TimesNewRoman,Bold": StandardFonts.TimesRomanBold,
+  "TimesNewRoman,Italic": StandardFonts.TimesRomanItalic,
+  "TimesNewRoman,BoldItalic": StandardFonts.TimesRomanBoldItalic,
+  CourierNew: StandardFonts.Courier,
+  "CourierNew,Bold": StandardFonts.CourierBold,
+};
+
+const standardWidthCache = new Map();
+
+// Code -> width table for a standard 14 font, or null if the base font is not one
+function standardFontWidths(fontDict) {
+  const baseFont = fontDict.lookup(PDFName.of("BaseFont"));
+  if (!(baseFont instanceof PDFName)) return null;
+  const name = baseFont.asString().slice(1).replace(/^[A-Z]{6}\+/, "");
+  const standardName = Object.values(StandardFonts).includes(name) ? name : STANDARD_FONT_ALIASES[name];
+  if (!standardName) return null;
+  if (standardWidthCache.has(standardName)) return standardWidthCache.get(standardName);
+
+  const embedder = StandardFontEmbedder.for(standardName);
+  const widths = new Map();
+  for (const codePoint of embedder.encoding.supportedCodePoints) {
+    const { code, name: glyphName } = embedder.encoding.encodeUnicodeCodePoint(codePoint);
+    const width = embedder.font.getWidthOfGlyph(glyphName);
+    if (typeof width === "number") widths.set(code, width);
+  }
+  standardWidthCache.set(standardName, widths);
+  return widths;
+}
+
+/**
+ * Build a width lookup for a font dictionary
+ * @returns {{twoByte: boolean, scale: number, width: (code: number) => number}}
+ */
+function getFontMetrics(fontDict, cache) {
+  if (!fontDict) return { twoByte: false, scale: 0.001, width: () => DEFAULT_GLYPH_WIDTH };
+  if (cache.has(fontDict)) return cache.get(fontDict);
+
+  const subtype = fontDict.lookup(PDFName.of("Subtype"));
+  const subtypeName = subtype instanceof PDFName ? subtype.asString() : "";
+  let metrics;
+
+  if (subtypeName === "/Type0") {
+    // Composite font: assume 2-byte codes (Identity-H/V, the common case)
+    const descendants = fontDict.lookup(PDFName.of("DescendantFonts"));
+    const cidFont = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    const dw = lookupNumber(cidFont, "DW", 1000);
+    const widths = new Map();
+    const w = cidFont?.lookup(PDFName.of("W"));
+    if (w instanceof PDFArray) {
+      let i = 0;
+      while (i < w.size()) {
+        const first = w.lookup(i);
+        const second = w.lookup(i + 1);
+        if (!(first instanceof PDFNumber)) break;
+        if (second instanceof PDFArray) {
+          // c [w1 w2 ...]
+          for (let k = 0; k < second.size(); k++) {
+            const wk = second.lookup(k);
+            if (wk instanceof PDFNumber) widths.set(first.asNumber() + k, wk.asNumber());
+          }
+          i += 2;
+        } else {
+          // cFirst cLast w
+          const last = second instanceof PDFNumber ? second.asNumber() : first.asNumber();
+          const wv = w.lookup(i + 2);
+          for (let c = first.asNumber(); c <= last; c++) widths.set(c, wv instanceof PDFNumber ? wv.asNumber() : dw);
+          i += 3;
+        }
+      }
+    }
+    metrics = { twoByte: true, scale: 0.001, width: (code) => widths.get(code) ?? dw };
+  } else {
+    const firstChar = lookupNumber(fontDict, "FirstChar", 0);
+    const widthsArr = fontDict.lookup(PDFName.of("Widths"));
+    const descriptor = fontDict.lookup(PDFName.of("FontDescriptor"));
+    const missing = lookupNumber(descriptor instanceof PDFDict ? descriptor : null, "MissingWidth", DEFAULT_GLYPH_WIDTH);
+    let scale = 0.001;
+    if (subtypeName === "/Type3") {
+      const fm = fontDict.lookup(PDFName.of("FontMatrix"));
+      const a = fm instanceof PDFArray ? fm.lookup(0) : null;
+      scale = a instanceof PDFNumber ? a.asNumber() : 0.001;
+    }
+    const standardWidths = widthsArr instanceof PDFArray ? null : standardFontWidths(fontDict);
+    metrics = {
+      twoByte: false,
+      scale,
+      width: (code) => {
+        if (standardWidths) return standardWidths.get(code) ?? missing;
+        if (!(widthsArr instanceof PDFArray)) return missing;
+        const wv = widthsArr.lookup(code - firstChar);
+        return wv instanceof PDFNumber ? wv.asNumber() : missing;
+      },
+    };
+  }
+
+  cache.set(fontDict, metrics);
+  return metrics;
+}
+
+// ---- Serialization ----
+
+function formatNumber(n) {
+  return String(Number(n.toFixed(4)));
+}
+
+function toHexString(binary) {
+  let hex = "";
+  for (let i = 0; i < binary.length; i++) hex += binary.charCodeAt(i).toString(16).padStart(2, "0");
+  return `<${hex}>`;
+}
+
+function serializeTJ(elements) {
+  const parts = elements.map((el) => (typeof el === "number" ? formatNumber(el) : toHexString(el)));
+  return `[${parts.join(" ")}] TJ`;
+}
+
+// ---- Geometry ----
+
+// An area with a matrix is a rectangle in its own space (rotated or skewed text): points are tested there
+function areaContains(area, x, y) {
+  if (area.matrix) ({ x, y } = applyMatrix(invert(area.matrix), x, y));
+  return x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height;
+}
+
+// ---- Interpreter ----
+
+function lookupResource(resources, category, name) {
+  const dict = resources?.lookup(PDFName.of(category));
+  if (!(dict instanceof PDFDict)) return null;
+  return dict.lookup(PDFName.of(name)) ?? null;
+}
+
+function initialGraphicsState(ctm) {
+  return { ctm, Tc: 0, Tw: 0, Th: 1, TL: 0, Tfs: 0, Trise: 0, font: null };
+}
+
+/**
+ * Walk a content stream, removing glyphs whose centre falls inside a redaction area
+ * Redacted copies of the form XObjects it draws are pushed to addedXObjects ({name, ref});
+ * the new content draws them under those names, which the caller adds to its resources.
+ * @returns {string|null} - New content (binary string) or null if nothing changed
+ */
+function redactContent(src, resources, ctm, areas, ctx, depth, addedXObjects) {
+  const ops = tokenizeContentStream(src);
+  const stack = [];
+  let gs = initialGraphicsState(ctm);
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  const replacements = []; // [{start, end, text}]
+
+  const num = (operand) => (operand?.type === "number" ? operand.value : 0);
+
+  const moveLine = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  // Show a string; returns TJ elements (kept strings / adjustments) and whether glyphs were removed
+  const showString = (binary, out) => {
+    const metrics = getFontMetrics(gs.font, ctx.fontCache);
+    const step = metrics.twoByte ? 2 : 1;
+    let removedAny = false;
+    let kept = "";
+
+    const flushKept = () => {
+      if (kept) out.push(kept);
+      kept = "";
+    };
+
+    for (let i = 0; i < binary.length; i += step) {
+      const bytes = binary.slice(i, i + step);
+      const code = step === 2
+        ? (bytes.charCodeAt(0) << 8) | (bytes.charCodeAt(1) || 0)
+        : bytes.charCodeAt(0);
+      const w0 = metrics.width(code) * metrics.scale;
+      const wordSpace = step === 1 && code === 32 ? gs.Tw : 0;
+      const advance = (w0 * gs.Tfs + gs.Tc + wordSpace) * gs.Th;
+
+      // Glyph centre in text space, then to user space
+      const trm = multiply([gs.Tfs * gs.Th, 0, 0, gs.Tfs, 0, gs.Trise], multiply(tm, gs.ctm));
+      const midY = (GLYPH_ASCENT + GLYPH_DESCENT) / 2;
+      const centre = applyMatrix(trm, w0 / 2, midY);
+      const hit = areas.some((area) => areaContains(area, centre.x, centre.y));
+
+      if (hit) {
+        flushKept();
+        // TJ adjustments are in thousandths of text-space units and move left for positive values
+        const adjust = gs.Tfs ? -(w0 * 1000 + ((gs.Tc + wordSpace) * 1000) / gs.Tfs) : 0;
+        if (typeof out[out.length - 1] === "number") out[out.length - 1] += adjust;
+        else out.push(adjust);
+        removedAny = true;
+        ctx.stats.removedGlyphs++;
+      } else {
+        kept += bytes;
+      }
+
+      tm = multiply([1, 0, 0, 1, advance, 0], tm);
+    }
+    flushKept();
+    return removedAny;
+  };
+
+  const showArray = (items, out) => {
+    let removedAny = false;
+    for (const item of items) {
+      if (item.type === "string") {
+        if (showString(item.value, out)) removedAny = true;
+      } else if (item.type === "number") {
+        tm = multiply([1, 0, 0, 1, (-item.value / 1000) * gs.Tfs * gs.Th, 0], tm);
+        if (typeof out[out.length - 1] === "number") out[out.length - 1] += item.value;
+        else out.push(item.value);
+      }
+    }
+    return removedAny;
+  };
+
+  for (const { op, operands, start, end } of ops) {
+    switch (op) {
+      case "q":
+        stack.push({ ...gs });
+        break;
+      case "Q":
+        if (stack.length) gs = stack.pop();
+        break;
+      case "cm":
+        gs.ctm = multiply(operands.map(num), gs.ctm);
+        break;
+      case "BT":
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        break;
+      case "Tc":
+        gs.Tc = num(operands[0]);
+        break;
+      case "Tw":
+        gs.Tw = num(operands[0]);
+        break;
+      case "Tz":
+        gs.Th = num(operands[0]) / 100;
+        break;
+      case "TL":
+        gs.TL = num(operands[0]);
+        break;
+      case "Ts":
+        gs.Trise = num(operands[0]);
+        break;
+      case "Tf": {
+        const fontName = operands[0]?.type === "name" ? operands[0].value : null;
+        const font = fontName ? lookupResource(resources, "Font", fontName) : null;
+        gs.font = font instanceof PDFDict ? font : null;
+        gs.Tfs = num(operands[1]);
+        break;
+      }
+      case "Td":
+        moveLine(num(operands[0]), num(operands[1]));
+        break;
+      case "TD":
+        gs.TL = -num(operands[1]);
+        moveLine(num(operands[0]), num(operands[1]));
+        break;
+      case "Tm":
+        tlm = operands.map(num);
+        tm = tlm;
+        break;
+      case "T*":
+        moveLine(0, -gs.TL);
+        break;
+      case "Tj": {
+        const out = [];
+        if (operands[0]?.type === "string" && showString(operands[0].value, out)) {
+          replacements.push({ start, end, text: serializeTJ(out) });
+        }
+        break;
+      }
+      case "TJ": {
+        const out = [];
+        if (operands[0]?.type === "array" && showArray(operands[0].items, out)) {
+          replacements.push({ start, end, text: serializeTJ(out) });
+        }
+        break;
+      }
+      case "'": {
+        moveLine(0, -gs.TL);
+        const out = [];
+        if (operands[0]?.type === "string" && showString(operands[0].value, out)) {
+          replacements.push({ start, end, text: `T* ${serializeTJ(out)}` });
+        }
+        break;
+      }
+      case '"': {
+        const aw = num(operands[0]);
+        const ac = num(operands[1]);
+        gs.Tw = aw;
+        gs.Tc = ac;
+        moveLine(0, -gs.TL);
+        const out = [];
+        if (operands[2]?.type === "string" && showString(operands[2].value, out)) {
+          replacements.push({
+            start,
+            end,
+            text: `${formatNumber(aw)} Tw ${formatNumber(ac)} Tc T* ${serializeTJ(out)}`,
+          });
+        }
+        break;
+      }
+      case "Do": {
+        const name = operands[0]?.type === "name" ? operands[0].value : null;
+        const copy = name && depth < MAX_FORM_DEPTH ? redactFormXObject(resources, name, gs.ctm, areas, ctx, depth + 1) : null;
+        if (copy) {
+          // A fresh name: the document may already have been redacted once
+          const xobjects = resources?.lookup(PDFName.of("XObject"));
+          let newName;
+          do {
+            newName = `RedactedForm${++ctx.formCount}`;
+          } while (xobjects instanceof PDFDict && xobjects.has(PDFName.of(newName)));
+          addedXObjects.push({ name: newName, ref: copy });
+          replacements.push({ start, end, text: `/${newName} Do` });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (!replacements.length) return null;
+
+  let result = "";
+  let cursor = 0;
+  for (const r of replacements) {
+    result += src.slice(cursor, r.start) + r.text;
+    cursor = r.end;
+  }
+  result += src.slice(cursor);
+  return result;
+}
+
+function streamDictLiteral(dict) {
+  const literal = {};
+  for (const [key, value] of dict.entries()) {
+    const k = key.asString().slice(1);
+    if (k === "Filter" || k === "DecodeParms" || k === "Length") continue;
+    literal[k] = value;
+  }
+  return literal;
+}
+
+/**
+ * Redact a form XObject drawn with the given CTM
+ * The form may be drawn elsewhere too (other pages, other positions, other documents' stamps),
+ * so it is never rewritten in place: a redacted copy is registered for this use only.
+ * @returns {PDFRef|null} - The copy, or null if nothing inside the form was redacted
+ */
+function redactFormXObject(resources, name, ctm, areas, ctx, depth) {
+  const xobjects = resources?.lookup(PDFName.of("XObject"));
+  if (!(xobjects instanceof PDFDict)) return null;
+  const ref = xobjects.get(PDFName.of(name));
+  const stream = ref instanceof PDFRef ? ctx.context.lookup(ref) : ref;
+  if (!(stream instanceof PDFStream)) return null;
+
+  const subtype = stream.dict.lookup(PDFName.of("Subtype"));
+  if (!(subtype instanceof PDFName) || subtype.asString() !== "/Form") return null;
+
+  const matrix = stream.dict.lookup(PDFName.of("Matrix"));
+  const formMatrix = matrix instanceof PDFArray
+    ? matrix.asArray().map((n) => (n instanceof PDFNumber ? n.asNumber() : 0))
+    : IDENTITY;
+  const ownResources = stream.dict.lookup(PDFName.of("Resources"));
+  const formResources = ownResources instanceof PDFDict ? ownResources : resources;
+
+  const src = bytesToBinary(readStreamBytes(stream));
+  const added = [];
+  const redacted = redactContent(src, formResources, multiply(formMatrix, ctm), areas, ctx, depth, added);
+  if (redacted === null) return null;
+
+  const dict = streamDictLiteral(stream.dict);
+  if (added.length > 0) dict.Resources = withXObjects(ctx.context, formResources, added);
+  ctx.stats.rewrittenForms++;
+  return ctx.context.register(ctx.context.flateStream(binaryToBytes(redacted), dict));
+}
+
+// Copy of a resource dictionary with more XObjects; the original may be shared with other pages
+function withXObjects(context, resources, added) {
+  const copy = resources instanceof PDFDict ? resources.clone(context) : context.obj({});
+  const existing = copy.lookup(PDFName.of("XObject"));
+  const xobjects = existing instanceof PDFDict ? existing.clone(context) : context.obj({});
+  for (const { name, ref } of added) xobjects.set(PDFName.of(name), ref);
+  copy.set(PDFName.of("XObject"), xobjects);
+  return copy;
+}
+
+/**
+ * Remove glyphs that fall inside the given areas from a page's content streams.
+ * Areas are in PDF user space (origin bottom-left), as returned by pdf.js text positions, or
+ * in the space their matrix maps to user space (see locateValue in pdf-locate.js).
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {PDFPage} page - pdf-lib page
+ * @param {Array<{x: number, y: number, width: number, height: number, matrix?: number[]}>} areas - Redaction areas
+ * @returns {{removedGlyphs: number, rewrittenForms: number}}
+ */
+export function redactPageContent(pdfDoc, page, areas) {
+  const stats = { removedGlyphs: 0, rewrittenForms: 0 };
+  if (!areas || areas.length === 0) return stats;
+
+  const context = pdfDoc.context;
+  const { Resources } = page.node.normalizedEntries();
+  const contents = page.node.Contents();
+  if (!contents) return stats;
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => context.lookup(ref)).filter((s) => s instanceof PDFStream)
+    : [contents];
+  const src = streams.map((s) => bytesToBinary(readStreamBytes(s))).join("\n");
+
+  const ctx = { context, fontCache: new Map(), stats, formCount: 0 };
+  const added = [];
+  const redacted = redactContent(src, Resources, IDENTITY, areas, ctx, 0, added);
+  if (redacted === null) return stats;
+  if (added.length > 0) page.node.set(PDFName.of("Resources"), withXObjects(context, Resources, added));
+
+  const newStream = context.register(context.flateStream(binaryToBytes(redacted)));
+  // Keep Contents an array: pdf-lib appends its own stream when drawing on the page afterwards
+  page.node.set(PDFName.of("Contents"), context.obj([newStream]));
+  return stats;
+}
+
+/**
+ * Delete indirect objects that are no longer reachable from the trailer.
+ * pdf-lib writes every registered object on save, so replaced content streams
+ * would otherwise still ship inside the "redacted" file.
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {number} - Number of deleted objects
+ */
+export function pruneUnreachableObjects(pdfDoc) {
+  const context = pdfDoc.context;
+  const reachable = new Set();
+  const pending = [];
+
+  const visit = (obj) => {
+    if (!obj) return;
+    if (obj instanceof PDFRef) {
+      if (reachable.has(obj)) return;
+      reachable.add(obj);
+      pending.push(context.lookup(obj));
+    } else if (obj instanceof PDFDict) {
+      for (const [, value] of obj.entries()) visit(value);
+    } else if (obj instanceof PDFArray) {
+      for (const value of obj.asArray()) visit(value);
+    } else if (obj instanceof PDFStream) {
+      visit(obj.dict);
+    }
+  };
+
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  [Root, Info, Encrypt].forEach(visit);
+  while (pending.length) visit(pending.pop());
+
+  let deleted = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+      deleted++;
+    }
+  }
+  return deleted;
+}
@@ -0,0 +1,287 @@
+/**
+ * PDF sanitization beyond the page graphics
+ * Masks or removes PII kept in the objects the page maskers never touch:
+ * - the document Info dictionary (Author, Title, Subject, Keywords, custom keys)
+ * - the XMP metadata stream of the catalog
+ * - annotation texts (sticky notes, popups, free text, link targets)
+ * - AcroForm field values, defaults and choice options (see pdf-form.js)
+ * - outline (bookmark) titles
+ * - embedded file attachments
+ * Every change is listed so it can be reported next to the page masking.
+ */
+
+import {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+  decodePDFRawStream,
+} from "pdf-lib";
+import { findTextSpans } from "./openxml-edit.js";
+import { redactMasker } from "./mask-policy.js";
+import { valueSearches } from "./detection-anchors.js";
+import { maskFormFields } from "./pdf-form.js";
+
+// Info entries that never identify anyone and are kept when clearing
+const NEUTRAL_INFO_KEYS = ["CreationDate", "ModDate", "Creator", "Producer", "Trapped"];
+
+// Annotation entries holding user-visible or user-authored text
+const ANNOTATION_TEXT_KEYS = ["Contents", "T", "Subj", "RC"];
+
+// Annotations that are part of the page structure rather than comments
+const STRUCTURAL_ANNOTATIONS = ["Link", "Widget"];
+
+// Guards against malformed (cyclic) outline and name trees
+const MAX_TREE_NODES = 10000;
+
+/**
+ * Sanitize the non-page objects of a loaded PDF in place
+ * Anchors point at the page text, not at these objects: every detection's value is searched for.
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @param {Object} [options]
+ * @param {Function} [options.mask] - Masker from createMasker
+ * @param {'blank'|'mask'|'keep'} [options.metadata='blank'] - Info dictionary and XMP: blank removes
+ *   them (dates and producer excepted), mask applies the detections to their values
+ * @param {'mask'|'remove'|'keep'} [options.annotations='mask'] - Comments and notes: mask their texts or remove them
+ * @param {'remove'|'keep'} [options.attachments='remove'] - Embedded files
+ * @param {'mask'|'clear'} [options.form='mask'] - Form field values containing PII: mask the PII or clear the value
+ * @param {boolean} [options.flattenForm=false] - Flatten the form after masking
+ * @returns {Array<{object: string, field: string, action: string}>} - action is masked, removed, cleared or flattened
+ */
+export function sanitizePdf(pdfDoc, detections, options = {}) {
+  const {
+    mask = redactMasker,
+    metadata = "blank",
+    annotations = "mask",
+    attachments = "remove",
+    form = "mask",
+    flattenForm = false,
+  } = options;
+  const searched = valueSearches(detections);
+  const maskText = (text) => maskPlainText(text, searched, mask);
+  const changes = [];
+
+  sanitizeInfo(pdfDoc, metadata, maskText, changes);
+  sanitizeXmp(pdfDoc, metadata, maskText, changes);
+  sanitizeAnnotations(pdfDoc, annotations, attachments, maskText, changes);
+  changes.push(...maskFormFields(pdfDoc, maskText, { mode: form, flatten: flattenForm }));
+  sanitizeOutlines(pdfDoc, maskText, changes);
+  if (attachments === "remove") removeEmbeddedFiles(pdfDoc, changes);
+
+  return changes;
+}
+
+// ---- Text helpers ----
+
+function maskPlainText(text, detections, mask) {
+  const ranges = [];
+  for (const det of detections) {
+    for (const span of findTextSpans(text, String(det.value || "").trim())) ranges.push({ ...span, det });
+  }
+  if (ranges.length === 0) return text;
+
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  let result = "";
+  let lastEnd = 0;
+  for (const range of ranges) {
+    if (range.start < lastEnd) continue;
+    result += text.slice(lastEnd, range.start) + mask(text.slice(range.start, range.end), range.det);
+    lastEnd = range.end;
+  }
+  return result + text.slice(lastEnd);
+}
+
+function readText(obj) {
+  return obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : null;
+}
+
+function readStreamText(stream) {
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+/**
+ * Mask a text string (or rich text stream) stored under a key
+ * @returns {boolean} - Whether the value changed
+ */
+function maskEntry(context, dict, key, maskText) {
+  const name = PDFName.of(key);
+  const obj = context.lookup(dict.get(name));
+  if (obj instanceof PDFStream) {
+    const text = readStreamText(obj);
+    const masked = maskText(text);
+    if (masked === text) return false;
+    dict.set(name, PDFHexString.fromText(masked));
+    return true;
+  }
+  const text = readText(obj);
+  if (text === null) return false;
+  const masked = maskText(text);
+  if (masked === text) return false;
+  dict.set(name, PDFHexString.fromText(masked));
+  return true;
+}
+
+function lookupDict(context, obj) {
+  const resolved = context.lookup(obj);
+  return resolved instanceof PDFDict ? resolved : null;
+}
+
+// ---- Document properties ----
+
+function sanitizeInfo(pdfDoc, mode, maskText, changes) {
+  if (mode === "keep") return;
+  const info = lookupDict(pdfDoc.context, pdfDoc.context.trailerInfo.Info);
+  if (!info) return;
+
+  for (const [name, value] of info.entries()) {
+    const key = name.decodeText();
+    if (NEUTRAL_INFO_KEYS.includes(key)) continue;
+    if (mode === "blank") {
+      info.delete(name);
+      changes.push({ object: "Info", field: key, action: "removed" });
+    } else if (readText(pdfDoc.context.lookup(value)) !== null && maskEntry(pdfDoc.context, info, key, maskText)) {
+      changes.push({ object: "Info", field: key, action: "masked" });
+    }
+  }
+}
+
+function sanitizeXmp(pdfDoc, mode, maskText, changes) {
+  if (mode === "keep") return;
+  const { catalog, context } = pdfDoc;
+  const stream = context.lookup(catalog.get(PDFName.of("Metadata")));
+  if (!(stream instanceof PDFStream)) return;
+
+  if (mode === "blank") {
+    catalog.delete(PDFName.of("Metadata"));
+    changes.push({ object: "XMP metadata", field: "Metadata", action: "removed" });
+    return;
+  }
+
+  // Mask text nodes and attribute values; markup and entities outside them are left alone
+  const xml = readStreamText(stream);
+  const masked = xml
+    .replace(/>([^<]+)</g, (match, content) => `>${maskText(content)}<`)
+    .replace(/(\s[\w:.-]+=")([^"]*)(")/g, (match, before, value, after) => before + maskText(value) + after);
+  if (masked === xml) return;
+  const newStream = context.stream(new TextEncoder().encode(masked), { Type: "Metadata", Subtype: "XML" });
+  catalog.set(PDFName.of("Metadata"), context.register(newStream));
+  changes.push({ object: "XMP metadata", field: "Metadata", action: "masked" });
+}
+
+// ---- Annotations ----
+
+function sanitizeAnnotations(pdfDoc, mode, attachments, maskText, changes) {
+  const { context } = pdfDoc;
+  pdfDoc.getPages().forEach((page, i) => {
+    const annots = context.lookup(page.node.get(PDFName.of("Annots")));
+    if (!(annots instanceof PDFArray)) return;
+
+    const kept = [];
+    for (let j = 0; j < annots.size(); j++) {
+      const ref = annots.get(j);
+      const annot = lookupDict(context, ref);
+      if (!annot) continue;
+      const subtype = annot.get(PDFName.of("Subtype"))?.decodeText?.() || "Unknown";
+      const object = `Page ${i + 1} annotation (${subtype})`;
+
+      const isAttachment = subtype === "FileAttachment" && attachments === "remove";
+      const isComment = !STRUCTURAL_ANNOTATIONS.includes(subtype);
+      if (isAttachment || (mode === "remove" && isComment)) {
+        const field = isAttachment ? fileSpecName(context, annot.get(PDFName.of("FS"))) || "attachment" : "annotation";
+        changes.push({ object, field, action: "removed" });
+        continue;
+      }
+      kept.push(ref);
+      // Widgets are form fields (their T is the field name), handled with the form
+      if (mode === "keep" || subtype === "Widget") continue;
+
+      let textChanged = false;
+      for (const key of ANNOTATION_TEXT_KEYS) {
+        if (maskEntry(context, annot, key, maskText)) {
+          changes.push({ object, field: key, action: "masked" });
+          textChanged = true;
+        }
+      }
+      const action = lookupDict(context, annot.get(PDFName.of("A")));
+      if (action && maskEntry(context, action, "URI", maskText)) {
+        changes.push({ object, field: "URI", action: "masked" });
+      }
+      // Free text draws its contents from the appearance stream; have viewers regenerate it
+      if (textChanged && subtype === "FreeText") annot.delete(PDFName.of("AP"));
+    }
+
+    if (kept.length !== annots.size()) {
+      page.node.set(PDFName.of("Annots"), context.obj(kept));
+    }
+  });
+}
+
+// ---- Outlines ----
+
+function sanitizeOutlines(pdfDoc, maskText, changes) {
+  const { catalog, context } = pdfDoc;
+  const root = lookupDict(context, catalog.get(PDFName.of("Outlines")));
+  if (!root) return;
+
+  const seen = new Set();
+  const stack = [context.lookup(root.get(PDFName.of("First")))];
+  while (stack.length > 0 && seen.size <= MAX_TREE_NODES) {
+    const item = stack.pop();
+    if (!(item instanceof PDFDict) || seen.has(item)) continue;
+    seen.add(item);
+    if (maskEntry(context, item, "Title", maskText)) {
+      changes.push({ object: "Outline", field: "Title", action: "masked" });
+    }
+    stack.push(context.lookup(item.get(PDFName.of("Next"))), context.lookup(item.get(PDFName.of("First"))));
+  }
+}
+
+// ---- Embedded files ----
+
+function removeEmbeddedFiles(pdfDoc, changes) {
+  const { catalog, context } = pdfDoc;
+  const names = lookupDict(context, catalog.get(PDFName.of("Names")));
+  const tree = names && lookupDict(context, names.get(PDFName.of("EmbeddedFiles")));
+  if (tree) {
+    for (const [name, spec] of nameTreeEntries(context, tree)) {
+      changes.push({ object: "Embedded file", field: fileSpecName(context, spec) || name, action: "removed" });
+    }
+    names.delete(PDFName.of("EmbeddedFiles"));
+  }
+  // PDF/A-3 associated files
+  if (catalog.has(PDFName.of("AF"))) {
+    catalog.delete(PDFName.of("AF"));
+    changes.push({ object: "Catalog", field: "AF", action: "removed" });
+  }
+}
+
+function nameTreeEntries(context, node, seen = new Set()) {
+  if (seen.has(node) || seen.size > MAX_TREE_NODES) return [];
+  seen.add(node);
+  const entries = [];
+  const names = context.lookup(node.get(PDFName.of("Names")));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      entries.push([readText(context.lookup(names.get(i))) ?? "", names.get(i + 1)]);
+    }
+  }
+  const kids = context.lookup(node.get(PDFName.of("Kids")));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const kid = lookupDict(context, kids.get(i));
+      if (kid) entries.push(...nameTreeEntries(context, kid, seen));
+    }
+  }
+  return entries;
+}
+
+function fileSpecName(context, specRef) {
+  const spec = context.lookup(specRef);
+  if (!(spec instanceof PDFDict)) return readText(spec) ?? "";
+  return readText(context.lookup(spec.get(PDFName.of("UF")))) ?? readText(context.lookup(spec.get(PDFName.of("F")))) ?? "";
+}
@@ -0,0 +1,224 @@
+/**
+ * Built-in rule-based PII detector
+ * Scans extracted text for common identifiers and returns detections in the same
+ * {type, value} shape as the detections JSON. Values with a checksum (IBAN, cards,
+ * national IDs) are validated so random digit runs are not reported.
+ */
+
+// Words that make a nearby date a date of birth or a bare number an ID
+const DOB_KEYWORDS = /(geboren|geb\.|geburtsdatum|born|birth|d\.o\.b|dob|né|née|naissance)/i;
+const STEUER_ID_KEYWORDS = /(steuer|identifikationsnummer|idnr|tin\b|tax)/i;
+const BSN_KEYWORDS = /(bsn|burgerservicenummer|sofinummer)/i;
+const KEYWORD_WINDOW = 40;
+
+const MONTHS = {
+  jan: 1, january: 1, januar: 1, janvier: 1,
+  feb: 2, february: 2, februar: 2, "février": 2, fevrier: 2,
+  mar: 3, march: 3, "märz": 3, maerz: 3, mars: 3,
+  apr: 4, april: 4, avril: 4,
+  may: 5, mai: 5,
+  jun: 6, june: 6, juni: 6, juin: 6,
+  jul: 7, july: 7, juli: 7, juillet: 7,
+  aug: 8, august: 8, "août": 8, aout: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10, octobre: 10,
+  nov: 11, november: 11, novembre: 11,
+  dec: 12, december: 12, dez: 12, dezember: 12, "décembre": 12, decembre: 12,
+};
+
+// Rules in priority order: an earlier rule wins when matches overlap
+const RULES = [
+  {
+    type: "EMAIL",
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  {
+    type: "IBAN",
+    regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: (value) => isValidIban(value),
+  },
+  {
+    type: "CREDIT_CARD",
+    // Not the tail of a longer digit group (e.g. an IBAN that failed its checksum)
+    regex: /(?<!\d[ -]?)\b[2-6]\d{3}(?:[ -]?\d){9,15}\b/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, "");
+      return digits.length >= 13 && digits.length <= 19 && luhnCheck(digits);
+    },
+  },
+  {
+    // French NIR (numéro de sécurité sociale) with its 2-digit key
+    type: "NATIONAL_ID",
+    regex: /\b[12] ?\d{2} ?(?:0[1-9]|1[0-2]|[2-9]\d) ?(?:\d{2}|2A|2B) ?\d{3} ?\d{3} ?\d{2}\b/g,
+    validate: (value) => isValidNir(value),
+  },
+  {
+    // Spanish DNI / NIE
+    type: "NATIONAL_ID",
+    regex: /\b[XYZ0-9]\d{7}-?[A-Z]\b/g,
+    validate: (value) => isValidDniNie(value),
+  },
+  {
+    // German Steuer-Identifikationsnummer, only next to a keyword
+    type: "NATIONAL_ID",
+    regex: /\b[1-9]\d ?\d{3} ?\d{3} ?\d{3}\b/g,
+    validate: (value, text, start) => hasKeywordBefore(text, start, STEUER_ID_KEYWORDS) && isValidSteuerId(value),
+  },
+  {
+    // Dutch BSN, only next to a keyword
+    type: "NATIONAL_ID",
+    regex: /\b\d{4}\.?\d{2}\.?\d{3}\b|\b\d{9}\b/g,
+    validate: (value, text, start) => hasKeywordBefore(text, start, BSN_KEYWORDS) && isValidBsn(value),
+  },
+  {
+    type: "DATE_OF_BIRTH",
+    regex: /\b(?:\d{1,2}[./-]\d{1,2}[./-](?:19|20)\d{2}|(?:19|20)\d{2}-\d{2}-\d{2}|\d{1,2}\.? ?[A-Za-zÀ-ÿ]{3,9}\.? (?:19|20)\d{2})\b/g,
+    validate: (value, text, start) => hasKeywordBefore(text, start, DOB_KEYWORDS) && isValidDate(value),
+  },
+  {
+    type: "PHONE",
+    regex: /(?<![\w+])(?:\+\d{1,3}[ ./-]?(?:\(0\)[ ./-]?)?|\(?0)\d{1,5}\)?(?:[ ./-]?\d{2,}){1,5}\b/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, "");
+      // Dates like 01.02.2020 have the right shape but are not phone numbers
+      return digits.length >= 8 && digits.length <= 15 && !isValidDate(value);
+    },
+  },
+];
+
+/**
+ * Detect PII in text
+ * @param {string} text - Extracted document text
+ * @returns {Array<{type: string, value: string}>} - Detections, one per distinct type/value
+ */
+export function detectPII(text) {
+  if (!text) return [];
+  const accepted = [];
+
+  for (const rule of RULES) {
+    rule.regex.lastIndex = 0;
+    let match;
+    while ((match = rule.regex.exec(text)) !== null) {
+      const value = match[0];
+      const start = match.index;
+      const end = start + value.length;
+      if (rule.validate && !rule.validate(value, text, start)) continue;
+      if (accepted.some((a) => start < a.end && end > a.start)) continue;
+      accepted.push({ type: rule.type, value, start, end });
+    }
+  }
+
+  return unionDetections(accepted.sort((a, b) => a.start - b.start).map(({ type, value }) => ({ type, value })));
+}
+
+/**
+ * Union of detection lists without duplicate type/value pairs
+ * @param {...Array<{type: string, value: string}>} lists - Detection lists
+ * @returns {Array<{type: string, value: string}>}
+ */
+export function unionDetections(...lists) {
+  const seen = new Set();
+  const out = [];
+  for (const det of lists.flat()) {
+    // Anchored detections (offsets, page, bbox) are distinct even when the value repeats
+    const anchor = [det.start, det.page, det.bbox && JSON.stringify(det.bbox)].map((a) => a ?? "").join("\u0000");
+    const key = `${det.type}\u0000${String(det.value ?? "").trim()}\u0000${anchor}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(det);
+  }
+  return out;
+}
+
+function hasKeywordBefore(text, start, keywords) {
+  return keywords.test(text.slice(Math.max(0, start - KEYWORD_WINDOW), start));
+}
+
+function luhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, "").toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const n = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of n) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function isValidNir(value) {
+  const nir = value.replace(/\s/g, "").toUpperCase();
+  // Corsica: 2A / 2B are replaced by 19 / 18 for the key computation
+  const numeric = nir.slice(0, 13).replace("2A", "19").replace("2B", "18");
+  if (!/^\d{13}$/.test(numeric)) return false;
+  const key = 97 - Number(BigInt(numeric) % 97n);
+  return key === Number(nir.slice(13));
+}
+
+function isValidDniNie(value) {
+  const id = value.replace("-", "").toUpperCase();
+  const numeric = id.slice(0, 8).replace(/^X/, "0").replace(/^Y/, "1").replace(/^Z/, "2");
+  if (!/^\d{8}$/.test(numeric)) return false;
+  return "TRWAGMYFPDXBNJZSQVHLCKE"[Number(numeric) % 23] === id[8];
+}
+
+// ISO 7064 MOD 11,10 check digit; one digit of the first ten must repeat
+function isValidSteuerId(value) {
+  const digits = value.replace(/\s/g, "");
+  if (!/^[1-9]\d{10}$/.test(digits)) return false;
+  const counts = new Set([...digits.slice(0, 10)].map((d, _, all) => all.filter((x) => x === d).length));
+  if (!counts.has(2) && !counts.has(3)) return false;
+
+  let product = 10;
+  for (let i = 0; i < 10; i++) {
+    let sum = (Number(digits[i]) + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (sum * 2) % 11;
+  }
+  const check = (11 - product) % 10;
+  return check === Number(digits[10]);
+}
+
+// "Elfproef": weights 9..2 and -1 for the last digit
+function isValidBsn(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length !== 9) return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(digits[i]) * (9 - i);
+  sum -= Number(digits[8]);
+  return sum % 11 === 0 && sum !== 0;
+}
+
+function isValidDate(value) {
+  let day, month, year;
+  let m;
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value))) {
+    [, year, month, day] = m.map(Number);
+  } else if ((m = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(value))) {
+    [, day, month, year] = m.map(Number);
+    // US order (MM/DD/YYYY) when only the first part can be a month
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+  } else if ((m = /^(\d{1,2})\.? ?([A-Za-zÀ-ÿ]+)\.? (\d{4})$/.exec(value))) {
+    day = Number(m[1]);
+    month = MONTHS[m[2].toLowerCase()];
+    year = Number(m[3]);
+  } else {
+    return false;
+  }
+  if (!month || month < 1 || month > 12 || day < 1) return false;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1;
+}
@@ -0,0 +1,119 @@
+/**
+ * Allowlist (never mask) and denylist (always mask) for detections
+ * Config JSON: { "allow": [entry], "deny": [entry] } where an entry is either a string
+ * (case-insensitive match) or { "value": string, "match": "exact"|"ci"|"regex", "type"?: string }.
+ * Regex entries use JavaScript syntax; allow regexes are tested against the detected value,
+ * deny regexes are searched in the document text.
+ */
+
+const MATCH_MODES = ["exact", "ci", "regex"];
+
+// Nothing is allowed or denied unless the user configures it
+export const DEFAULT_LISTS_CONFIG = {
+  allow: [],
+  deny: [],
+};
+
+// Example config: common German words that upstream detectors reported as PII (formerly hardcoded in maskPdf)
+export const GERMAN_WORDS_EXAMPLE_CONFIG = {
+  allow: [
+    "Die Finanzbranche", "Finanzbranche", "Die", "in", "derzeit", "eine", "Phase", "intensiver",
+    "Digitalisierung", "Investitionen", "Sicherheit", "und", "Datenschutz", "sind", "für", "Banken",
+    "oberste", "Priorität", "Zahlungssysteme", "Online", "Banking", "werden", "von", "Kunden",
+    "zunehmend", "akzeptiert", "Im", "Rahmen", "neuer", "Gesetze", "wird", "Transparenz", "Finanzwesen",
+    "weiter", "erhöht", "Viele", "Unternehmen", "setzen", "auf", "elektronische", "Rechnungsstellung",
+    "um", "Prozesse", "zu", "optimieren",
+  ],
+  deny: [],
+};
+
+/**
+ * Parse and validate an allow/deny list config
+ * @param {string|Object} config - JSON text or parsed object
+ * @returns {{allow: Array<{value: string, match: string, type?: string}>, deny: Array<{value: string, match: string, type?: string}>}}
+ */
+export function parseListsConfig(config) {
+  const parsed = typeof config === "string" ? (config.trim() ? JSON.parse(config) : {}) : config || {};
+  if (typeof parsed !== "object" || Array.isArray(parsed)) throw new Error('Allow/deny config must be an object like {"allow": [...], "deny": [...]}');
+
+  const normalize = (list, name) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) throw new Error(`"${name}" must be an array`);
+    return list.map((entry, i) => {
+      const e = typeof entry === "string" ? { value: entry, match: "ci" } : { match: "ci", ...entry };
+      if (typeof e.value !== "string" || !e.value) throw new Error(`${name}[${i}]: "value" must be a non-empty string`);
+      if (!MATCH_MODES.includes(e.match)) throw new Error(`${name}[${i}]: "match" must be one of ${MATCH_MODES.join(", ")}`);
+      if (e.match === "regex") {
+        try {
+          new RegExp(e.value);
+        } catch (err) {
+          throw new Error(`${name}[${i}]: invalid regex: ${err.message}`);
+        }
+      }
+      return e;
+    });
+  };
+
+  return { allow: normalize(parsed.allow, "allow"), deny: normalize(parsed.deny, "deny") };
+}
+
+function entryMatchesValue(entry, value) {
+  if (entry.match === "exact") return value === entry.value;
+  if (entry.match === "ci") return value.toLowerCase() === entry.value.toLowerCase();
+  return new RegExp(entry.value).test(value);
+}
+
+// Distinct strings of the text matched by a deny entry
+function findDenyMatches(entry, text) {
+  if (entry.match === "regex") {
+    const regex = new RegExp(entry.value, "g");
+    return [...new Set([...text.matchAll(regex)].map((m) => m[0]).filter(Boolean))];
+  }
+  if (entry.match === "exact") return [entry.value];
+
+  const found = new Set();
+  const haystack = text.toLowerCase();
+  const needle = entry.value.toLowerCase();
+  for (let idx = haystack.indexOf(needle); idx !== -1; idx = haystack.indexOf(needle, idx + needle.length)) {
+    found.add(text.slice(idx, idx + needle.length));
+  }
+  // Without text (images, scanned PDFs) OCR still gets to look for the value itself
+  if (found.size === 0) found.add(entry.value);
+  return [...found];
+}
+
+/**
+ * Apply allow and deny lists to detections
+ * Allowlisted values are dropped, then denylisted values are added (deny wins).
+ * @param {Array<{type: string, value: string}>} detections - Detections
+ * @param {ReturnType<typeof parseListsConfig>} lists - Parsed lists
+ * @param {string} text - Extracted document text (used to find denylist matches)
+ * @returns {{detections: Array<{type: string, value: string}>, suppressed: Array<{detection: Object, entry: Object}>, added: Array<{detection: Object, entry: Object}>}}
+ */
+export function applyAllowDenyLists(detections, lists, text = "") {
+  const suppressed = [];
+  const kept = [];
+  for (const detection of detections) {
+    const value = String(detection.value || "").trim();
+    const entry = lists.allow.find((e) => entryMatchesValue(e, value));
+    if (entry && !lists.deny.some((e) => entryMatchesValue(e, value))) {
+      suppressed.push({ detection, entry });
+    } else {
+      kept.push(detection);
+    }
+  }
+
+  const added = [];
+  const present = new Set(kept.map((d) => String(d.value).trim()));
+  for (const entry of lists.deny) {
+    for (const value of findDenyMatches(entry, text)) {
+      if (present.has(value)) continue;
+      present.add(value);
+      const detection = { type: entry.type || "DENYLIST", value };
+      kept.push(detection);
+      added.push({ detection, entry });
+    }
+  }
+
+  return { detections: kept, suppressed, added };
+}
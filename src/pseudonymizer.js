@@ -0,0 +1,202 @@
+/**
+ * Consistent pseudonymization
+ * Every distinct original value gets a generated, format-valid fake of (as far as possible) the
+ * same length, and the same original always maps to the same fake for the lifetime of the
+ * session, so names stay consistent across a document and across a batch of documents.
+ */
+
+const FIRST_NAMES = [
+  "Anna", "Ben", "Clara", "David", "Emma", "Felix", "Greta", "Hannes", "Ida", "Jonas", "Karla", "Lukas",
+  "Mia", "Noah", "Olga", "Paul", "Rosa", "Simon", "Tara", "Ugo", "Vera", "Willi", "Yara", "Zoe",
+  "Adrian", "Beatrix", "Charlotte", "Dominik", "Elisabeth", "Frederik", "Johanna", "Konstantin",
+  "Léa", "Marie", "Nils", "Otto", "Pia", "Jan", "Eva", "Max", "Lina", "Tom",
+];
+
+const LAST_NAMES = [
+  "Abel", "Brandt", "Costa", "Dietz", "Ebert", "Fuchs", "Graf", "Hahn", "Imhof", "Jung", "Kraus", "Lorenz",
+  "Moser", "Nagel", "Ott", "Peters", "Quast", "Roth", "Seidel", "Thiel", "Ulrich", "Vogt", "Wolf", "Zeller",
+  "Albrecht", "Bergmann", "Dubois", "Engelhardt", "Friedrichs", "Lambert", "Martin", "Hoffmann",
+  "Schneider", "Schumacher", "Lindqvist", "Rey", "Bauer", "Kuhn", "Lang", "Meier",
+];
+
+const STREETS = [
+  "Ahornweg", "Birkenstraße", "Gartenstraße", "Lindenallee", "Marktplatz", "Rosenweg", "Schulstraße",
+  "Bahnhofstraße", "Kirchgasse", "Am Mühlbach", "Rue des Lilas", "Main Street", "Parkweg", "Seestraße",
+];
+
+const TOWNS = ["Musterstadt", "Beispielheim", "Neustadt", "Altdorf", "Bergdorf", "Talheim", "Feldkirch"];
+
+// Types that get a dedicated generator; everything else keeps its shape character by character
+const NAME_TYPES = /^(NAME|PERSON|PER|FULL_?NAME|FIRST_?NAME|LAST_?NAME)$/i;
+const ADDRESS_TYPES = /^(ADDRESS|LOCATION|STREET(_?ADDRESS)?|LOC)$/i;
+
+/**
+ * Create a pseudonymization session
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.mapping] - Existing original → fake mapping to continue
+ * @returns {{pseudonymize: (value: string, type: string) => string, mapping: Map<string, string>}}
+ */
+export function createPseudonymSession(options = {}) {
+  const mapping = options.mapping || new Map();
+  const used = new Set(mapping.values());
+
+  const pseudonymize = (value, type) => {
+    const original = String(value ?? "").trim();
+    const key = `${String(type || "").toUpperCase()}\u0000${original}`;
+    if (mapping.has(key)) return mapping.get(key);
+
+    let fake = original;
+    for (let attempt = 0; attempt < 20 && (fake === original || used.has(fake)); attempt++) {
+      fake = generateFake(original, type);
+    }
+    mapping.set(key, fake);
+    used.add(fake);
+    return fake;
+  };
+
+  return { pseudonymize, mapping };
+}
+
+/**
+ * Generate a fake value of the same kind and, where possible, the same length
+ * @param {string} original - Original value
+ * @param {string} type - Detection type
+ * @returns {string}
+ */
+export function generateFake(original, type = "") {
+  const t = String(type).toUpperCase();
+  if (t === "EMAIL" || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(original)) return fakeEmail(original);
+  if (t === "IBAN" || /^[A-Z]{2}\d{2}[A-Z0-9 ]{11,}$/.test(original)) return fakeIban(original);
+  if (t === "CREDIT_CARD") return fakeCard(original);
+  if (NAME_TYPES.test(t)) return fakeName(original);
+  if (ADDRESS_TYPES.test(t)) return fakeAddress(original);
+  if (t === "PHONE") return fakePhone(original);
+  return fakeSameShape(original);
+}
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+const randomDigit = () => String(Math.floor(Math.random() * 10));
+const randomLetter = () => String.fromCharCode(97 + Math.floor(Math.random() * 26));
+
+// Copy the letter case of the original (ALL CAPS / lower case) onto the fake
+function matchCase(fake, original) {
+  if (original === original.toUpperCase() && original !== original.toLowerCase()) return fake.toUpperCase();
+  if (original === original.toLowerCase() && original !== original.toUpperCase()) return fake.toLowerCase();
+  return fake;
+}
+
+// Choose the candidate whose length is closest to the target (exact matches first, then shorter)
+function closestByLength(candidates, target) {
+  const score = (c) => (c.length === target ? 0 : c.length < target ? target - c.length : 1000 + c.length - target);
+  const best = Math.min(...candidates.map(score));
+  return pick(candidates.filter((c) => score(c) === best));
+}
+
+function fakeName(original) {
+  const parts = original.split(/\s+/);
+  let candidates;
+  if (parts.length === 1) {
+    candidates = [...LAST_NAMES, ...FIRST_NAMES];
+  } else {
+    const separator = original.includes(",") ? ", " : " ";
+    candidates = [];
+    for (const first of FIRST_NAMES) {
+      for (const last of LAST_NAMES) {
+        candidates.push(separator === ", " ? `${last}, ${first}` : `${first} ${last}`);
+      }
+    }
+  }
+  return matchCase(closestByLength(candidates, original.length), original);
+}
+
+function fakeEmail(original) {
+  const [local, domain] = original.split("@");
+  const tld = domain.split(".").pop().toLowerCase();
+  // Reserved example domains (RFC 2606) never reach a real mailbox
+  const fakeDomain = tld === "org" || tld === "net" ? `example.${tld}` : "example.com";
+  const sep = local.includes(".") ? "." : local.includes("_") ? "_" : "";
+  const targetLocal = Math.max(1, original.length - fakeDomain.length - 1);
+  const candidates = [];
+  for (const first of FIRST_NAMES) {
+    for (const last of LAST_NAMES) candidates.push(`${first}${sep}${last}`.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, ""));
+  }
+  return `${closestByLength(candidates, targetLocal)}@${fakeDomain}`;
+}
+
+function fakePhone(original) {
+  // Keep the international prefix (+49 …) or trunk 0 so the number still looks local
+  const prefix = /^(\+\d{1,3}\s?(\(0\))?|00\d{1,3}|0)/.exec(original)?.[0] || "";
+  return prefix + original.slice(prefix.length).replace(/\d/g, randomDigit);
+}
+
+function fakeIban(original) {
+  const compact = original.replace(/\s/g, "").toUpperCase();
+  const country = compact.slice(0, 2);
+  const bban = compact.slice(4).replace(/\d/g, randomDigit).replace(/[A-Z]/g, () => randomLetter().toUpperCase());
+  const check = String(98 - ibanRemainder(`${bban}${country}00`)).padStart(2, "0");
+  const fake = `${country}${check}${bban}`;
+  // Re-apply the original grouping
+  let i = 0;
+  return [...original].map((ch) => (/\s/.test(ch) ? ch : fake[i++])).join("");
+}
+
+function ibanRemainder(value) {
+  let remainder = 0;
+  for (const ch of value) {
+    const n = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of n) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder;
+}
+
+function fakeCard(original) {
+  const digits = original.replace(/\D/g, "");
+  if (digits.length < 2) return fakeSameShape(original);
+  // Same issuer digit, random body, valid Luhn check digit
+  let body = digits[0];
+  for (let i = 1; i < digits.length - 1; i++) body += randomDigit();
+  for (let check = 0; check < 10; check++) {
+    if (luhnValid(body + check)) {
+      const fake = body + check;
+      let i = 0;
+      return original.replace(/\d/g, () => fake[i++]);
+    }
+  }
+  return fakeSameShape(original);
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function fakeAddress(original) {
+  const candidates = [];
+  const hasTown = /\d{4,5}\s+\S/.test(original) || original.includes(",");
+  for (const street of STREETS) {
+    for (let number = 1; number <= 60; number += 7) {
+      if (!hasTown) {
+        candidates.push(`${street} ${number}`);
+        continue;
+      }
+      for (const town of TOWNS) candidates.push(`${street} ${number}, ${10000 + number * 1237} ${town}`);
+    }
+  }
+  return closestByLength(candidates, original.length);
+}
+
+// Keep punctuation and spacing, replace digits with digits and letters with letters
+function fakeSameShape(original) {
+  return original
+    .replace(/\d/g, randomDigit)
+    .replace(/\p{Lu}/gu, () => randomLetter().toUpperCase())
+    .replace(/\p{Ll}/gu, randomLetter);
+}
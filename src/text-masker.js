@@ -4,9 +4,19 @@
  */
 
 import JSZip from "jszip";
-import { PDFDocument, rgb } from "pdf-lib";
-import mammoth from "mammoth";
+import { PDFDocument, StandardFonts, concatTransformationMatrix, popGraphicsState, pushGraphicsState, rgb } from "pdf-lib";
 import * as pdfjsLib from 'pdfjs-dist';
+import { redactPageContent, pruneUnreachableObjects } from "./pdf-redact.js";
+import { findValueOccurrences, indexPageText, loadPageFonts, locateValue } from "./pdf-locate.js";
+import { sanitizePdf } from "./pdf-sanitize.js";
+import { listDocxTextParts, decodeXmlText, encodeXmlText } from "./docx-parts.js";
+import { inspectHiddenContent, acceptRevisionsAndStripHidden, addHiddenContentCounts } from "./docx-revisions.js";
+import { sanitizeDocxMetadata } from "./docx-metadata.js";
+import { maskDocxImages } from "./docx-images.js";
+import { indexRuns, findTextSpans, replaceTextSpans, replacementLayout } from "./openxml-edit.js";
+import { readWordDocument, writeWordDocumentText } from "./word-doc.js";
+import { redactMasker } from "./mask-policy.js";
+import { normalizeBbox, selectOccurrence, valueSearches } from "./detection-anchors.js";
 
 // Disable worker for simpler setup
 pdfjsLib.GlobalWorkerOptions.workerSrc = '';
@@ -46,12 +56,13 @@ function findAllOccurrences(text, value) {
 }
 
 /**
- * Mask text by replacing characters with 'X'
+ * Mask text ranges (X out by default, or per the masking policy of each range's detection)
  * @param {string} text - Original text
- * @param {Array<{start: number, end: number}>} ranges - Ranges to mask
+ * @param {Array<{start: number, end: number, det?: Object}>} ranges - Ranges to mask
+ * @param {Function} [mask] - Masker from createMasker
  * @returns {string} - Masked text
  */
-function maskTextRanges(text, ranges) {
+function maskTextRanges(text, ranges, mask = redactMasker) {
   if (!ranges || ranges.length === 0) return text;
   
   // Sort ranges by start position
@@ -64,10 +75,8 @@ function maskTextRanges(text, ranges) {
     // Add text before this range
     result += text.substring(lastEnd, range.start);
     
-    // Add masked text (preserve whitespace)
     const originalText = text.substring(range.start, range.end);
-    const masked = originalText.replace(/[^\s]/g, 'X');
-    result += masked;
+    result += mask(originalText, range.det);
     
     lastEnd = range.end;
   }
@@ -80,191 +89,177 @@ function maskTextRanges(text, ranges) {
 
 /**
  * Mask DOCX file by replacing PII with 'X' characters
+ * Covers every text-bearing part: body, headers, footers, footnotes, endnotes and comments.
  * @param {ArrayBuffer} docxArrayBuffer - Original DOCX file
- * @param {Array<{type: string, value: string}>} detections - PII detections
- * @returns {Promise<Blob>} - Masked DOCX file
+ * @param {Array<{type: string, value: string, occurrence?: number}>} detections - PII detections;
+ *   anchored ones (see detection-anchors.js) mask only their occurrence in the body and every
+ *   occurrence elsewhere
+ * @param {Object} [options]
+ * @param {'blank'|'keep'|'mask'} [options.metadata='blank'] - How to treat docProps (author, company, title…)
+ * @param {'mask'|'accept'} [options.revisions='mask'] - 'mask' also masks deleted, hidden and field-code text;
+ *   'accept' accepts all tracked changes and strips hidden runs before masking
+ * @param {boolean} [options.images=true] - OCR and mask raster images in word/media
+ * @param {Function} [options.mask] - Masker from createMasker (default: X out)
+ * @param {Object} [options.vault] - Vault from createVault; records every text replacement for unmasking,
+ *   including alt texts, field instructions and masked document properties
+ * @returns {Promise<{blob: Blob, report: {metadata: Array, hiddenContent: Object, images: Array, altText: number, unlocated: Array<{image: string, reason: string}>}>}
+ *   - unlocated lists the embedded images that were not masked because OCR failed or found none of the values
  */
-export async function maskDocx(docxArrayBuffer, detections) {
+export async function maskDocx(docxArrayBuffer, detections, options = {}) {
+  const { metadata = 'blank', revisions = 'mask', images = true, mask = redactMasker, vault = null } = options;
   const zip = await JSZip.loadAsync(docxArrayBuffer);
-  let docXml = await zip.file("word/document.xml")?.async("string");
-  if (!docXml) throw new Error("word/document.xml not found");
+  const partNames = await listDocxTextParts(zip);
+  if (partNames.length === 0) throw new Error("word/document.xml not found");
 
-  // Extract text using mammoth for proper spacing
-  const { value: docTextRaw } = await mammoth.extractRawText({ arrayBuffer: docxArrayBuffer });
-  const docText = (docTextRaw || "").replace(/\r/g, "");
+  console.log(`Looking for ${detections.length} detection(s)`);
+  console.log("Text parts to mask:", partNames);
 
-  console.log("Extracted text preview:", docText.substring(0, 500));
-  console.log("Looking for:", detections.map(d => d.value));
+  // Offsets refer to the body text; every other part is searched for the values
+  const searched = valueSearches(detections);
 
-  // Find all ranges to mask
-  const allRanges = [];
-  for (const det of detections || []) {
-    const val = String(det.value || "").trim();
-    if (!val) continue;
-    
-    console.log(`Searching for "${val}" in text...`);
-    const ranges = findAllOccurrences(docText, val);
-    console.log(`Found ${ranges.length} occurrences:`, ranges);
-    allRanges.push(...ranges);
+  const hiddenContent = { mode: revisions };
+  let altText = 0;
+  for (const partName of partNames) {
+    const originalXml = await zip.file(partName).async("string");
+    addHiddenContentCounts(hiddenContent, inspectHiddenContent(originalXml));
+
+    const partXml = revisions === 'accept' ? acceptRevisionsAndStripHidden(originalXml) : originalXml;
+    const record = vault ? (entry) => vault.record({ part: partName, ...entry }) : null;
+    const partDetections = partName === "word/document.xml" ? detections : searched;
+    const { xml: textMaskedXml, maskedCount } = maskWordprocessingXml(partXml, partDetections, mask, record);
+    const { xml, count: altTextCount } = maskDrawingAltText(textMaskedXml, searched, mask, record);
+    altText += altTextCount;
+    console.log(`${partName}: masked ${maskedCount} values, ${altTextCount} alt texts`);
+    if (xml !== originalXml) zip.file(partName, xml);
   }
+  console.log("Tracked changes / hidden content:", hiddenContent);
 
-  console.log("All ranges to mask:", allRanges);
+  const imageResults = images ? await maskDocxImages(zip, searched) : [];
+  console.log("Embedded images:", imageResults);
 
-  // Merge overlapping ranges
-  const mergedRanges = mergeRanges(allRanges);
-  console.log("Merged ranges:", mergedRanges);
+  const recordMetadata = vault ? (entry) => vault.record(entry) : null;
+  const metadataChanges = await sanitizeDocxMetadata(zip, metadata, (text) => maskPlainText(text, searched, mask), recordMetadata);
+  console.log(`Document properties (${metadata}):`, metadataChanges);
 
-  // Handle split text nodes by working with individual text nodes
-  console.log("Starting masking process...");
-  
-  // Extract all text nodes and their positions
-  const textNodes = [];
-  docXml.replace(/<w:t[^>]*>(.*?)<\/w:t>/g, (match, content, offset) => {
-    textNodes.push({ content, offset, match });
-  });
-  
-  console.log("Found text nodes:", textNodes.map(n => `"${n.content}"`));
-  
-  // Reconstruct full text from text nodes
-  const fullText = textNodes.map(n => n.content).join('');
-  console.log("Reconstructed full text:", fullText.substring(0, 200));
-  
-  // Apply masking to the full text
-  let maskedFullText = fullText;
-  for (const det of detections || []) {
-    const val = String(det.value || "").trim();
-    if (!val) continue;
-    
-    const maskedVal = val.replace(/[^\s]/g, 'X');
-    const beforeMask = maskedFullText;
-    maskedFullText = maskedFullText.replace(new RegExp(escapeRegExp(val), 'g'), maskedVal);
-    
-    if (maskedFullText !== beforeMask) {
-      console.log(`✅ Masked "${val}" -> "${maskedVal}"`);
-    }
-  }
-  
-  console.log("Masked full text:", maskedFullText.substring(0, 200));
-  
-  // Now distribute the masked text back to the text nodes
-  let textIndex = 0;
-  let resultXml = docXml;
-  
-  resultXml = resultXml.replace(/<w:t[^>]*>(.*?)<\/w:t>/g, (match, content) => {
-    const originalLength = content.length;
-    const maskedContent = maskedFullText.substring(textIndex, textIndex + originalLength);
-    textIndex += originalLength;
-    return match.replace(content, maskedContent);
-  });
-  
-  docXml = resultXml;
+  const unlocated = imageResults
+    .filter(({ status }) => status === "failed" || status === "unlocated")
+    .map(({ path, status, detail }) => ({ image: path, reason: status === "failed" ? `OCR failed: ${detail}` : detail }));
 
-  // Save modified XML back to zip
-  zip.file("word/document.xml", docXml);
   const outBuf = await zip.generateAsync({ type: "blob" });
-  return outBuf;
+  return { blob: outBuf, report: { metadata: metadataChanges, hiddenContent, images: imageResults, altText, unlocated } };
 }
 
 /**
- * Replace text in XML while preserving structure
- * @param {string} xmlString - Original XML
- * @param {string} originalText - Text to find
- * @param {string} maskedText - Replacement text
- * @returns {string} - Modified XML
+ * Mask PII in the alt text (descr/title) of drawings, which often repeats what the picture shows
+ * @param {string} xml - Part XML
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @param {Function} mask - Masker
+ * @param {Function} [record] - Receives {field, original, replacement} per changed attribute (whole values)
+ * @returns {{xml: string, count: number}} - count of changed attributes
  */
-function replaceTextInXml(xmlString, originalText, maskedText) {
-  console.log(`replaceTextInXml: Looking for "${originalText}" to replace with "${maskedText}"`);
-  
-  // For credit cards, use a nuclear approach - replace ALL digits in the document
-  if (originalText.match(/\d{4}\s*\d{4}\s*\d{4}\s*\d{4}/)) {
-    console.log(`Handling credit card with nuclear approach: "${originalText}"`);
-    
-    // Extract the specific digits from this credit card
-    const ccDigits = originalText.replace(/\s+/g, '').split('');
-    console.log(`Credit card digits to replace: ${ccDigits}`);
-    
-    // Only replace within <w:t> tags to avoid breaking XML structure
-    const tTagRegex = /<w:t(?:\s+[^>]*)?>([^<]*)<\/w:t>/g;
-    
-    xmlString = xmlString.replace(tTagRegex, (match, textContent) => {
-      let newContent = textContent;
-      let modified = false;
-      
-      // Replace each specific digit from the credit card
-      for (const digit of ccDigits) {
-        if (textContent.includes(digit)) {
-          console.log(`Replacing digit "${digit}" in text node: "${textContent}"`);
-          newContent = newContent.replace(new RegExp(digit, 'g'), 'X');
-          modified = true;
-        }
-      }
-      
-      if (modified) {
-        console.log(`Modified text node: "${textContent}" -> "${newContent}"`);
-        return match.replace(textContent, newContent);
-      }
-      
-      return match;
-    });
-    
-    return xmlString;
+function maskDrawingAltText(xml, detections, mask, record) {
+  let count = 0;
+  const out = xml.replace(/<(wp:docPr|pic:cNvPr)\b[^>]*>/g, (tag, tagName) =>
+    tag.replace(/(\b(descr|title)=")([^"]*)(")/g, (match, before, attr, value, after) => {
+      const original = decodeXmlText(value);
+      const replacement = maskPlainText(original, detections, mask);
+      if (replacement === original) return match;
+      count++;
+      record?.({ field: `${tagName}@${attr}`, original, replacement });
+      return before + encodeXmlText(replacement) + after;
+    })
+  );
+  return { xml: out, count };
+}
+
+/**
+ * Apply detections to a plain-text value (e.g. a document property)
+ * @param {string} text - Original text
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @param {Function} [mask] - Masker
+ * @returns {string} - Masked text
+ */
+function maskPlainText(text, detections, mask = redactMasker) {
+  const ranges = [];
+  for (const det of detections || []) {
+    const val = String(det.value || "").trim();
+    if (val) ranges.push(...findAllOccurrences(text, val).map((r) => ({ ...r, det })));
   }
-  
-  // For other text, use the original approach
-  const tTagRegex = /<w:t(?:\s+[^>]*)?>([^<]*)<\/w:t>/g;
-  
-  let modified = xmlString;
-  let match;
-  let found = false;
-  
-  // Reset regex
-  tTagRegex.lastIndex = 0;
-  
-  while ((match = tTagRegex.exec(xmlString)) !== null) {
-    const fullMatch = match[0];
-    const textContent = match[1];
-    
-    console.log(`Found text node: "${textContent}"`);
-    
-     // Check if this text node contains our target text
-     if (textContent.includes(originalText)) {
-       console.log(`Found exact match! Replacing "${originalText}" with "${maskedText}"`);
-       const newContent = textContent.replace(originalText, maskedText);
-       const newTag = fullMatch.replace(textContent, newContent);
-       modified = modified.replace(fullMatch, newTag);
-       found = true;
-       break; // Only replace first occurrence
-     }
-     
-     // Check for partial matches (for credit cards that might be truncated)
-     if (originalText.length > 10 && textContent.length > 10) {
-       // Try matching the first part of the original text
-       const partialLength = Math.min(originalText.length - 1, textContent.length);
-       const partialOriginal = originalText.substring(0, partialLength);
-       const partialMasked = partialOriginal.replace(/[^\s]/g, 'X');
-       
-       if (textContent.includes(partialOriginal)) {
-         console.log(`Found partial match! Replacing "${partialOriginal}" with "${partialMasked}"`);
-         const newContent = textContent.replace(partialOriginal, partialMasked);
-         const newTag = fullMatch.replace(textContent, newContent);
-         modified = modified.replace(fullMatch, newTag);
-         found = true;
-         break; // Only replace first occurrence
-       }
-     }
+  return maskTextRanges(text, mergeRanges(ranges), mask);
+}
+
+/**
+ * Mask PII inside the text runs of one WordprocessingML part
+ * Values are matched on the decoded text of the whole part, so they are found when Word
+ * splits them over several runs, escapes characters (&amp;) or wraps them onto a new paragraph.
+ * @param {string} docXml - Part XML
+ * @param {Array<{type: string, value: string}>} detections - PII detections
+ * @param {Function} mask - Masker
+ * @param {Function} [record] - Receives {offset, original, replacement, type} per replacement,
+ *   offset being the position of the replacement in the flat text of the masked part, and
+ *   {field, original, replacement} per changed field instruction
+ * @returns {{xml: string, maskedCount: number}}
+ */
+function maskWordprocessingXml(docXml, detections, mask, record) {
+  // Simple fields keep their instruction in an attribute (e.g. HYPERLINK "mailto:…")
+  docXml = docXml.replace(/(<w:fldSimple\b[^>]*?\bw:instr=")([^"]*)(")/g, (match, before, instr, after) => {
+    const original = decodeXmlText(instr);
+    const replacement = maskPlainText(original, detections, mask);
+    if (replacement === original) return match;
+    record?.({ field: "w:fldSimple@w:instr", original, replacement });
+    return before + encodeXmlText(replacement) + after;
+  });
+
+  const index = indexRuns(docXml);
+  const ranges = [];
+  let maskedCount = 0;
+  for (const det of detections || []) {
+    const val = String(det.value || "").trim();
+    if (!val) continue;
+
+    // Anchored detections count only text the reader sees, as the extracted text does
+    const spans = Number.isInteger(det.occurrence)
+      ? selectOccurrence(findTextSpans(index.text, val).filter((span) => isVisibleText(index, span)), det)
+      : findTextSpans(index.text, val);
+    if (spans.length > 0) {
+      maskedCount++;
+      console.log(`✅ Masked ${det.type} (${spans.length} occurrence(s))`);
+    }
+    ranges.push(...spans.map((span) => ({ ...span, det })));
+  }
+  if (ranges.length === 0) return { xml: docXml, maskedCount };
+
+  const spans = mergeRanges(ranges).map(({ start, end, det }) => ({
+    start,
+    end,
+    det,
+    replacement: mask(index.text.slice(start, end), det),
+  }));
+
+  if (record) {
+    let shift = 0;
+    for (const span of spans) {
+      const { start, end, replacement, det } = span;
+      record({ offset: start + shift, original: index.text.slice(start, end), replacement, type: det?.type });
+      shift += replacementLayout(index, span).outputLength - (end - start);
+    }
   }
-  
-  if (!found) {
-    console.log(`No XML text node found containing "${originalText}"`);
+  return { xml: replaceTextSpans(docXml, index, spans), maskedCount };
+}
+
+// Deleted text and field instructions are not part of the document text readers extract
+function isVisibleText(index, { start, end }) {
+  for (let p = start; p < end; p++) {
+    const pos = index.map[p];
+    if (pos && index.nodes[pos.node].tag !== "w:t") return false;
   }
-  
-  return modified;
+  return true;
 }
 
 /**
  * Merge overlapping ranges
- * @param {Array<{start: number, end: number}>} ranges
- * @returns {Array<{start: number, end: number}>}
+ * @param {Array<{start: number, end: number, det?: Object}>} ranges
+ * @returns {Array<{start: number, end: number, det?: Object}>}
  */
 function mergeRanges(ranges) {
   if (ranges.length === 0) return [];
@@ -277,7 +272,8 @@ function mergeRanges(ranges) {
     const last = merged[merged.length - 1];
     
     if (current.start <= last.end) {
-      // Overlapping, merge
+      // Overlapping, merge (the longer range decides the detection used for the policy)
+      if (current.end - current.start > last.end - last.start) last.det = current.det;
       last.end = Math.max(last.end, current.end);
     } else {
       // Not overlapping, add new range
@@ -291,104 +287,44 @@ function mergeRanges(ranges) {
 /**
  * Mask PDF file by replacing PII with 'X' characters
  * @param {ArrayBuffer} pdfArrayBuffer - Original PDF file
- * @param {Array<{type: string, value: string}>} detections - PII detections
- * @param {string} extractedText - Pre-extracted text from PDF
- * @returns {Promise<Blob>} - Masked PDF file
+ * @param {Array<{type: string, value: string, page?: number, occurrence?: number, bbox?: any}>} detections - PII detections;
+ *   page + bbox masks that region, page + occurrence only that occurrence (see detection-anchors.js)
+ * @param {string} extractedText - Text extracted from the PDF (extractTextFromPdf), which the expected
+ *   occurrence counts are taken from
+ * @param {'redact'|'rectangle'|'text'} maskingMethod - 'redact' removes the glyphs from the content
+ *   stream and draws boxes, 'rectangle' only draws boxes, 'text' draws the masked value over it
+ * @param {Object} [options]
+ * @param {Function} [options.mask] - Masker from createMasker, used by the 'text' method and for document objects
+ * @param {'blank'|'mask'|'keep'} [options.metadata='blank'] - Info dictionary and XMP metadata (see pdf-sanitize.js)
+ * @param {'mask'|'remove'|'keep'} [options.annotations='mask'] - Comments, notes and other annotations
+ * @param {'remove'|'keep'} [options.attachments='remove'] - Embedded files
+ * @param {'mask'|'clear'} [options.form='mask'] - Form field values containing PII (see pdf-form.js)
+ * @param {boolean} [options.flattenForm=false] - Flatten the form after masking
+ * @param {number[]} [options.pages] - 1-based pages to mask (default: all); the others are left as they are
+ * @param {number[]} [options.pageStarts] - Offset of each page in extractedText (from extractTextFromPdf), for the
+ *   expected occurrence counts; without them the page text is taken from the PDF again
+ * @returns {Promise<{blob: Blob, report: {sanitized: Array<{object: string, field: string, action: string}>, occurrences: Array<OccurrenceCount>, unlocated: Array<{detection: Object, reason: string}>}}>}
+ *   - Masked PDF file, the document objects changed besides the pages, the occurrences masked per page
+ *     and the regions that could not be placed on a page
  */
-export async function maskPdf(pdfArrayBuffer, detections, extractedText, maskingMethod = 'rectangle') {
+export async function maskPdf(pdfArrayBuffer, detections, extractedText, maskingMethod = 'rectangle', options = {}) {
+  const {
+    mask = redactMasker,
+    metadata = 'blank',
+    annotations = 'mask',
+    attachments = 'remove',
+    form = 'mask',
+    flattenForm = false,
+    pages: onlyPages = null,
+    pageStarts = null,
+  } = options;
   console.log("Starting PDF masking process...");
   
-  // Load the original PDF
-  const pdfDoc = await PDFDocument.load(pdfArrayBuffer);
-  const pages = pdfDoc.getPages();
-  
-  console.log(`Processing ${pages.length} pages`);
-  
-  // Find all ranges to mask in the extracted text
-  const allRanges = [];
-  for (const det of detections || []) {
-    const val = String(det.value || "").trim();
-    if (!val) continue;
-    
-    // Filter out obviously non-PII values
-    const nonPiiPatterns = [
-      /^Die Finanzbranche$/i,
-      /^Finanzbranche$/i,
-      /^Die$/i,
-      /^in$/i,
-      /^derzeit$/i,
-      /^eine$/i,
-      /^Phase$/i,
-      /^intensiver$/i,
-      /^Digitalisierung$/i,
-      /^Investitionen$/i,
-      /^Sicherheit$/i,
-      /^und$/i,
-      /^Datenschutz$/i,
-      /^sind$/i,
-      /^für$/i,
-      /^Banken$/i,
-      /^oberste$/i,
-      /^Priorität$/i,
-      /^Zahlungssysteme$/i,
-      /^Online$/i,
-      /^Banking$/i,
-      /^werden$/i,
-      /^von$/i,
-      /^Kunden$/i,
-      /^zunehmend$/i,
-      /^akzeptiert$/i,
-      /^Im$/i,
-      /^Rahmen$/i,
-      /^neuer$/i,
-      /^Gesetze$/i,
-      /^wird$/i,
-      /^die$/i,
-      /^Transparenz$/i,
-      /^im$/i,
-      /^Finanzwesen$/i,
-      /^weiter$/i,
-      /^erhöht$/i,
-      /^Viele$/i,
-      /^Unternehmen$/i,
-      /^setzen$/i,
-      /^auf$/i,
-      /^elektronische$/i,
-      /^Rechnungsstellung$/i,
-      /^um$/i,
-      /^Prozesse$/i,
-      /^zu$/i,
-      /^optimieren$/i
-    ];
-    
-    const isNonPii = nonPiiPatterns.some(pattern => pattern.test(val.trim()));
-    if (isNonPii) {
-      console.log(`❌ Skipping non-PII value: "${val}"`);
-      continue;
-    }
-    
-    console.log(`Looking for PII: "${val}"`);
-    const ranges = findAllOccurrences(extractedText, val);
-    console.log(`Found ${ranges.length} occurrences`);
-    allRanges.push(...ranges);
-  }
-
-  // Merge overlapping ranges
-  const mergedRanges = mergeRanges(allRanges);
-  console.log(`Merged to ${mergedRanges.length} ranges to mask`);
-  
-  // Create masked text
-  const maskedText = maskTextRanges(extractedText, mergedRanges);
-  console.log("Created masked text");
-  
-  // For PDF masking, we'll draw black rectangles over PII values
-  // We'll use the original PDF and overlay rectangles at the correct positions
-  
-  console.log(`Processing ${pages.length} pages`);
-  
   // Load the original PDF with pdf-lib
   const modifiedPdfDoc = await PDFDocument.load(pdfArrayBuffer);
+  let replacementFont = null;
   const pdfPages = modifiedPdfDoc.getPages();
+  console.log(`Processing ${pdfPages.length} pages`);
   
   // Load the PDF for text positioning
   const freshArrayBuffer = pdfArrayBuffer.slice(0);
@@ -401,9 +337,22 @@ export async function maskPdf(pdfArrayBuffer, detections, extractedText, masking
   
   const textPdfDoc = await loadingTask.promise;
   
+  // Per page and value: occurrences in the extracted text and occurrences masked
+  const occurrenceCounts = [];
+  
+  // A region without a page only says where on a single-page PDF
+  const regionPage = (det) => det.page ?? (pdfPages.length === 1 ? 1 : null);
+  const unlocated = (detections || [])
+    .filter((det) => normalizeBbox(det.bbox) && (regionPage(det) === null || regionPage(det) > pdfPages.length))
+    .map((detection) => ({
+      detection,
+      reason: regionPage(detection) === null ? 'Region without a page on a multi-page PDF' : `Page ${detection.page} does not exist`,
+    }));
+  
   // Process each page by drawing black rectangles over PII values
   for (let i = 0; i < pdfPages.length; i++) {
     const page = pdfPages[i];
+    if (onlyPages && !onlyPages.includes(i + 1)) continue;
     
     console.log(`Processing page ${i + 1}...`);
     
@@ -411,53 +360,13 @@ export async function maskPdf(pdfArrayBuffer, detections, extractedText, masking
     const pdfPage = await textPdfDoc.getPage(i + 1);
     const textContent = await pdfPage.getTextContent();
     
-    // Get all text items
-    const textItems = textContent.items.filter(item => item.str && item.str.trim());
-    const { width, height } = page.getSize();
-    let rectangleCount = 0;
-    
-    // Group text items by line (similar Y coordinates)
-    const lines = [];
-    let currentLine = [];
-    let lastY = null;
-    const lineThreshold = 5; // pixels
-    
-    for (const item of textItems) {
-      const itemY = item.transform[5];
-      
-      if (lastY === null || Math.abs(itemY - lastY) < lineThreshold) {
-        currentLine.push(item);
-      } else {
-        if (currentLine.length > 0) {
-          lines.push(currentLine);
-        }
-        currentLine = [item];
-      }
-      lastY = itemY;
-    }
-    
-    if (currentLine.length > 0) {
-      lines.push(currentLine);
-    }
-    
-    console.log(`Found ${lines.length} text lines`);
-    
-    // Debug: Log all detected PII values
-    console.log('=== DETECTED PII VALUES ===');
-    for (const det of detections || []) {
-      const val = String(det.value || "").trim();
-      if (val) {
-        console.log(`PII: "${val}"`);
-      }
-    }
-    
-    // Debug: Log all text lines
-    console.log('=== TEXT LINES ===');
-    for (let i = 0; i < Math.min(lines.length, 10); i++) {
-      const line = lines[i];
-      const lineText = line.map(item => item.str).join(' ');
-      console.log(`Line ${i}: "${lineText}"`);
-    }
+    // Page text as extractTextFromPdf builds it, each character mapped to its item
+    const pageIndex = indexPageText(textContent.items);
+    const pageFonts = await loadPageFonts(pdfPage, textContent.items);
+    // The page's part of the extracted text, which the detections were made on
+    const extractedPageText = Number.isInteger(pageStarts?.[i])
+      ? String(extractedText || "").slice(pageStarts[i], pageStarts[i + 1] ?? undefined)
+      : pageIndex.text;
     
     // Deduplicate PII values to avoid processing the same PII multiple times
     const uniquePIIValues = new Set();
@@ -465,958 +374,193 @@ export async function maskPdf(pdfArrayBuffer, detections, extractedText, masking
     
     for (const det of detections || []) {
       const val = String(det.value || "").trim();
-      if (val && !uniquePIIValues.has(val)) {
-        uniquePIIValues.add(val);
+      // Anchored detections of the same value are different occurrences
+      const key = `${val}\u0000${det.occurrence ?? ""}\u0000${det.page ?? ""}`;
+      if (val && !normalizeBbox(det.bbox) && !uniquePIIValues.has(key)) {
+        uniquePIIValues.add(key);
         uniqueDetections.push(det);
       }
     }
     
     console.log(`Processing ${uniqueDetections.length} unique PII values (${detections?.length || 0} total detections)`);
     
-    // For each unique PII value, find it in the lines and draw rectangles
+    // For each unique PII value, locate every occurrence on the page and mask it
     let pageRectangleCount = 0;
-    for (const det of uniqueDetections) {
-      const val = String(det.value || "").trim();
-      if (!val) continue;
-      
-      // Filter out obviously non-PII values (same filter as in main processing)
-      const nonPiiPatterns = [
-        /^Die Finanzbranche$/i,
-        /^Finanzbranche$/i,
-        /^Die$/i,
-        /^in$/i,
-        /^derzeit$/i,
-        /^eine$/i,
-        /^Phase$/i,
-        /^intensiver$/i,
-        /^Digitalisierung$/i,
-        /^Investitionen$/i,
-        /^Sicherheit$/i,
-        /^und$/i,
-        /^Datenschutz$/i,
-        /^sind$/i,
-        /^für$/i,
-        /^Banken$/i,
-        /^oberste$/i,
-        /^Priorität$/i,
-        /^Zahlungssysteme$/i,
-        /^Online$/i,
-        /^Banking$/i,
-        /^werden$/i,
-        /^von$/i,
-        /^Kunden$/i,
-        /^zunehmend$/i,
-        /^akzeptiert$/i,
-        /^Im$/i,
-        /^Rahmen$/i,
-        /^neuer$/i,
-        /^Gesetze$/i,
-        /^wird$/i,
-        /^die$/i,
-        /^Transparenz$/i,
-        /^im$/i,
-        /^Finanzwesen$/i,
-        /^weiter$/i,
-        /^erhöht$/i,
-        /^Viele$/i,
-        /^Unternehmen$/i,
-        /^setzen$/i,
-        /^auf$/i,
-        /^elektronische$/i,
-        /^Rechnungsstellung$/i,
-        /^um$/i,
-        /^Prozesse$/i,
-        /^zu$/i,
-        /^optimieren$/i
-      ];
-      
-      const isNonPii = nonPiiPatterns.some(pattern => pattern.test(val.trim()));
-      if (isNonPii) {
-        console.log(`❌ Skipping non-PII value: "${val}"`);
-        continue;
-      }
-      
-      console.log(`\n=== Looking for PII: "${val}" ===`);
-      
-      // Check each line for the PII value
-      for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-        const line = lines[lineIndex];
-        const lineText = line.map(item => item.str).join(' ');
-        
-        // Try exact match first
-        if (lineText.includes(val)) {
-          console.log(`✅ FOUND PII "${val}" in line ${lineIndex}: "${lineText}"`);
-          if (maskingMethod === 'rectangle') {
-            drawRectangleOverPII(page, line, val, height);
-          } else {
-            replacePIIWithText(page, line, val, height);
-          }
-          pageRectangleCount++;
-          break; // Found the PII, move to next PII value
-        } else {
-          // Try fuzzy matching for split text
-          const normalizedVal = val.replace(/\s/g, ''); // Remove all spaces
-          const normalizedLineText = lineText.replace(/\s/g, ''); // Remove all spaces from line
-          
-          if (normalizedLineText.includes(normalizedVal)) {
-            console.log(`✅ FOUND PII "${val}" (fuzzy match) in line ${lineIndex}: "${lineText}"`);
-            if (maskingMethod === 'rectangle') {
-              drawRectangleOverPII(page, line, val, height);
-            } else {
-              replacePIIWithText(page, line, val, height);
-            }
-            pageRectangleCount++;
-            break; // Found the PII, move to next PII value
-          } else {
-            // Try partial matching for credit card numbers and IBANs
-            if (isCreditCardOrIBAN(val)) {
-              const valDigits = val.replace(/\D/g, ''); // Extract only digits
-              const lineDigits = lineText.replace(/\D/g, ''); // Extract only digits from line
-              
-              if (lineDigits.includes(valDigits)) {
-                console.log(`✅ FOUND PII "${val}" (digit match) in line ${lineIndex}: "${lineText}"`);
-                if (maskingMethod === 'rectangle') {
-                  drawRectangleOverPII(page, line, val, height);
-                } else {
-                  replacePIIWithText(page, line, val, height);
-                }
-                pageRectangleCount++;
-                break; // Found the PII, move to next PII value
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    console.log(`${maskingMethod === 'rectangle' ? 'Drew rectangles over' : 'Replaced'} ${pageRectangleCount} PII values on page ${i + 1}`);
-  }
-  
-  await textPdfDoc.destroy();
-  
-  console.log("PDF masking completed");
-  const pdfBytes = await modifiedPdfDoc.save();
-  return new Blob([pdfBytes], { type: 'application/pdf' });
-}
-
-/**
- * Helper function to create a virtual text item for a substring
- */
-function createVirtualItem(originalItem, startIndex, endIndex) {
-  const originalText = originalItem.str;
-  const subText = originalText.substring(startIndex, endIndex);
-
-  // Calculate the proportional width and x-coordinate for the substring
-  const totalWidth = originalItem.width;
-  const charWidth = totalWidth / originalText.length; // Average width per character
-  const subTextWidth = charWidth * subText.length;
-
-  // Calculate the x-coordinate for the start of the substring
-  const subTextX = originalItem.transform[4] + (charWidth * startIndex);
-  const subTextY = originalItem.transform[5]; // y-coordinate is the same
-
-  // Create a new item object with the properties of a PDF.js text item
-  return {
-    str: subText,
-    dir: originalItem.dir,
-    width: subTextWidth,
-    height: originalItem.height,
-    transform: [
-      originalItem.transform[0], originalItem.transform[1],
-      originalItem.transform[2], originalItem.transform[3],
-      subTextX, subTextY
-    ],
-    fontName: originalItem.fontName,
-    hasEOL: originalItem.hasEOL,
-    originalItem: originalItem // Keep a reference to the original item for debugging
-  };
-}
-
-/**
- * Helper function to create a virtual text item for a PII value that spans multiple items
- */
-function createVirtualItemForPII(piiValue, valueItems, combinedText, colonIndex) {
-  if (valueItems.length === 0) {
-    console.log(`❌ createVirtualItemForPII: No value items provided`);
-    return null;
-  }
-  
-  // Normalize the PII value for matching
-  const normalizedPiiValue = piiValue.replace(/\s/g, '');
-  const normalizedCombinedText = combinedText.replace(/\s/g, '');
-  
-  // Find PII in normalized combined text (after colon)
-  const normalizedColonIndex = normalizedCombinedText.indexOf(':', colonIndex);
-  const normalizedPiiStart = normalizedCombinedText.indexOf(normalizedPiiValue, normalizedColonIndex + 1);
-  
-  if (normalizedPiiStart === -1) {
-    console.log(`❌ createVirtualItemForPII: Could not find "${piiValue}" in normalized combined text`);
-    console.log(`🔍 DEBUG - Combined text: "${combinedText}"`);
-    console.log(`🔍 DEBUG - Normalized combined text: "${normalizedCombinedText}"`);
-    console.log(`🔍 DEBUG - Normalized PII: "${normalizedPiiValue}"`);
-    return null;
-  }
-  
-  // Build item positions array to map back to original text
-  let currentPos = 0;
-  const itemPositions = [];
-  for (const item of valueItems) {
-    const itemStart = combinedText.indexOf(item.str, currentPos);
-    if (itemStart === -1) break;
-    itemPositions.push({
-      item: item,
-      start: itemStart,
-      end: itemStart + item.str.length,
-      normalizedStart: normalizedCombinedText.indexOf(item.str.replace(/\s/g, ''), normalizedColonIndex + 1)
-    });
-    currentPos = itemStart + item.str.length;
-  }
-  
-  // Find which items contain the normalized PII range
-  const normalizedPiiEnd = normalizedPiiStart + normalizedPiiValue.length;
-  
-  const piiStartItem = itemPositions.find(pos => {
-    const itemNormalized = pos.item.str.replace(/\s/g, '');
-    const itemNormalizedStart = normalizedCombinedText.indexOf(itemNormalized, normalizedColonIndex + 1);
-    const itemNormalizedEnd = itemNormalizedStart + itemNormalized.length;
-    return normalizedPiiStart >= itemNormalizedStart && normalizedPiiStart < itemNormalizedEnd;
-  });
-  
-  const piiEndItem = itemPositions.find(pos => {
-    const itemNormalized = pos.item.str.replace(/\s/g, '');
-    const itemNormalizedStart = normalizedCombinedText.indexOf(itemNormalized, normalizedColonIndex + 1);
-    const itemNormalizedEnd = itemNormalizedStart + itemNormalized.length;
-    return normalizedPiiEnd > itemNormalizedStart && normalizedPiiEnd <= itemNormalizedEnd;
-  });
-  
-  if (!piiStartItem || !piiEndItem) {
-    console.log(`❌ createVirtualItemForPII: Could not find start/end items`);
-    console.log(`🔍 DEBUG - Normalized PII start: ${normalizedPiiStart}, end: ${normalizedPiiEnd}`);
-    console.log(`🔍 DEBUG - Item positions: ${itemPositions.map(p => `${p.item.str}(${p.normalizedStart})`).join(', ')}`);
-    return null;
-  }
-  
-  // Use the items from itemPositions
-  const firstItem = piiStartItem.item;
-  const lastItem = piiEndItem.item;
-  
-  // Calculate the start position within the first item
-  const firstItemStart = piiStartItem.start;
-  const piiStartInFirstItem = Math.max(0, normalizedPiiStart - (normalizedCombinedText.indexOf(firstItem.str.replace(/\s/g, ''), normalizedColonIndex + 1)));
-  
-  // Calculate the end position within the last item  
-  const lastItemNormalizedStart = normalizedCombinedText.indexOf(lastItem.str.replace(/\s/g, ''), normalizedColonIndex + 1);
-  const piiEndInLastItem = normalizedPiiEnd - lastItemNormalizedStart;
-  
-  // If PII spans multiple items, create a combined virtual item
-  if (firstItem !== lastItem) {
-    // Calculate the total width by summing up the widths of all items containing the PII
-    let totalWidth = 0;
-    let currentX = firstItem.transform[4];
-    
-    // Find all items between firstItem and lastItem (inclusive)
-    const firstItemIndex = itemPositions.indexOf(piiStartItem);
-    const lastItemIndex = itemPositions.indexOf(piiEndItem);
-    const itemsInRange = itemPositions.filter((pos, index) => {
-      return firstItemIndex <= index && index <= lastItemIndex;
-    });
-    
-    for (const pos of itemsInRange) {
-      const item = pos.item;
-      if (item === firstItem) {
-        // First item - use partial width from start position
-        const partialWidth = item.width * (item.str.length - piiStartInFirstItem) / item.str.length;
-        totalWidth += partialWidth;
-        currentX = item.transform[4] + (item.width * piiStartInFirstItem / item.str.length);
-      } else if (item === lastItem) {
-        // Last item - use partial width to end position
-        const partialWidth = item.width * piiEndInLastItem / item.str.length;
-        totalWidth += partialWidth;
+    const pageRedactionAreas = [];
+    const pageReplacements = [];
+    const maskOccurrence = (rects, val, det) => {
+      const replacement = mask(val, det);
+      if (maskingMethod === 'redact') {
+        pageRedactionAreas.push(...rects);
+        // Labels, partial values and pseudonyms are written into the first line of the redacted area
+        if (!/^[X\s]*$/.test(replacement)) pageReplacements.push({ area: rects[0], replacement });
+      } else if (maskingMethod === 'rectangle') {
+        for (const rect of rects) drawArea(page, rect, rgb(0, 0, 0));
       } else {
-        // Middle item - use full width
-        totalWidth += item.width;
+        pageReplacements.push({ area: rects[0], replacement });
+        for (const rect of rects.slice(1)) drawArea(page, rect, rgb(1, 1, 1));
       }
-    }
-    
-    return {
-      str: piiValue,
-      dir: firstItem.dir,
-      width: totalWidth,
-      height: firstItem.height,
-      transform: [
-        firstItem.transform[0], firstItem.transform[1],
-        firstItem.transform[2], firstItem.transform[3],
-        currentX, 
-        firstItem.transform[5]
-      ],
-      fontName: firstItem.fontName,
-      hasEOL: lastItem.hasEOL,
-      originalItem: firstItem
     };
-  } else {
-    // PII is within a single item
-    return createVirtualItem(firstItem, piiStartInFirstItem, piiEndInLastItem);
-  }
-}
-
-/**
- * Draw rectangles over PII text (Option 1)
- */
-function drawRectangleOverPII(page, line, piiValue, height) {
-  const lineText = line.map(item => item.str).join(' ');
-  
-  console.log(`🔍 DEBUG - Looking for PII: "${piiValue}"`);
-  console.log(`🔍 DEBUG - In line: "${lineText}"`);
-  
-  // Find text items that contain the PII using direct string matching
-  let piiItems = [];
-  
-  // First, try exact matching on individual items
-  for (let i = 0; i < line.length; i++) {
-    const item = line[i];
-    const itemText = item.str;
-    
-    if (itemText.includes(piiValue)) {
-      piiItems.push(item);
-      console.log(`✅ Found exact match in item ${i}: "${itemText}"`);
-    }
-  }
-  
-  // If no exact matches, try fuzzy matching on individual items
-  if (piiItems.length === 0) {
-    const normalizedVal = piiValue.replace(/\s/g, '');
-    
-    for (let i = 0; i < line.length; i++) {
-      const item = line[i];
-      const itemText = item.str;
-      const normalizedItemText = itemText.replace(/\s/g, '');
-      
-      if (normalizedItemText.includes(normalizedVal)) {
-        piiItems.push(item);
-        console.log(`✅ Found fuzzy match in item ${i}: "${itemText}"`);
-      }
-    }
-  }
-  
-  // If still no matches, try finding consecutive items that together contain the PII
-  if (piiItems.length === 0) {
-    const normalizedVal = piiValue.replace(/\s/g, '');
-    
-    for (let i = 0; i < line.length; i++) {
-      let combinedText = '';
-      let combinedItems = [];
-      
-      // For credit card numbers and IBANs, be more restrictive about what we include
-      const maxItems = (isCreditCardOrIBAN(piiValue) || piiValue.startsWith('DE')) ? 6 : 5;
-      
-      for (let j = i; j < Math.min(i + maxItems, line.length); j++) {
-        combinedText += (combinedText ? ' ' : '') + line[j].str;
-        combinedItems.push(line[j]);
-        
-        const normalizedCombined = combinedText.replace(/\s/g, '');
-        if (normalizedCombined.includes(normalizedVal)) {
-          // For credit card numbers, check if the combined text is mostly digits
-          if (isCreditCardOrIBAN(piiValue)) {
-            if (piiValue.match(/^\d{4}\s\d{4}\s\d{4}\s\d{4}$/)) {
-              // For credit card numbers, require high digit ratio
-              const digitRatio = (combinedText.replace(/\D/g, '').length) / combinedText.replace(/\s/g, '').length;
-              if (digitRatio < 0.5) {
-                console.log(`❌ Skipping combined match with low digit ratio: "${combinedText}" (ratio: ${digitRatio.toFixed(2)})`);
-                continue;
-              }
-            } else if (piiValue.startsWith('DE')) {
-              // For IBANs, be more lenient - just check that it contains significant parts
-              const piiDigits = piiValue.replace(/\D/g, '');
-              const combinedDigits = combinedText.replace(/\D/g, '');
-              if (combinedDigits.length < piiDigits.length * 0.3) {
-                console.log(`❌ Skipping combined match with too few digits: "${combinedText}" (${combinedDigits.length} vs ${piiDigits.length})`);
-                continue;
-              }
-            }
-          }
-          
-          // Special handling for label: value format - try to extract just the value part
-          if (combinedText.includes(':') && combinedText.length > piiValue.length * 2) {
-            const colonIndex = combinedText.lastIndexOf(':');
-            if (colonIndex > 0) {
-              const valuePart = combinedText.substring(colonIndex + 1).trim();
-              // Check if the PII value matches the value part (with or without spaces)
-              const normalizedValuePart = valuePart.replace(/\s/g, '');
-              const normalizedPiiValue = piiValue.replace(/\s/g, '');
-              
-              console.log(`🔍 DEBUG - Checking label:value match for "${piiValue}"`);
-              console.log(`🔍 DEBUG - Value part: "${valuePart}", normalized: "${normalizedValuePart}"`);
-              console.log(`🔍 DEBUG - PII value: "${piiValue}", normalized: "${normalizedPiiValue}"`);
-              
-              if (normalizedValuePart === normalizedPiiValue || valuePart.includes(piiValue) || normalizedValuePart.includes(normalizedPiiValue)) {
-                // This is a label: value format, we need to create a virtual item for just the value
-                // Find the items that contain the value part (after the colon)
-                const valueItems = combinedItems.filter(item => {
-                  const itemIndex = combinedText.indexOf(item.str);
-                  return itemIndex > colonIndex;
-                });
-                
-                console.log(`🔍 DEBUG - Found ${valueItems.length} value items after colon`);
-                
-                if (valueItems.length > 0) {
-                  // Create a virtual item that represents just the value part
-                  const virtualItem = createVirtualItemForPII(piiValue, valueItems, combinedText, colonIndex);
-                  
-                  if (virtualItem) {
-                    piiItems.push(virtualItem);
-                    console.log(`✅ Found label:value match, created virtual item for value: "${piiValue}"`);
-                    break;
-                  } else {
-                    console.log(`❌ Failed to create virtual item for "${piiValue}"`);
-                  }
-                }
-              } else {
-                console.log(`❌ Value part doesn't match PII value`);
-              }
-            }
-          }
-          
-          piiItems.push(...combinedItems);
-          console.log(`✅ Found combined match in items ${i}-${j}: "${combinedText}"`);
-          break;
-        }
-      }
-      
-      if (piiItems.length > 0) break;
+    // Regions given as page + bbox are masked as they are, without searching for the value
+    const viewport = pdfPage.getViewport({ scale: 1 });
+    for (const det of detections || []) {
+      const box = normalizeBbox(det.bbox);
+      if (!box || regionPage(det) !== i + 1) continue;
+      const [x0, y0] = viewport.convertToPdfPoint(box.x, box.y);
+      const [x1, y1] = viewport.convertToPdfPoint(box.x + box.width, box.y + box.height);
+      const area = { x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) };
+      console.log(`✅ Masking ${det.type} region on page ${i + 1}`, area);
+      if (maskingMethod === 'redact') pageRedactionAreas.push(area);
+      else drawArea(page, area, rgb(0, 0, 0));
+      pageRectangleCount++;
     }
-  }
-  
-  if (piiItems.length === 0) {
-    console.log(`❌ Could not find PII "${piiValue}" in any items`);
-    return;
-  }
-  
-  console.log(`🔍 DEBUG - Found ${piiItems.length} PII items for "${piiValue}"`);
-  
-  // NEW POST-PROCESSING FILTER: Refine piiItems, especially for label:value patterns
-  const refinedPiiItems = [];
-  for (const item of piiItems) {
-    const itemText = item.str;
-    const colonIndex = itemText.lastIndexOf(':');
 
-    // Check if it's a label:value pattern where PII is only the value part
-    // And the item is significantly longer than the PII value
-    if (colonIndex !== -1 && itemText.includes(piiValue) && itemText.length > piiValue.length) {
-      const valuePart = itemText.substring(colonIndex + 1).trim();
-      // Check if the PII value matches the value part (with or without spaces)
-      const normalizedValuePart = valuePart.replace(/\s/g, '');
-      const normalizedPiiValue = piiValue.replace(/\s/g, '');
-      
-      // If the PII value is exactly the value part, or the PII is a significant part of the value part
-      // (e.g., PII is at least 50% of the value part's length)
-      if (normalizedValuePart === normalizedPiiValue || valuePart === piiValue || 
-          (valuePart.includes(piiValue) && piiValue.length >= valuePart.length * 0.5)) {
-        const piiStartIndexInItem = itemText.indexOf(piiValue, colonIndex);
-        if (piiStartIndexInItem !== -1) {
-          const piiEndIndexInItem = piiStartIndexInItem + piiValue.length;
-          const virtualItem = createVirtualItem(item, piiStartIndexInItem, piiEndIndexInItem);
-          refinedPiiItems.push(virtualItem);
-          console.log(`✅ Refined item: Replaced "${itemText}" with virtual item for "${piiValue}"`);
-          continue; // Skip the original item
-        }
-      }
-    }
-    // If not a label:value pattern to be refined, or if PII is the whole item, keep the original item
-    refinedPiiItems.push(item);
-  }
-  piiItems = refinedPiiItems; // Update piiItems with the refined list
-  
-  // Special handling for CUST-XXXXX patterns - filter out irrelevant items
-  if (piiValue.startsWith('CUST-')) {
-    const filteredItems = piiItems.filter(item => {
-      const itemText = item.str;
-      // Only keep items that contain "CUST", "-", or digits (part of the PII)
-      const isRelevant = itemText.includes('CUST') || 
-                        itemText.includes('-') || 
-                        /\d/.test(itemText);
-      
-      if (!isRelevant) {
-        console.log(`❌ Filtering out irrelevant CUST item: "${itemText}"`);
-      } else {
-        console.log(`✅ Keeping relevant CUST item: "${itemText}"`);
-      }
-      
-      return isRelevant;
-    });
-    
-    piiItems.length = 0; // Clear the array
-    piiItems.push(...filteredItems); // Add filtered items
-    
-    console.log(`🔍 DEBUG - After CUST filtering: ${piiItems.length} relevant PII items`);
-  }
-  
-  // Special handling for credit card numbers - be more precise with filtering
-  if (isCreditCardOrIBAN(piiValue) && piiValue.match(/^\d{4}\s\d{4}\s\d{4}\s\d{4}$/)) {
-    console.log(`🔍 DEBUG - Processing credit card number: "${piiValue}"`);
-    const piiDigits = piiValue.replace(/\D/g, '');
-    const filteredItems = piiItems.filter(item => {
-      const itemText = item.str;
-      const itemDigits = itemText.replace(/\D/g, '');
-      
-      // For credit card numbers, only include items that contain significant parts of the PII
-      // Check if the item contains 3+ consecutive digits from the PII
-      let isRelevant = false;
-      
-      if (itemDigits.length >= 3) {
-        // Check for 3+ digit sequences from the PII
-        for (let i = 0; i <= itemDigits.length - 3; i++) {
-          for (let len = 3; len <= Math.min(itemDigits.length - i, 6); len++) {
-            const itemSequence = itemDigits.substring(i, i + len);
-            if (piiDigits.includes(itemSequence)) {
-              isRelevant = true;
-              console.log(`✅ Keeping credit card item: "${itemText}" (contains sequence: ${itemSequence})`);
-              break;
-            }
-          }
-          if (isRelevant) break;
-        }
-      } else if (itemDigits.length > 0) {
-        // For shorter items, check if they're direct substrings of the PII
-        if (piiDigits.includes(itemDigits)) {
-          isRelevant = true;
-          console.log(`✅ Keeping credit card item: "${itemText}" (direct substring: ${itemDigits})`);
-        }
-      }
-      
-      if (!isRelevant) {
-        console.log(`❌ Filtering out credit card item: "${itemText}" (digits: ${itemDigits})`);
-      }
-      
-      return isRelevant;
-    });
-    
-    piiItems.length = 0; // Clear the array
-    piiItems.push(...filteredItems); // Add filtered items
-    
-    console.log(`🔍 DEBUG - After credit card filtering: ${piiItems.length} relevant PII items`);
-  }
-  
-  // Filter out items that don't actually contain PII digits (skip if already processed above)
-  if (isCreditCardOrIBAN(piiValue) && !piiValue.match(/^\d{4}\s\d{4}\s\d{4}\s\d{4}$/)) {
-    const piiDigits = piiValue.replace(/\D/g, '');
-    const filteredItems = [];
-    
-    for (const item of piiItems) {
-      const itemText = item.str;
-      const itemDigits = itemText.replace(/\D/g, '');
-      let isRelevant = false;
+    for (const det of uniqueDetections) {
+      const val = String(det.value || "").trim();
+      if (!val || (det.page && det.page !== i + 1)) continue;
       
-      // For IBANs and DE codes, be very precise - only include items that are clearly part of the PII
-      if (piiValue.startsWith('DE')) {
-        // For IBANs and DE codes, check if item contains significant parts of the PII
-        const normalizedPii = piiValue.replace(/\s/g, '').toUpperCase();
-        const normalizedItem = itemText.replace(/\s/g, '').toUpperCase();
-        
-        // Only include items that contain 3+ character sequences from the PII
-        // This prevents including random text that happens to contain a few characters
-        for (let i = 0; i < normalizedPii.length - 2; i++) {
-          for (let len = 3; len <= Math.min(normalizedPii.length - i, 6); len++) {
-            const piiSequence = normalizedPii.substring(i, i + len);
-            if (normalizedItem.includes(piiSequence)) {
-              isRelevant = true;
-              console.log(`✅ Item "${item.str}" contains DE sequence: ${piiSequence}`);
-              break;
-            }
-          }
-          if (isRelevant) break;
-        }
-        
-        // Special case: if the item is very short (like "DE", "46", "85"), include it
-        if (!isRelevant && normalizedItem.length <= 4) {
-          // Check if the item is a direct substring of the PII
-          if (normalizedPii.includes(normalizedItem)) {
-            isRelevant = true;
-            console.log(`✅ Item "${item.str}" is short and contained in PII: ${normalizedItem}`);
-          }
-        }
-      } else {
-        // For other credit card numbers, check for digit sequences
-        if (piiDigits.length > 0 && itemDigits.length > 0) {
-          // For credit card numbers, be more lenient for single digits
-          const minSequenceLength = itemDigits.length === 1 ? 1 : 2; // Allow single digits
-          
-          for (let k = 0; k <= itemDigits.length - minSequenceLength; k++) {
-            for (let len = minSequenceLength; len <= Math.min(itemDigits.length - k, 4); len++) {
-              const itemSequence = itemDigits.substring(k, k + len);
-              if (piiDigits.includes(itemSequence)) {
-                isRelevant = true;
-                console.log(`✅ Item "${item.str}" contains PII digits: ${itemSequence}`);
-                break;
-              }
-            }
-            if (isRelevant) break;
-          }
-        }
+      // Every occurrence on the page, wrapped and hyphenated ones included; an anchored detection
+      // takes the n-th one as the extracted text counts them (see detection-anchors.js)
+      let found = locateValue(pageIndex, textContent.items, val, pageFonts);
+      // Counted in the text the detections were made on, so occurrences the locator misses show up
+      let expected = findValueOccurrences(extractedPageText, val).length;
+      if (Number.isInteger(det.occurrence)) {
+        const anchor = findTextSpans(pageIndex.text, val)[det.occurrence];
+        found = anchor ? found.filter((o) => o.start <= anchor.start && anchor.start < o.end) : [];
+        expected = 1;
       }
       
-      if (isRelevant) {
-        filteredItems.push(item);
-      } else {
-        console.log(`❌ Filtering out irrelevant item: "${item.str}"`);
+      let masked = 0;
+      for (const occurrence of found) {
+        if (occurrence.rects.length === 0) continue;
+        console.log(`✅ Found ${det.type} on ${occurrence.rects.length} line(s)`);
+        maskOccurrence(occurrence.rects, val, det);
+        masked++;
       }
+      pageRectangleCount += masked;
+      if (expected > 0 || masked > 0) occurrenceCounts.push({ page: i + 1, type: det.type, value: val, expected, masked });
     }
     
-    piiItems.length = 0; // Clear the array
-    piiItems.push(...filteredItems); // Add filtered items
-    
-    console.log(`🔍 DEBUG - After filtering: ${piiItems.length} relevant PII items`);
-  }
-  
-  // Draw rectangles over PII items
-  if ((isCreditCardOrIBAN(piiValue) || piiValue.startsWith('CUST-') || piiValue.startsWith('INV-')) && piiItems.length > 1) {
-    // For credit card numbers, CUST patterns, and INV patterns split across multiple items, draw one rectangle spanning all items
-    console.log(`🔍 DEBUG - Drawing single rectangle for split PII across ${piiItems.length} items`);
-
-    // Find the leftmost and rightmost positions
-    let minX = Infinity;
-    let maxX = -Infinity;
-    let minY = Infinity;
-    let maxY = -Infinity;
-
-    for (const item of piiItems) {
-      const transform = item.transform;
-      const itemX = transform[4];
-      const itemY = transform[5];
-      const itemWidth = item.width || 0;
-      const itemHeight = item.height || 12;
-
-      minX = Math.min(minX, itemX);
-      maxX = Math.max(maxX, itemX + itemWidth);
-      minY = Math.min(minY, itemY);
-      maxY = Math.max(maxY, itemY + itemHeight);
-
-      console.log(`🔍 DEBUG - Item: "${item.str}" at (${itemX}, ${itemY}) size: ${itemWidth}x${itemHeight}`);
-    }
-
-    // Draw one rectangle spanning all items
-    const rectangleX = minX - 2;
-    const rectangleY = minY - 2;
-    const rectangleWidth = maxX - minX + 4;
-    const rectangleHeight = maxY - minY + 4;
-
-    console.log(`🔍 DEBUG - Combined rectangle: (${rectangleX}, ${rectangleY}) size: ${rectangleWidth}x${rectangleHeight}`);
-
-    page.drawRectangle({
-      x: rectangleX,
-      y: rectangleY,
-      width: rectangleWidth,
-      height: rectangleHeight,
-      color: rgb(0, 0, 0),
-    });
-
-    console.log(`✅ Drew single rectangle for split PII "${piiValue}"`);
-  } else {
-    // For single items or other PII, draw rectangle for each item
-    for (const item of piiItems) {
-      const transform = item.transform;
-      const itemX = transform[4];
-      const itemY = transform[5];
-      const itemWidth = item.width || 0;
-      const itemHeight = item.height || 12;
-
-      console.log(`🔍 DEBUG - Item: "${item.str}"`);
-      console.log(`🔍 DEBUG - PDF.js coords: x=${itemX}, y=${itemY}, width=${itemWidth}, height=${itemHeight}`);
-
-      const rectangleX = itemX - 2;
-      const rectangleY = itemY - 2;
-      const rectangleWidth = itemWidth + 4;
-      const rectangleHeight = itemHeight + 4;
-
-      console.log(`🔍 DEBUG - Rectangle: (${rectangleX}, ${rectangleY}) size: ${rectangleWidth}x${rectangleHeight}`);
-
-      page.drawRectangle({
-        x: rectangleX,
-        y: rectangleY,
-        width: rectangleWidth,
-        height: rectangleHeight,
-        color: rgb(0, 0, 0),
-      });
-
-      console.log(`✅ Drew rectangle for PII "${piiValue}"`);
-    }
-  }
-}
-
-/**
- * Replace PII text with "XXXX" (Option 2)
- */
-function replacePIIWithText(page, line, piiValue, height) {
-  const lineText = line.map(item => item.str).join(' ');
-  
-  console.log(`🔍 DEBUG - Looking for PII: "${piiValue}"`);
-  console.log(`🔍 DEBUG - In line: "${lineText}"`);
-  
-  // Find text items that contain the PII using direct string matching
-  let piiItems = [];
-  
-  // First, try exact matching on individual items
-  for (let i = 0; i < line.length; i++) {
-    const item = line[i];
-    const itemText = item.str;
-    
-    if (itemText.includes(piiValue)) {
-      piiItems.push(item);
-      console.log(`✅ Found exact match in item ${i}: "${itemText}"`);
-    }
-  }
-  
-  // If no exact matches, try fuzzy matching on individual items
-  if (piiItems.length === 0) {
-    const normalizedVal = piiValue.replace(/\s/g, '');
-    
-    for (let i = 0; i < line.length; i++) {
-      const item = line[i];
-      const itemText = item.str;
-      const normalizedItemText = itemText.replace(/\s/g, '');
-      
-      if (normalizedItemText.includes(normalizedVal)) {
-        piiItems.push(item);
-        console.log(`✅ Found fuzzy match in item ${i}: "${itemText}"`);
+    if (maskingMethod === 'redact' && pageRedactionAreas.length > 0) {
+      // Remove the underlying glyphs first, then cover the area
+      const { removedGlyphs, rewrittenForms } = redactPageContent(modifiedPdfDoc, page, pageRedactionAreas);
+      console.log(`Removed ${removedGlyphs} glyphs from page ${i + 1} content (${rewrittenForms} form XObjects rewritten)`);
+      const replacedAreas = new Set(pageReplacements.map(({ area }) => area));
+      for (const area of pageRedactionAreas) {
+        if (!replacedAreas.has(area)) drawArea(page, area, rgb(0, 0, 0));
       }
     }
-  }
-  
-  // If still no matches, try finding consecutive items that together contain the PII
-  if (piiItems.length === 0) {
-    const normalizedVal = piiValue.replace(/\s/g, '');
-    
-    for (let i = 0; i < line.length; i++) {
-      let combinedText = '';
-      let combinedItems = [];
-      
-      for (let j = i; j < Math.min(i + 5, line.length); j++) {
-        combinedText += (combinedText ? ' ' : '') + line[j].str;
-        combinedItems.push(line[j]);
-        
-        const normalizedCombined = combinedText.replace(/\s/g, '');
-        if (normalizedCombined.includes(normalizedVal)) {
-          piiItems.push(...combinedItems);
-          console.log(`✅ Found combined match in items ${i}-${j}: "${combinedText}"`);
-          break;
-        }
+    if (pageReplacements.length > 0) {
+      replacementFont ??= await modifiedPdfDoc.embedFont(StandardFonts.Helvetica);
+      for (const { area, replacement } of pageReplacements) {
+        drawReplacementText(page, area, replacement, replacementFont);
       }
-      
-      if (piiItems.length > 0) break;
     }
+    
+    console.log(`${maskingMethod === 'text' ? 'Replaced' : 'Drew rectangles over'} ${pageRectangleCount} PII values on page ${i + 1}`);
   }
   
-  if (piiItems.length === 0) {
-    console.log(`❌ Could not find PII "${piiValue}" in any items`);
-    return;
-  }
+  await textPdfDoc.destroy();
   
-  console.log(`🔍 DEBUG - Found ${piiItems.length} PII items for "${piiValue}"`);
+  const sanitized = sanitizePdf(modifiedPdfDoc, detections, { mask, metadata, annotations, attachments, form, flattenForm });
+  console.log(`Document objects sanitized:`, sanitized);
   
-  // NEW POST-PROCESSING FILTER: Refine piiItems, especially for label:value patterns
-  const refinedPiiItems = [];
-  for (const item of piiItems) {
-    const itemText = item.str;
-    const colonIndex = itemText.lastIndexOf(':');
-
-    // Check if it's a label:value pattern where PII is only the value part
-    // And the item is significantly longer than the PII value
-    if (colonIndex !== -1 && itemText.includes(piiValue) && itemText.length > piiValue.length) {
-      const valuePart = itemText.substring(colonIndex + 1).trim();
-      // Check if the PII value matches the value part (with or without spaces)
-      const normalizedValuePart = valuePart.replace(/\s/g, '');
-      const normalizedPiiValue = piiValue.replace(/\s/g, '');
-      
-      // If the PII value is exactly the value part, or the PII is a significant part of the value part
-      // (e.g., PII is at least 50% of the value part's length)
-      if (normalizedValuePart === normalizedPiiValue || valuePart === piiValue || 
-          (valuePart.includes(piiValue) && piiValue.length >= valuePart.length * 0.5)) {
-        const piiStartIndexInItem = itemText.indexOf(piiValue, colonIndex);
-        if (piiStartIndexInItem !== -1) {
-          const piiEndIndexInItem = piiStartIndexInItem + piiValue.length;
-          const virtualItem = createVirtualItem(item, piiStartIndexInItem, piiEndIndexInItem);
-          refinedPiiItems.push(virtualItem);
-          console.log(`✅ Refined item: Replaced "${itemText}" with virtual item for "${piiValue}"`);
-          continue; // Skip the original item
-        }
-      }
-    }
-    // If not a label:value pattern to be refined, or if PII is the whole item, keep the original item
-    refinedPiiItems.push(item);
-  }
-  piiItems = refinedPiiItems; // Update piiItems with the refined list
+  // Replaced content streams, removed attachments and old metadata must not be written into the output
+  const pruned = pruneUnreachableObjects(modifiedPdfDoc);
+  console.log(`Pruned ${pruned} unreachable PDF objects`);
   
-  // Replace PII text with "XXXX" by drawing text over it
-  for (const item of piiItems) {
-    const transform = item.transform;
-    const itemX = transform[4];
-    const itemY = transform[5];
-    const itemWidth = item.width || 0;
-    const itemHeight = item.height || 12;
-    
-    // Calculate position for replacement text
-    const textX = itemX;
-    const textY = height - itemY - itemHeight; // Flip Y coordinate
-    
-    // Create replacement text with appropriate length
-    const replacementText = 'X'.repeat(Math.max(4, Math.floor(itemWidth / 8))); // Adjust length based on width
-    
-    // Draw replacement text over the PII text
-    page.drawText(replacementText, {
-      x: textX,
-      y: textY,
-      size: itemHeight,
-      color: rgb(0, 0, 0), // Black text
-    });
-    
-    console.log(`✅ Replaced PII item "${item.str}" with "${replacementText}" at (${textX}, ${textY})`);
-  }
+  console.log("PDF masking completed");
+  const pdfBytes = await modifiedPdfDoc.save();
+  return { blob: new Blob([pdfBytes], { type: 'application/pdf' }), report: { sanitized, occurrences: occurrenceCounts, unlocated } };
 }
 
 /**
- * Check if a value is a credit card number or IBAN
+ * @typedef {Object} OccurrenceCount
+ * @property {number} page - 1-based page number
+ * @property {string} type - Detection type
+ * @property {string} value - Detected value
+ * @property {number} expected - Occurrences in the page's extracted text, found the way they are located
+ *   (separators inside the value ignored); 1 for an anchored detection
+ * @property {number} masked - Occurrences located and masked on the page
  */
-function isCreditCardOrIBAN(val) {
-  const digits = val.replace(/\D/g, '');
-  const normalizedVal = val.replace(/\s/g, ''); // Remove spaces for length check
-  
-  // Credit card numbers: 12-19 digits
-  const isCreditCard = (digits.length >= 12 && digits.length <= 19);
-  
-  // IBANs: For 'DE' IBANs, they are typically 22 alphanumeric characters long
-  // Also include shorter DE codes that might be bank codes or similar
-  const isGermanIBAN = normalizedVal.startsWith('DE') && (normalizedVal.length === 22 || normalizedVal.length >= 8);
-  
-  return isCreditCard || isGermanIBAN;
-}
 
 /**
- * Escape special regex characters in a string
- * @param {string} string - The string to escape
- * @returns {string} - The escaped string
+ * Fill a masked area; an area with a matrix (rotated or skewed text) is filled in its own
+ * space, which makes it a parallelogram along the text line
+ * @param {PDFPage} page - pdf-lib page
+ * @param {{x: number, y: number, width: number, height: number, matrix?: number[]}} area - Area from locateValue
+ * @param {Color} color - Fill colour
  */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function drawArea(page, area, color) {
+  drawInAreaSpace(page, area, ({ x, y, width, height }) => page.drawRectangle({ x, y, width, height, color }));
 }
 
-/**
- * Find a byte pattern in a Uint8Array
- * @param {Uint8Array} haystack - The data to search in
- * @param {Uint8Array} needle - The pattern to find
- * @param {number} startOffset - Where to start searching
- * @returns {number} - Index of the pattern, or -1 if not found
- */
-function findBytes(haystack, needle, startOffset = 0) {
-  for (let i = startOffset; i <= haystack.length - needle.length; i++) {
-    let found = true;
-    for (let j = 0; j < needle.length; j++) {
-      if (haystack[i + j] !== needle[j]) {
-        found = false;
-        break;
-      }
-    }
-    if (found) return i;
+// Run draw with the area's matrix applied to the page, so it draws in the area's own space
+function drawInAreaSpace(page, area, draw) {
+  if (!area.matrix) return draw(area);
+  page.pushOperators(pushGraphicsState(), concatTransformationMatrix(...area.matrix));
+  try {
+    draw(area);
+  } finally {
+    page.pushOperators(popGraphicsState());
   }
-  return -1;
 }
 
 /**
- * Extract text from a specific PDF page using pdf.js
- * @param {ArrayBuffer} pdfArrayBuffer - PDF file as ArrayBuffer
- * @param {number} pageNum - Page number (1-based)
- * @returns {Promise<string>} - Extracted text from the page
+ * Write a replacement value (label, partial value, pseudonym) into a redacted area,
+ * shrinking the font so it keeps the width of the original text
+ * @param {PDFPage} page - pdf-lib page
+ * @param {{x: number, y: number, width: number, height: number, matrix?: number[]}} area - Redacted area of one line
+ * @param {string} text - Replacement
+ * @param {PDFFont} font - Embedded font
  */
-async function extractTextFromPdfPage(pdfArrayBuffer, pageNum) {
-  try {
-    console.log(`Extracting text from PDF page ${pageNum}...`);
-    
-    const uint8Array = new Uint8Array(pdfArrayBuffer);
-    const loadingTask = pdfjsLib.getDocument({
-      data: uint8Array,
-      useSystemFonts: true,
-      disableWorker: true,
-    });
-    
-    const pdfDoc = await loadingTask.promise;
-    const page = await pdfDoc.getPage(pageNum);
-    const textContent = await page.getTextContent();
-    const pageText = textContent.items.map(item => item.str).join(' ');
-    
-    await pdfDoc.destroy();
-    return pageText;
-  } catch (error) {
-    console.error(`Error extracting text from page ${pageNum}:`, error);
-    return '';
-  }
+function drawReplacementText(page, area, text, font) {
+  // Written along the original line: rotated and skewed text gets rotated and skewed replacements
+  drawInAreaSpace(page, area, ({ x, y, width, height }) => {
+    try {
+      const size = Math.min(height * 0.8, width / Math.max(font.widthOfTextAtSize(text, 1), 0.001));
+      page.drawRectangle({ x, y, width, height, color: rgb(1, 1, 1) });
+      page.drawText(text, { x, y: y + (height - size) / 2 + size * 0.2, size, font, color: rgb(0, 0, 0) });
+    } catch (error) {
+      // Characters the standard font cannot encode: fall back to a plain box
+      console.warn("Could not draw a replacement:", error.message);
+      page.drawRectangle({ x, y, width, height, color: rgb(0, 0, 0) });
+    }
+  });
 }
 
 /**
  * Mask DOC file (older Word format)
+ * PII is overwritten in place in the WordDocument stream, character for character, so the
+ * result is still a .doc with its formatting intact. Field instructions are masked too.
  * @param {ArrayBuffer} docArrayBuffer - Original DOC file
  * @param {Array<{type: string, value: string}>} detections - PII detections
- * @returns {Promise<Blob>} - Masked DOC file (converted to DOCX)
+ * @param {Object} [options]
+ * @param {Function} [options.mask] - Masker from createMasker; its output is fitted to the original length
+ * @returns {Promise<Blob>} - Masked DOC file
  */
-export async function maskDoc(docArrayBuffer, detections) {
-  // Convert DOC to DOCX first using mammoth, then mask
-  // Note: This will lose some formatting, but it's the simplest approach
-  const { value: docTextRaw } = await mammoth.extractRawText({ arrayBuffer: docArrayBuffer });
-  const docText = (docTextRaw || "").replace(/\r/g, "");
-  
-  // Find all ranges to mask
+export async function maskDoc(docArrayBuffer, detections, options = {}) {
+  const { mask = redactMasker } = options;
+  const doc = readWordDocument(docArrayBuffer);
+
   const allRanges = [];
   for (const det of detections || []) {
     const val = String(det.value || "").trim();
     if (!val) continue;
-    
-    const ranges = findAllOccurrences(docText, val);
-    allRanges.push(...ranges);
-  }
-
-  // Merge overlapping ranges
-  const mergedRanges = mergeRanges(allRanges);
-  
-  // Mask the text
-  const maskedText = maskTextRanges(docText, mergedRanges);
-  
-  // Create a simple DOCX with the masked text
-  // For production, you'd want to use a proper DOCX library
-  return createSimpleDocx(maskedText);
-}
 
-/**
- * Create a simple DOCX file with text
- * @param {string} text - Text content
- * @returns {Promise<Blob>}
- */
-async function createSimpleDocx(text) {
-  const zip = new JSZip();
-  
-  // Minimal DOCX structure
-  const docXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
-  <w:body>
-    <w:p>
-      <w:r>
-        <w:t xml:space="preserve">${escapeXml(text)}</w:t>
-      </w:r>
-    </w:p>
-  </w:body>
-</w:document>`;
-
-  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
-  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
-  <Default Extension="xml" ContentType="application/xml"/>
-  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
-</Types>`;
-
-  const rels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
-</Relationships>`;
-
-  zip.file("[Content_Types].xml", contentTypes);
-  zip.file("_rels/.rels", rels);
-  zip.file("word/document.xml", docXml);
-  
-  return await zip.generateAsync({ type: "blob" });
+    // Anchored detections count occurrences outside field instructions, like the extracted text
+    const ranges = Number.isInteger(det.occurrence)
+      ? selectOccurrence(findTextSpans(doc.text, val).filter(({ start, end }) => !doc.fieldCode.slice(start, end).some(Boolean)), det)
+      : findTextSpans(doc.text, val);
+    if (ranges.length > 0) console.log(`✅ Masked ${det.type} (${ranges.length} occurrence(s))`);
+    allRanges.push(...ranges.map((range) => ({ ...range, det })));
+  }
+
+  const spans = mergeRanges(allRanges).map(({ start, end, det }) => ({
+    start,
+    end,
+    replacement: mask(doc.text.slice(start, end), det, { preserveLength: true }),
+  }));
+  const bytes = writeWordDocumentText(doc, spans);
+  return new Blob([bytes], { type: "application/msword" });
 }
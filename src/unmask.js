@@ -0,0 +1,145 @@
+/**
+ * Restore original values in masked output using a decrypted re-identification vault
+ */
+
+import JSZip from "jszip";
+import { indexRuns, replaceTextSpans } from "./openxml-edit.js";
+import { decodeXmlText, encodeXmlText } from "./docx-parts.js";
+
+// The recorded offset is tried first; if the document was edited afterwards the nearest
+// occurrence of the replacement is used instead
+function locateEntry(text, entry) {
+  const { offset, replacement } = entry;
+  if (sameText(text.slice(offset, offset + replacement.length), replacement)) return offset;
+
+  let best = -1;
+  for (let idx = text.indexOf(replacement); idx !== -1; idx = text.indexOf(replacement, idx + 1)) {
+    if (best === -1 || Math.abs(idx - offset) < Math.abs(best - offset)) best = idx;
+  }
+  return best;
+}
+
+// Paragraph breaks and tabs in the masked text may stand where the replacement had a space
+function sameText(a, b) {
+  return a.length === b.length && a.replace(/\s/g, " ") === b.replace(/\s/g, " ");
+}
+
+// Pick non-overlapping spans, later entries lose
+function resolveSpans(text, entries, report) {
+  const spans = [];
+  for (const entry of entries) {
+    const start = locateEntry(text, entry);
+    const end = start + entry.replacement.length;
+    if (start === -1 || spans.some((s) => start < s.end && end > s.start)) {
+      report.skipped.push({ part: entry.part, replacement: entry.replacement, reason: start === -1 ? "not found" : "overlaps another entry" });
+      continue;
+    }
+    spans.push({ start, end, replacement: entry.original });
+  }
+  return spans;
+}
+
+// Attribute ("wp:docPr@descr") or element ("dc:creator") holding a recorded field value
+function fieldValuePattern(field) {
+  const escape = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const [tag, attr] = field.split("@");
+  return attr
+    ? new RegExp(`(<${escape(tag)}\\b[^>]*?\\s${escape(attr)}=")([^"]*)(")`, "g")
+    : new RegExp(`(<${escape(tag)}(?:\\s[^>]*)?>)([\\s\\S]*?)(</${escape(tag)}>)`, "g");
+}
+
+// Whole values outside the text runs (alt text, field instructions, properties): the first
+// value of the field that still reads as the replacement gets the original back
+function restoreFieldValues(xml, entries, report) {
+  let restored = 0;
+  for (const entry of entries) {
+    let found = false;
+    xml = xml.replace(fieldValuePattern(entry.field), (match, before, value, after) => {
+      if (found || decodeXmlText(value) !== entry.replacement) return match;
+      found = true;
+      return before + encodeXmlText(entry.original) + after;
+    });
+    if (found) restored++;
+    else report.skipped.push({ part: entry.part, replacement: entry.replacement, reason: `${entry.field} not found` });
+  }
+  return { xml, restored };
+}
+
+/**
+ * Unmask a DOCX produced by maskDocx with a vault
+ * Text runs are restored by position, alt texts, field instructions and document properties
+ * by value. Cleared or removed document properties and masked image pixels cannot be restored.
+ * @param {ArrayBuffer} docxArrayBuffer - Masked DOCX
+ * @param {{entries: Array<{part: string, offset?: number, field?: string, original: string, replacement: string}>}} vault - Decrypted vault
+ * @returns {Promise<{blob: Blob, report: {restored: number, skipped: Array<{part: string, replacement: string, reason: string}>}}>}
+ */
+export async function unmaskDocx(docxArrayBuffer, vault) {
+  const zip = await JSZip.loadAsync(docxArrayBuffer);
+  const report = { restored: 0, skipped: [] };
+
+  const byPart = new Map();
+  for (const entry of vault.entries || []) {
+    if (!byPart.has(entry.part)) byPart.set(entry.part, []);
+    byPart.get(entry.part).push(entry);
+  }
+
+  for (const [part, entries] of byPart) {
+    const file = zip.file(part);
+    if (!file) {
+      entries.forEach((e) => report.skipped.push({ part, replacement: e.replacement, reason: "part missing" }));
+      continue;
+    }
+    const fields = restoreFieldValues(await file.async("string"), entries.filter((e) => e.field), report);
+    const xml = fields.xml;
+    const index = indexRuns(xml);
+    // A value that spanned paragraphs comes back inside one run; the breaks are still in place
+    const spans = resolveSpans(index.text, entries.filter((e) => !e.field), report)
+      .map((span) => ({ ...span, replacement: span.replacement.replace(/[\n\t]/g, " ") }));
+    if (spans.length === 0 && fields.restored === 0) continue;
+    zip.file(part, spans.length > 0 ? replaceTextSpans(xml, index, spans) : xml);
+    report.restored += spans.length + fields.restored;
+    console.log(`${part}: restored ${spans.length} value(s), ${fields.restored} field value(s)`);
+  }
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  return { blob, report };
+}
+
+/**
+ * Unmask plain text (e.g. text copied out of a masked document)
+ * Replacements are looked up by value, which works for hash labels and pseudonyms
+ * but not for X-outs, which all look alike.
+ * @param {string} text - Masked text
+ * @param {{entries: Array<{original: string, replacement: string}>}} vault - Decrypted vault
+ * @returns {{text: string, report: {restored: number, skipped: Array<{replacement: string, reason: string}>}}}
+ */
+export function unmaskText(text, vault) {
+  const report = { restored: 0, skipped: [] };
+
+  const byReplacement = new Map();
+  for (const e of vault.entries || []) {
+    if (/^[X\s]*$/.test(e.replacement)) continue;
+    if (!byReplacement.has(e.replacement)) byReplacement.set(e.replacement, e.original);
+  }
+
+  // Longer replacements first so a short token inside a longer one does not win
+  const spans = [];
+  const ordered = [...byReplacement].sort((a, b) => b[0].length - a[0].length);
+  for (const [replacement, original] of ordered) {
+    let found = false;
+    for (let idx = text.indexOf(replacement); idx !== -1; idx = text.indexOf(replacement, idx + replacement.length)) {
+      const end = idx + replacement.length;
+      if (spans.some((s) => idx < s.end && end > s.start)) continue;
+      spans.push({ start: idx, end, replacement: original });
+      found = true;
+    }
+    if (!found) report.skipped.push({ replacement, reason: "not found" });
+  }
+
+  let out = text;
+  for (const { start, end, replacement } of [...spans].sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, start) + replacement + out.slice(end);
+  }
+  report.restored = spans.length;
+  return { text: out, report };
+}
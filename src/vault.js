@@ -0,0 +1,108 @@
+/**
+ * Re-identification vault
+ * A masking run can record every replacement (original ↔ replacement, per document part and
+ * position in the masked output, or per field for values outside the text runs). The vault is saved encrypted with a passphrase
+ * (PBKDF2-SHA-256 → AES-256-GCM via WebCrypto) and is needed to unmask the output later.
+ */
+
+const VAULT_FORMAT = "pii-vault";
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 250000;
+
+/**
+ * Create an empty vault for one masked document
+ * @param {string} documentName - Name of the original document
+ * @returns {{document: string, createdAt: string, entries: Array<{part: string, offset?: number, field?: string, original: string, replacement: string, type?: string}>, record: Function}}
+ */
+export function createVault(documentName) {
+  const vault = {
+    document: documentName,
+    createdAt: new Date().toISOString(),
+    entries: [],
+    /**
+     * @param {{part: string, offset?: number, field?: string, original: string, replacement: string, type?: string}} entry
+     *   offset is the position of the replacement in the flat text of the masked part; values outside
+     *   the text runs name their field instead ("wp:docPr@descr", "dc:creator") and hold the whole value
+     */
+    record(entry) {
+      vault.entries.push(entry);
+    },
+  };
+  return vault;
+}
+
+/**
+ * Encrypt a vault with a passphrase
+ * @param {ReturnType<typeof createVault>} vault - Vault to save
+ * @param {string} passphrase - Passphrase (required)
+ * @returns {Promise<Blob>} - JSON file with the encrypted vault
+ */
+export async function encryptVault(vault, passphrase) {
+  if (!passphrase) throw new Error("A passphrase is required to save the vault");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+
+  const plaintext = new TextEncoder().encode(JSON.stringify({
+    document: vault.document,
+    createdAt: vault.createdAt,
+    entries: vault.entries,
+  }));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+
+  const file = {
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(ciphertext)),
+  };
+  return new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+}
+
+/**
+ * Decrypt a vault file
+ * @param {string} fileText - Content of the vault file
+ * @param {string} passphrase - Passphrase used when saving
+ * @returns {Promise<{document: string, createdAt: string, entries: Array}>}
+ */
+export async function decryptVault(fileText, passphrase) {
+  let file;
+  try {
+    file = JSON.parse(fileText);
+  } catch {
+    throw new Error("Vault file is not valid JSON");
+  }
+  if (file?.format !== VAULT_FORMAT) throw new Error("Not a re-identification vault file");
+  if (file.version !== VAULT_VERSION) throw new Error(`Unsupported vault version ${file.version}`);
+
+  const key = await deriveKey(passphrase, fromBase64(file.kdf.salt), file.kdf.iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(file.cipher.iv) }, key, fromBase64(file.data));
+  } catch {
+    throw new Error("Wrong passphrase or corrupted vault");
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,165 @@
+/**
+ * Word 97-2003 (.doc) text access via the piece table ([MS-DOC] FIB + Clx)
+ * Every character of the document is mapped back to its bytes in the WordDocument stream,
+ * so text can be overwritten in place without touching formatting (which is keyed by those offsets).
+ */
+
+import { openCompoundFile } from "./cfb.js";
+
+const WORD_IDENT = 0xa5ec;
+const MIN_NFIB = 0x00c1; // Word 97; Word 6/95 files use another layout
+const FC_CLX_INDEX = 33; // fcClx/lcbClx pair in FibRgFcLcb97
+
+// cp1252 bytes 0x80-0x9F used by "compressed" (8-bit) pieces
+const CP1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178,
+];
+
+// Control characters of the text stream and what they stand for in the flat text ("" = dropped)
+const SPECIAL_CHARS = {
+  0x0d: "\n", // paragraph mark
+  0x0b: "\n", // line break
+  0x0c: "\n", // page / section break
+  0x07: "\t", // table cell / row mark
+  0x09: "\t",
+  0x1e: "-", // non-breaking hyphen
+  0x1f: "", // optional hyphen
+  0x13: "", // field begin
+  0x14: "", // field separator
+  0x15: "", // field end
+  0x01: "", // picture
+  0x02: "", // auto-numbered footnote reference
+  0x05: "", // annotation reference
+  0x08: "", // drawn object
+};
+
+/**
+ * Parse a .doc file
+ * @param {ArrayBuffer} arrayBuffer - .doc file
+ * @returns {{cfb: ReturnType<typeof openCompoundFile>, wordDocument: Uint8Array, text: string, map: Array<{pos: number, compressed: boolean}>, fieldCode: boolean[]}}
+ *   text is the flat text of all stories; map[i] gives the byte position of text[i] in the WordDocument
+ *   stream; fieldCode[i] is true for characters of field instructions (between field begin and separator)
+ */
+export function readWordDocument(arrayBuffer) {
+  const cfb = openCompoundFile(arrayBuffer);
+  const wordDocument = cfb.readStream("WordDocument");
+  const view = new DataView(wordDocument.buffer, wordDocument.byteOffset, wordDocument.byteLength);
+
+  if (view.getUint16(0, true) !== WORD_IDENT) throw new Error("Not a Word document (bad FIB identifier)");
+  const nFib = view.getUint16(2, true);
+  if (nFib < MIN_NFIB) throw new Error("Word 6/95 documents are not supported, please re-save as .docx");
+  const flags = view.getUint16(0x0a, true);
+  if (flags & 0x0100) throw new Error("Encrypted Word documents are not supported");
+  const tableName = flags & 0x0200 ? "1Table" : "0Table";
+
+  // FibBase (32) + csw + fibRgW + cslw + fibRgLw + cbRgFcLcb + fibRgFcLcb
+  const csw = view.getUint16(32, true);
+  const lwStart = 34 + csw * 2;
+  const cslw = view.getUint16(lwStart, true);
+  const fcLcbStart = lwStart + 2 + cslw * 4 + 2;
+  const fcClx = view.getUint32(fcLcbStart + FC_CLX_INDEX * 8, true);
+  const lcbClx = view.getUint32(fcLcbStart + FC_CLX_INDEX * 8 + 4, true);
+  if (!lcbClx) throw new Error("Word document has no piece table");
+
+  const table = cfb.readStream(tableName);
+  const pieces = readPieceTable(table, fcClx, lcbClx);
+
+  let text = "";
+  const map = [];
+  const fieldCode = [];
+  const fieldStack = []; // true while inside the instruction part of a field
+
+  for (const { cpStart, cpEnd, fc, compressed } of pieces) {
+    for (let cp = cpStart; cp < cpEnd; cp++) {
+      const pos = compressed ? fc + (cp - cpStart) : fc + (cp - cpStart) * 2;
+      if (pos + (compressed ? 1 : 2) > wordDocument.length) break;
+      let code = compressed ? wordDocument[pos] : view.getUint16(pos, true);
+      if (compressed && code >= 0x80 && code <= 0x9f) code = CP1252_HIGH[code - 0x80];
+
+      if (code === 0x13) fieldStack.push(true);
+      else if (code === 0x14 && fieldStack.length) fieldStack[fieldStack.length - 1] = false;
+      else if (code === 0x15) fieldStack.pop();
+
+      const special = SPECIAL_CHARS[code];
+      const ch = special !== undefined ? special : String.fromCharCode(code);
+      if (!ch) continue;
+      text += ch;
+      map.push(special !== undefined ? null : { pos, compressed });
+      fieldCode.push(fieldStack.length > 0 && fieldStack[fieldStack.length - 1]);
+    }
+  }
+
+  return { cfb, wordDocument, text, map, fieldCode };
+}
+
+// Clx = Prc* Pcdt; Pcdt = 0x02, lcb, PlcPcd (n+1 CPs, n 8-byte PCDs)
+function readPieceTable(table, fcClx, lcbClx) {
+  const view = new DataView(table.buffer, table.byteOffset, table.byteLength);
+  let pos = fcClx;
+  const end = fcClx + lcbClx;
+
+  while (pos < end && table[pos] === 0x01) {
+    pos += 3 + view.getUint16(pos + 1, true); // Prc: skip the property modifiers
+  }
+  if (table[pos] !== 0x02) throw new Error("Corrupt Word document: piece table not found");
+  const lcb = view.getUint32(pos + 1, true);
+  const plcStart = pos + 5;
+  const count = (lcb - 4) / 12;
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const cpStart = view.getUint32(plcStart + i * 4, true);
+    const cpEnd = view.getUint32(plcStart + (i + 1) * 4, true);
+    const fcCompressed = view.getUint32(plcStart + (count + 1) * 4 + i * 8 + 2, true);
+    const compressed = (fcCompressed & 0x40000000) !== 0;
+    const fc = fcCompressed & 0x3fffffff;
+    pieces.push({ cpStart, cpEnd, fc: compressed ? fc / 2 : fc, compressed });
+  }
+  return pieces;
+}
+
+/**
+ * Visible text of a .doc file (field instructions left out)
+ * @param {ArrayBuffer} arrayBuffer - .doc file
+ * @returns {string}
+ */
+export function extractWordDocumentText(arrayBuffer) {
+  const { text, fieldCode } = readWordDocument(arrayBuffer);
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    if (!fieldCode[i]) out += text[i];
+  }
+  return out;
+}
+
+/**
+ * Overwrite characters of a parsed document in place
+ * Each replacement must have the length of its span; synthetic characters (paragraph marks,
+ * cell marks) are never written.
+ * @param {ReturnType<typeof readWordDocument>} doc - Parsed document
+ * @param {Array<{start: number, end: number, replacement: string}>} spans - Spans of doc.text
+ * @returns {Uint8Array} - The updated .doc file
+ */
+export function writeWordDocumentText(doc, spans) {
+  const { cfb, wordDocument, map } = doc;
+  const out = wordDocument.slice();
+
+  for (const { start, end, replacement } of spans) {
+    if (replacement.length !== end - start) throw new Error("Legacy .doc replacements must keep the original length");
+    for (let i = start; i < end; i++) {
+      const target = map[i];
+      if (!target) continue;
+      const code = replacement.charCodeAt(i - start);
+      if (target.compressed) {
+        out[target.pos] = code < 0x80 ? code : 0x3f; // "?" for characters cp1252 cannot hold losslessly
+      } else {
+        out[target.pos] = code & 0xff;
+        out[target.pos + 1] = code >> 8;
+      }
+    }
+  }
+
+  cfb.writeStream("WordDocument", out);
+  return cfb.toBytes();
+}
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generalizeDate, parseDate, shiftDate } from "../src/date-transform.js";
+
+test("abbreviated and accented month names are parsed", () => {
+  assert.equal(generalizeDate("5 Sept 2020", "month"), "Sept 2020");
+  assert.equal(generalizeDate("5 Sept 2020", "year"), "2020");
+  assert.equal(generalizeDate("12 Mär 2024", "month"), "Mär 2024");
+  assert.equal(generalizeDate("3 févr. 2021", "month"), "févr. 2021");
+  assert.equal(generalizeDate("Sept. 5, 2020", "month"), "Sept. 2020");
+  assert.equal(generalizeDate("Sept. 5, 2020", "year"), "2020");
+  assert.equal(shiftDate("12 Mär 2024", 1), "13 Mär 2024");
+  assert.deepEqual(
+    { year: parseDate("1 déc 2022").year, month: parseDate("1 déc 2022").month },
+    { year: 2022, month: 12 }
+  );
+});
+
+test("ages are generalized to 10-year bands with their unit", () => {
+  assert.equal(generalizeDate("42", "year"), "40-49");
+  assert.equal(generalizeDate("42 years", "year"), "40-49 years");
+  assert.equal(generalizeDate("42 Jahre", "year"), "40-49 Jahre");
+  assert.equal(generalizeDate("93 ans", "year"), "90+ ans");
+});
+
+test("unparsed dates are not mistaken for ages", () => {
+  assert.equal(generalizeDate("5 Sptember 2020", "month"), null);
+  assert.equal(generalizeDate("12 of March", "year"), null);
+  assert.equal(generalizeDate("5th", "year"), null);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importDetectionsFile, parseTypeMap } from "../src/detection-adapters.js";
+
+const text = "Jean Dupont, jean@dupont.fr, Paris";
+
+// One export per tool, each naming the person and the email address of `text`
+const FIXTURES = {
+  native: {
+    version: 1,
+    pii: [
+      { type: "NAME", value: "Jean Dupont", start: 0, end: 11 },
+      { type: "EMAIL", value: "jean@dupont.fr", start: 13, end: 27 },
+    ],
+  },
+  presidio: [
+    { entity_type: "PERSON", start: 0, end: 11, score: 0.85 },
+    { entity_type: "EMAIL_ADDRESS", start: 13, end: 27, score: 1.0 },
+  ],
+  spacy: {
+    text,
+    ents: [
+      { start: 0, end: 11, label: "PER" },
+      { start: 13, end: 27, label: "EMAIL" },
+    ],
+  },
+  comprehend: {
+    Entities: [
+      { Type: "NAME", BeginOffset: 0, EndOffset: 11, Score: 0.99 },
+      { Type: "EMAIL", BeginOffset: 13, EndOffset: 27, Score: 0.98, Text: "jean@dupont.fr" },
+    ],
+  },
+  dlp: {
+    result: {
+      findings: [
+        { infoType: { name: "PERSON_NAME" }, likelihood: "LIKELY", location: { codepointRange: { end: "11" } } },
+        { infoType: { name: "EMAIL_ADDRESS" }, likelihood: "VERY_LIKELY", quote: "jean@dupont.fr", location: { codepointRange: { start: "13", end: "27" } } },
+      ],
+    },
+  },
+  csv: "Entity Type;Text;Begin;End\nPERSON;;0;11\nEMAIL_ADDRESS;\"jean@dupont.fr\";13;27\n",
+};
+
+test("every supported format is recognised and mapped onto our types and values", () => {
+  for (const [format, fixture] of Object.entries(FIXTURES)) {
+    const fileText = typeof fixture === "string" ? fixture : JSON.stringify(fixture, null, 2);
+    const result = importDetectionsFile(fileText, { text });
+    assert.equal(result.format, format);
+    assert.equal(result.valid, true, format);
+    assert.deepEqual(result.errors, [], format);
+    assert.deepEqual(
+      result.detections.map(({ type, value, start, end }) => ({ type, value, start, end })),
+      [{ type: "NAME", value: "Jean Dupont", start: 0, end: 11 }, { type: "EMAIL", value: "jean@dupont.fr", start: 13, end: 27 }],
+      format
+    );
+  }
+});
+
+test("scores and sources are kept from the tool output", () => {
+  const presidio = importDetectionsFile(JSON.stringify(FIXTURES.presidio), { text });
+  assert.deepEqual(presidio.detections.map((d) => [d.score, d.source]), [[0.85, "presidio"], [1, "presidio"]]);
+  const dlp = importDetectionsFile(JSON.stringify(FIXTURES.dlp), { text });
+  assert.deepEqual(dlp.detections.map((d) => d.score), [0.7, 0.9]);
+});
+
+test("Presidio image results become regions", () => {
+  const result = importDetectionsFile(JSON.stringify([{ entity_type: "PERSON", left: 10, top: 20, width: 80, height: 12, score: 0.7 }]), { text });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.detections[0].bbox, { x: 10, y: 20, width: 80, height: 12 });
+});
+
+test("spaCy entities of another text are matched by value, not offset", () => {
+  const spacy = { text: "Dear Jean Dupont", ents: [{ start: 5, end: 16, label: "PER" }] };
+  const result = importDetectionsFile(JSON.stringify(spacy), { text });
+  assert.deepEqual(result.detections.map(({ value, start }) => ({ value, start })), [{ value: "Jean Dupont", start: undefined }]);
+  assert.deepEqual(result.warnings.map((w) => w.path), ["text"]);
+});
+
+test("a type map extends the default mapping", () => {
+  const typeMap = parseTypeMap('{"gpe": "CITY"}');
+  const result = importDetectionsFile(JSON.stringify([{ entity_type: "GPE", start: 29, end: 34 }]), { text, typeMap });
+  assert.deepEqual(result.detections.map(({ type, value }) => ({ type, value })), [{ type: "CITY", value: "Paris" }]);
+  assert.throws(() => parseTypeMap("[]"), /must be an object/);
+  assert.throws(() => parseTypeMap('{"GPE": ""}'), /must be a type name/);
+});
+
+// [name, file text, line of the first error]: each of these must block masking
+const INVALID = [
+  ["syntax error", '[\n  {"entity_type": "PERSON",\n  "start": 0 "end": 11}\n]', 3],
+  ["unknown format", JSON.stringify({ entities: [] }), 1],
+  ["Presidio offsets outside the text", JSON.stringify([{ entity_type: "PERSON", start: 0, end: 11 }, { entity_type: "PERSON", start: 30, end: 90 }], null, 2), 7],
+  ["Comprehend without a type", JSON.stringify({ Entities: [{ BeginOffset: 0, EndOffset: 11 }] }, null, 2), 3],
+  ["DLP finding without a quote or location", JSON.stringify({ findings: [{ infoType: { name: "PERSON_NAME" } }] }, null, 2), 3],
+  ["CSV score that is not a number", "type,value,score\nNAME,Jean Dupont,high\n", 2],
+  ["CSV without a type column", "value\nJean Dupont\n", 2],
+];
+
+test("invalid imports are not valid and point at the offending line", () => {
+  for (const [name, fileText, line] of INVALID) {
+    const result = importDetectionsFile(fileText, { text });
+    assert.equal(result.valid, false, name);
+    assert.equal(result.errors[0].line, line, name);
+  }
+});
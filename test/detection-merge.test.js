@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeDetections } from "../src/detection-merge.js";
+
+const text = "John Smith signed.";
+
+test("a nested value search is dropped for a longer value search", () => {
+  const { detections } = mergeDetections(
+    [
+      { source: "ner.json", detections: [{ type: "NAME", value: "John Smith" }] },
+      { source: "built-in", detections: [{ type: "NAME", value: "John" }] },
+    ],
+    { text }
+  );
+  assert.deepEqual(detections.map((d) => d.value), ["John Smith"]);
+});
+
+test("a value search nested in an anchored detection is kept", () => {
+  const { detections, conflicts } = mergeDetections(
+    [
+      { source: "ner.json", detections: [{ type: "NAME", value: "John Smith", start: 0, end: 10 }] },
+      { source: "built-in", detections: [{ type: "NAME", value: "Smith" }] },
+    ],
+    { text }
+  );
+  assert.deepEqual(detections.map((d) => d.value), ["John Smith", "Smith"]);
+  assert.deepEqual(conflicts, []);
+});
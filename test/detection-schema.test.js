@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatIssue, validateDetectionsFile } from "../src/detection-schema.js";
+
+const file = (pii, extra = {}) => JSON.stringify({ version: 1, ...extra, pii });
+
+// [name, file text, path of the error]: each of these must block masking
+const INVALID = [
+  ["not JSON", "{\"pii\": [", ""],
+  ["not an object", "[]", ""],
+  ["missing pii", JSON.stringify({ version: 1 }), ""],
+  ["pii not a list", JSON.stringify({ version: 1, pii: {} }), "pii"],
+  ["unsupported version", JSON.stringify({ version: 2, pii: [] }), "version"],
+  ["detection not an object", file(["a@b.de"]), "pii[0]"],
+  ["missing type", file([{ value: "a@b.de" }]), "pii[0]"],
+  ["empty type", file([{ type: " ", value: "a@b.de" }]), "pii[0].type"],
+  ["missing value", file([{ type: "EMAIL" }]), "pii[0]"],
+  ["value not a string", file([{ type: "PHONE", value: 301234 }]), "pii[0].value"],
+  ["empty value", file([{ type: "EMAIL", value: "" }]), "pii[0].value"],
+  ["score above 1", file([{ type: "EMAIL", value: "a@b.de", score: 1.5 }]), "pii[0].score"],
+  ["start without end", file([{ type: "EMAIL", value: "a@b.de", start: 3 }]), "pii[0].start"],
+  ["end before start", file([{ type: "EMAIL", value: "a@b.de", start: 9, end: 3 }]), "pii[0].end"],
+  ["negative start", file([{ type: "EMAIL", value: "a@b.de", start: -1, end: 3 }]), "pii[0].start"],
+  ["page 0", file([{ type: "EMAIL", value: "a@b.de", page: 0 }]), "pii[0].page"],
+  ["empty bbox", file([{ type: "NAME", bbox: [10, 10, 10, 20] }]), "pii[0].bbox"],
+  ["source not a string", file([{ type: "EMAIL", value: "a@b.de", source: 1 }]), "pii[0].source"],
+];
+
+test("invalid detections files are reported with the offending field", () => {
+  for (const [name, text, path] of INVALID) {
+    const result = validateDetectionsFile(text);
+    assert.equal(result.valid, false, name);
+    assert.deepEqual(result.errors.map((e) => e.path), [path], name);
+  }
+});
+
+test("issues carry the line of the field, or of its detection", () => {
+  const text = [
+    "{",
+    '  "version": 1,',
+    '  "pii": [',
+    '    {"type": "EMAIL", "value": "a@b.de"},',
+    '    {"type": "EMAIL",',
+    '     "score": 7},',
+    '    {"value": "Jean"}',
+    "  ]",
+    "}",
+  ].join("\n");
+  const { errors } = validateDetectionsFile(text);
+  assert.deepEqual(errors.map((e) => [e.line, e.path]), [[5, "pii[1]"], [6, "pii[1].score"], [7, "pii[2]"]]);
+  assert.equal(formatIssue(errors[1]), 'line 6, pii[1].score: "score" must be a number between 0 and 1');
+
+  assert.equal(validateDetectionsFile('{\n  "pii": [\n    {"type": "EMAIL",}\n  ]\n}').errors[0].line, 3);
+});
+
+test("valid detections are returned next to broken ones, and unknown fields only warn", () => {
+  const result = validateDetectionsFile(JSON.stringify({
+    pii: [
+      { type: "EMAIL", value: "a@b.de", start: 0, end: 6, score: 0.9, page: 1, source: "presidio", note: "x" },
+      { type: "NAME", bbox: { x: 10, y: 20, width: 30, height: 8 } },
+      { type: "PHONE" },
+    ],
+  }));
+  assert.equal(result.valid, false);
+  assert.equal(result.version, 1);
+  assert.deepEqual(result.detections.map((d) => d.type), ["EMAIL", "NAME"]);
+  assert.equal(result.detections[1].value, "");
+  assert.deepEqual(result.warnings.map((w) => w.path), ["", "pii[0].note"]);
+});
+
+test("a file without detections is valid but empty", () => {
+  const result = validateDetectionsFile(file([]));
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.detections, []);
+  assert.deepEqual(result.warnings, []);
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, PDFName, PDFRawStream, PDFString, decodePDFRawStream } from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist";
+import { maskPdf } from "../src/text-masker.js";
+
+const NAME = [{ type: "NAME", value: "Jean Dupont" }];
+
+// A page drawn from a raw content stream, with the given resources
+async function buildPdf(pages) {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const helvetica = context.register(context.obj({ Type: "Font", Subtype: "Type1", BaseFont: "Helvetica", Encoding: "WinAnsiEncoding" }));
+  for (const { content, resources = (refs) => ({ Font: { F1: refs.helvetica } }) } of pages) {
+    const page = doc.addPage([400, 400]);
+    page.node.set(PDFName.of("Resources"), context.obj(resources({ helvetica, context })));
+    page.node.set(PDFName.of("Contents"), context.register(context.stream(content)));
+  }
+  return doc.save({ useObjectStreams: false });
+}
+
+async function redact(bytes, detections = NAME) {
+  const { blob } = await maskPdf(bytes.slice().buffer, detections, "", "redact");
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Text items per page, as pdf.js extracts them
+async function textItems(bytes) {
+  const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const { items } = await (await pdf.getPage(i)).getTextContent();
+    pages.push(items.filter((item) => item.str.trim()));
+  }
+  await pdf.destroy();
+  return pages;
+}
+
+const pageText = (items) => items.map((item) => item.str).join(" ");
+
+// Every stream of the saved file, decoded, as a binary string
+async function decodedStreams(bytes) {
+  const doc = await PDFDocument.load(bytes);
+  return doc.context.enumerateIndirectObjects()
+    .filter(([, object]) => object instanceof PDFRawStream)
+    .map(([, stream]) => String.fromCharCode(...decodePDFRawStream(stream).decode()));
+}
+
+test("redacted glyphs are gone from the content and from every object written to the file", async () => {
+  const bytes = await buildPdf([{ content: "BT /F1 12 Tf 40 300 Td (Patient Jean Dupont signed) Tj ET" }]);
+  const redacted = await redact(bytes);
+
+  const [items] = await textItems(redacted);
+  assert.doesNotMatch(pageText(items), /Jean|Dupont/);
+  assert.match(pageText(items), /Patient/);
+  assert.match(pageText(items), /signed/);
+  // The replaced content stream is pruned, not left unreferenced in the file
+  for (const stream of await decodedStreams(redacted)) assert.ok(!stream.includes("Jean Dupont"), stream);
+});
+
+test("a TJ array with kerning keeps the remaining glyphs where they were", async () => {
+  const content = "BT /F1 12 Tf 40 300 Td [(Pat) -20 (ient J) 30 (ean Dup) 120 (ont) -250 (signed)] TJ ET";
+  const bytes = await buildPdf([{ content }]);
+  const [before] = await textItems(bytes);
+  const [after] = await textItems(await redact(bytes));
+
+  assert.doesNotMatch(pageText(after), /Jean|ean|Dup|ont/);
+  // The kept text starts and ends where it did: the removed glyphs were replaced by their advance
+  const x = (items, text) => items.find((item) => item.str.includes(text)).transform[4];
+  const end = (items) => Math.max(...items.map((item) => item.transform[4] + item.width));
+  assert.ok(Math.abs(x(after, "Pat") - x(before, "Pat")) < 0.01);
+  assert.ok(Math.abs(end(after) - end(before)) < 0.01, `${end(after)} vs ${end(before)}`);
+});
+
+test("a form XObject shared by two pages is redacted as a copy on the masked page only", async () => {
+  const form = ({ helvetica, context }) => context.register(context.stream("BT /F1 12 Tf 0 10 Td (Dr Jean Dupont) Tj ET", {
+    Type: "XObject",
+    Subtype: "Form",
+    BBox: [0, 0, 200, 40],
+    Resources: { Font: { F1: helvetica } },
+  }));
+  let shared = null;
+  const resources = (refs) => {
+    shared ??= form(refs);
+    return { Font: { F1: refs.helvetica }, XObject: { X1: shared } };
+  };
+  const bytes = await buildPdf([
+    { content: "q 1 0 0 1 40 300 cm /X1 Do Q", resources },
+    { content: "q 1 0 0 1 40 300 cm /X1 Do Q", resources },
+  ]);
+
+  const [page1, page2] = await textItems(await redact(bytes, [{ ...NAME[0], page: 1 }]));
+  assert.equal(pageText(page1), "Dr");
+  assert.equal(pageText(page2), "Dr Jean Dupont");
+});
+
+test("a Type0 font is read as two-byte codes", async () => {
+  const toUnicode = "/CIDInit /ProcSet findresource begin 12 dict begin begincmap /CMapName /Test def 1 begincodespacerange <0000> <FFFF> endcodespacerange 1 beginbfrange <0020> <007E> <0020> endbfrange endcmap CMapName currentdict /CMap defineresource pop end end";
+  const resources = ({ context }) => {
+    const cidFont = context.obj({
+      Type: "Font",
+      Subtype: "CIDFontType2",
+      BaseFont: "TestSans",
+      CIDSystemInfo: { Registry: PDFString.of("Adobe"), Ordering: PDFString.of("Identity"), Supplement: 0 },
+      FontDescriptor: {
+        Type: "FontDescriptor",
+        FontName: "TestSans",
+        Flags: 32,
+        FontBBox: [0, -200, 1000, 900],
+        ItalicAngle: 0,
+        Ascent: 800,
+        Descent: -200,
+        CapHeight: 700,
+        StemV: 80,
+      },
+      // Every glyph is 600 units wide: the redaction must step two bytes per glyph to agree
+      DW: 600,
+      CIDToGIDMap: "Identity",
+    });
+    const font = context.register(context.obj({
+      Type: "Font",
+      Subtype: "Type0",
+      BaseFont: "TestSans",
+      Encoding: "Identity-H",
+      DescendantFonts: [cidFont],
+      ToUnicode: context.register(context.stream(toUnicode)),
+    }));
+    return { Font: { F2: font } };
+  };
+  const hex = (text) => [...text].map((ch) => ch.charCodeAt(0).toString(16).padStart(4, "0")).join("");
+  const bytes = await buildPdf([{ content: `BT /F2 12 Tf 40 300 Td <${hex("Patient Jean Dupont signed")}> Tj ET`, resources }]);
+
+  const [items] = await textItems(await redact(bytes));
+  assert.doesNotMatch(pageText(items), /Jean|Dupont/);
+  assert.match(pageText(items), /Patient/);
+  assert.match(pageText(items), /signed/);
+});
@@ -0,0 +1,5 @@
+// Named exports of the pdfjs-dist legacy (Node) build, as the app imports them
+import pdfjs from "pdfjs-dist/legacy/build/pdf.js";
+
+export const { GlobalWorkerOptions, OPS, Util, getDocument, version } = pdfjs;
+export default pdfjs;
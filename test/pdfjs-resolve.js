@@ -0,0 +1,5 @@
+// Module resolution hook: "pdfjs-dist" → pdfjs-node.js
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "pdfjs-dist") return { url: new URL("./pdfjs-node.js", import.meta.url).href, shortCircuit: true };
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectPII, unionDetections } from "../src/pii-detector.js";
+
+// [text, type, value]: the value passes its checksum (and keyword) and is reported
+const VALID = [
+  ["IBAN DE89 3704 0044 0532 0130 00 on file", "IBAN", "DE89 3704 0044 0532 0130 00"],
+  ["IBAN GB82WEST12345698765432", "IBAN", "GB82WEST12345698765432"],
+  ["Card 4111 1111 1111 1111.", "CREDIT_CARD", "4111 1111 1111 1111"],
+  ["Card 5500-0000-0000-0004", "CREDIT_CARD", "5500-0000-0000-0004"],
+  ["NIR 2 69 05 49 588 157 80", "NATIONAL_ID", "2 69 05 49 588 157 80"],
+  ["NIR 1 85 05 2A 006 084 35", "NATIONAL_ID", "1 85 05 2A 006 084 35"],
+  ["DNI 12345678Z", "NATIONAL_ID", "12345678Z"],
+  ["NIE X1234567L", "NATIONAL_ID", "X1234567L"],
+  ["Steuer-ID: 86095742719", "NATIONAL_ID", "86095742719"],
+  ["BSN 111222333", "NATIONAL_ID", "111222333"],
+  ["geboren am 29.02.1984", "DATE_OF_BIRTH", "29.02.1984"],
+  ["born 12 March 1975", "DATE_OF_BIRTH", "12 March 1975"],
+  ["Tel. +49 30 12345678", "PHONE", "+49 30 12345678"],
+];
+
+// [text, type]: the value has the right shape but fails its checksum, keyword or calendar check
+const INVALID = [
+  ["IBAN DE88 3704 0044 0532 0130 00 on file", "IBAN"],
+  ["IBAN GB82WEST12345698765433", "IBAN"],
+  ["Card 4111 1111 1111 1112.", "CREDIT_CARD"],
+  ["NIR 2 69 05 49 588 157 81", "NATIONAL_ID"],
+  ["DNI 12345678A", "NATIONAL_ID"],
+  ["NIE X1234567A", "NATIONAL_ID"],
+  ["Steuer-ID: 86095742718", "NATIONAL_ID"],
+  ["Invoice 86095742719", "NATIONAL_ID"],
+  ["BSN 111222334", "NATIONAL_ID"],
+  ["Order 111222333", "NATIONAL_ID"],
+  ["geboren am 29.02.1983", "DATE_OF_BIRTH"],
+  ["Invoice date 12.03.1975", "DATE_OF_BIRTH"],
+  ["Due 01.02.2020", "PHONE"],
+];
+
+test("values that pass their checksum are detected", () => {
+  for (const [text, type, value] of VALID) {
+    assert.deepEqual(detectPII(text), [{ type, value }], text);
+  }
+});
+
+test("values that fail their checksum are not detected", () => {
+  for (const [text, type] of INVALID) {
+    assert.deepEqual(detectPII(text).filter((det) => det.type === type), [], text);
+  }
+});
+
+test("unionDetections keeps the first of each type/value and every distinct anchor", () => {
+  const cases = [
+    ["same type and value", [[{ type: "NAME", value: "Jean" }], [{ type: "NAME", value: "Jean" }]], 1],
+    ["surrounding whitespace", [[{ type: "NAME", value: "Jean" }], [{ type: "NAME", value: " Jean " }]], 1],
+    ["different type", [[{ type: "NAME", value: "Jean" }], [{ type: "LOCATION", value: "Jean" }]], 2],
+    ["different value", [[{ type: "NAME", value: "Jean" }, { type: "NAME", value: "Jeanne" }]], 2],
+    ["different offsets", [[{ type: "NAME", value: "Jean", start: 0 }, { type: "NAME", value: "Jean", start: 20 }]], 2],
+    ["same offsets", [[{ type: "NAME", value: "Jean", start: 0 }], [{ type: "NAME", value: "Jean", start: 0 }]], 1],
+    ["different pages", [[{ type: "NAME", value: "Jean", page: 1 }, { type: "NAME", value: "Jean", page: 2 }]], 2],
+    ["different boxes", [[{ type: "NAME", value: "Jean", bbox: [0, 0, 1, 1] }, { type: "NAME", value: "Jean", bbox: [0, 2, 1, 1] }]], 2],
+    ["anchored and unanchored", [[{ type: "NAME", value: "Jean" }, { type: "NAME", value: "Jean", page: 1 }]], 2],
+  ];
+  for (const [name, lists, count] of cases) {
+    const union = unionDetections(...lists);
+    assert.equal(union.length, count, name);
+    assert.equal(union[0], lists[0][0], name);
+  }
+});
@@ -0,0 +1,9 @@
+/**
+ * Test setup for node --test
+ * pdfjs-dist's default build is only importable by name from a bundler; under Node the
+ * modules get its legacy build instead.
+ */
+
+import { register } from "node:module";
+
+register("./pdfjs-resolve.js", import.meta.url);
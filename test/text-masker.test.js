@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { PDFDocument, StandardFonts, degrees } from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist";
+import { maskDocx, maskPdf } from "../src/text-masker.js";
+
+test("an anchored detection masks its body occurrence and every occurrence outside the body", async () => {
+  const zip = new JSZip();
+  zip.file("word/document.xml", `<w:document xmlns:w="w"><w:body><w:p><w:r><w:t>Smith met Smith.</w:t></w:r></w:p></w:body></w:document>`);
+  zip.file("word/header1.xml", `<w:hdr xmlns:w="w"><w:p><w:r><w:t>Dr Smith</w:t></w:r></w:p></w:hdr>`);
+  zip.file("word/comments.xml", `<w:comments xmlns:w="w"><w:comment><w:p><w:r><w:t>ask Smith</w:t></w:r></w:p></w:comment></w:comments>`);
+  zip.file("docProps/core.xml", `<cp:coreProperties xmlns:cp="cp" xmlns:dc="dc"><dc:title>Smith</dc:title></cp:coreProperties>`);
+  const detections = [{ type: "NAME", value: "Smith", start: 10, end: 15, occurrence: 1 }];
+
+  const { blob } = await maskDocx(await zip.generateAsync({ type: "arraybuffer" }), detections, { metadata: "mask", images: false });
+
+  const out = await JSZip.loadAsync(await blob.arrayBuffer());
+  const read = (path) => out.file(path).async("string");
+  assert.match(await read("word/document.xml"), />Smith met XXXXX\.</);
+  assert.match(await read("word/header1.xml"), />Dr XXXXX</);
+  assert.match(await read("word/comments.xml"), />ask XXXXX</);
+  assert.match(await read("docProps/core.xml"), /<dc:title>XXXXX<\/dc:title>/);
+});
+
+test("redacting rotated and skewed text keeps the glyphs next to the value", async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const page = doc.addPage([400, 400]);
+  page.drawText("Rotated Jean Dupont text", { x: 100, y: 100, size: 14, font, rotate: degrees(45) });
+  page.drawText("Skewed Jean Dupont text", { x: 20, y: 300, size: 14, font, xSkew: degrees(25) });
+  const bytes = await doc.save();
+
+  const { blob } = await maskPdf(bytes.buffer, [{ type: "NAME", value: "Jean Dupont" }], "", "redact");
+
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await blob.arrayBuffer()) }).promise;
+  const { items } = await (await pdf.getPage(1)).getTextContent();
+  const words = items.map((item) => item.str).join(" ").split(/\s+/).filter(Boolean);
+  await pdf.destroy();
+  assert.deepEqual(words, ["Rotated", "text", "Skewed", "text"]);
+});
+
+test("occurrences the locator misses are counted from the extracted text", async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([400, 400]).drawText("Patient Jean Dupont", { x: 20, y: 300, size: 12, font });
+  doc.addPage([400, 400]).drawText("Signed Jean Dupont", { x: 20, y: 300, size: 12, font });
+  const bytes = await doc.save();
+  // Page 1 as the detections saw it: the second occurrence is not in the PDF's text layer
+  const pages = ["Patient Jean Dupont, seen by Jean Dupont", "Signed Jean Dupont"];
+  const text = pages.join("\n\n");
+  const pageStarts = [0, pages[0].length + 2];
+
+  const { report } = await maskPdf(bytes.buffer, [{ type: "NAME", value: "Jean Dupont" }], text, "redact", { pageStarts });
+
+  assert.deepEqual(report.occurrences, [
+    { page: 1, type: "NAME", value: "Jean Dupont", expected: 2, masked: 1 },
+    { page: 2, type: "NAME", value: "Jean Dupont", expected: 1, masked: 1 },
+  ]);
+  assert.deepEqual(report.occurrences.filter((o) => o.masked < o.expected).map((o) => o.page), [1]);
+});
+
+test("an embedded image that could not be checked is reported as unlocated", async () => {
+  const zip = new JSZip();
+  zip.file("word/document.xml", `<w:document xmlns:w="w"><w:body><w:p><w:r><w:t>Jean Dupont</w:t></w:r></w:p></w:body></w:document>`);
+  // Not a decodable image: OCR cannot run on it
+  zip.file("word/media/image1.png", new Uint8Array([1, 2, 3]));
+  const docx = await zip.generateAsync({ type: "arraybuffer" });
+
+  const { report } = await maskDocx(docx, [{ type: "NAME", value: "Jean Dupont" }], { metadata: "keep" });
+  assert.deepEqual(report.images.map(({ path, status }) => ({ path, status })), [{ path: "word/media/image1.png", status: "failed" }]);
+  assert.deepEqual(report.unlocated.map(({ image }) => image), ["word/media/image1.png"]);
+
+  const { report: empty } = await maskDocx(docx, [], { metadata: "keep" });
+  assert.deepEqual(empty.images.map(({ status }) => status), ["skipped"]);
+  assert.deepEqual(empty.unlocated, []);
+});
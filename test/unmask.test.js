@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { maskDocx } from "../src/text-masker.js";
+import { unmaskDocx } from "../src/unmask.js";
+import { createVault } from "../src/vault.js";
+import { indexRuns } from "../src/openxml-edit.js";
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const WP = 'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"';
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+</Types>`;
+
+async function buildDocx() {
+  const zip = new JSZip();
+  zip.file("[Content_Types].xml", CONTENT_TYPES);
+  zip.file("word/document.xml", `<w:document ${W} ${WP}><w:body>
+<w:p><w:r><w:t xml:space="preserve">Patient Jean Dupont, mail </w:t></w:r><w:fldSimple w:instr="HYPERLINK &quot;mailto:jean@example.org&quot;"><w:r><w:t>jean@example.org</w:t></w:r></w:fldSimple></w:p>
+<w:p><w:r><w:drawing><wp:inline><wp:docPr id="1" name="Picture 1" descr="Photo of Jean Dupont"/></wp:inline></w:drawing></w:r></w:p>
+</w:body></w:document>`);
+  zip.file("word/header1.xml", `<w:hdr ${W}><w:p><w:r><w:t>Case file: Jean Dupont</w:t></w:r></w:p></w:hdr>`);
+  zip.file("docProps/core.xml", `<cp:coreProperties xmlns:cp="cp" xmlns:dc="dc"><dc:title>Report on Jean Dupont</dc:title></cp:coreProperties>`);
+  return zip.generateAsync({ type: "arraybuffer" });
+}
+
+async function readParts(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const read = (path) => zip.file(path).async("string");
+  return {
+    body: await read("word/document.xml"),
+    header: await read("word/header1.xml"),
+    core: await read("docProps/core.xml"),
+  };
+}
+
+test("a vault restores body, header, field instruction, alt text and properties", async () => {
+  const original = await buildDocx();
+  const detections = [{ type: "NAME", value: "Jean Dupont" }, { type: "EMAIL", value: "jean@example.org" }];
+  const vault = createVault("test.docx");
+  const { blob } = await maskDocx(original, detections, { metadata: "mask", images: false, vault });
+
+  const masked = await readParts(await blob.arrayBuffer());
+  for (const xml of Object.values(masked)) {
+    assert.ok(!xml.includes("Jean Dupont") && !xml.includes("jean@example.org"), xml);
+  }
+
+  const { blob: restoredBlob, report } = await unmaskDocx(await blob.arrayBuffer(), vault);
+  assert.deepEqual(report.skipped, []);
+  const restored = await readParts(await restoredBlob.arrayBuffer());
+  const expected = await readParts(original);
+  assert.equal(indexRuns(restored.body).text, indexRuns(expected.body).text);
+  assert.equal(indexRuns(restored.header).text, indexRuns(expected.header).text);
+  assert.match(restored.body, /descr="Photo of Jean Dupont"/);
+  assert.match(restored.body, /w:instr="HYPERLINK &quot;mailto:jean@example.org&quot;"/);
+  assert.equal(restored.core, expected.core);
+});
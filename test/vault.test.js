@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createVault, decryptVault, encryptVault } from "../src/vault.js";
+
+async function savedVault(passphrase) {
+  const vault = createVault("report.docx");
+  vault.record({ part: "word/document.xml", offset: 8, original: "Jean Dupont", replacement: "XXXXXXXXXXX", type: "NAME" });
+  vault.record({ part: "docProps/core.xml", field: "dc:creator", original: "Jean Dupont", replacement: "" });
+  return { vault, fileText: await (await encryptVault(vault, passphrase)).text() };
+}
+
+// Flip one bit of a base64 field of the vault file
+function tamper(fileText, path) {
+  const file = JSON.parse(fileText);
+  const [object, key] = path;
+  const target = object ? file[object] : file;
+  const bytes = Uint8Array.from(atob(target[key]), (c) => c.charCodeAt(0));
+  bytes[bytes.length - 1] ^= 1;
+  target[key] = btoa(String.fromCharCode(...bytes));
+  return JSON.stringify(file);
+}
+
+test("a vault decrypts with its passphrase and keeps no plaintext in the file", async () => {
+  const { vault, fileText } = await savedVault("correct horse");
+  assert.ok(!fileText.includes("Jean Dupont"));
+
+  const decrypted = await decryptVault(fileText, "correct horse");
+  assert.equal(decrypted.document, "report.docx");
+  assert.deepEqual(decrypted.entries, vault.entries);
+});
+
+test("a wrong passphrase is rejected", async () => {
+  const { fileText } = await savedVault("correct horse");
+  await assert.rejects(decryptVault(fileText, "wrong horse"), /Wrong passphrase or corrupted vault/);
+  await assert.rejects(decryptVault(fileText, ""), /Wrong passphrase or corrupted vault/);
+});
+
+test("tampered ciphertext, nonce or salt is rejected", async () => {
+  const { fileText } = await savedVault("correct horse");
+  for (const path of [[null, "data"], ["cipher", "iv"], ["kdf", "salt"]]) {
+    await assert.rejects(decryptVault(tamper(fileText, path), "correct horse"), /Wrong passphrase or corrupted vault/, path.join("."));
+  }
+});
+
+test("a vault is not saved without a passphrase and other files are not read as vaults", async () => {
+  await assert.rejects(encryptVault(createVault("report.docx"), ""), /passphrase is required/);
+  await assert.rejects(decryptVault("{", "x"), /not valid JSON/);
+  await assert.rejects(decryptVault(JSON.stringify({ format: "other" }), "x"), /Not a re-identification vault/);
+});
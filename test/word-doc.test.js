@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openCompoundFile } from "../src/cfb.js";
+import { extractWordDocumentText, readWordDocument } from "../src/word-doc.js";
+import { maskDoc } from "../src/text-masker.js";
+
+const SECTOR = 512;
+const MINI_SECTOR = 64;
+const FREESECT = 0xffffffff;
+const ENDOFCHAIN = 0xfffffffe;
+const FATSECT = 0xfffffffd;
+const NOSTREAM = 0xffffffff;
+
+// An 8-bit (cp1252) piece, then a UTF-16 piece with a HYPERLINK field
+const PIECES = [
+  { text: "Contact John Smith\r", fc: 1024, compressed: true },
+  { text: "Email: jo@x.de \x13 HYPERLINK \"mailto:jo@x.de\" \x14jo@x.de\x15\rCafé Müller\r", fc: 2048, compressed: false },
+];
+
+// WordDocument is 8 regular sectors chained out of order; 1Table is 2 mini sectors, also out of order
+const WORD_SECTORS = [2, 6, 3, 7, 4, 8, 5, 9];
+const FAT_SECTOR = 0;
+const DIR_SECTOR = 1;
+const MINI_FAT_SECTOR = 10;
+const MINI_STREAM_SECTOR = 11;
+const TABLE_MINI_SECTORS = [1, 0];
+
+const sectorOffset = (sector) => (sector + 1) * SECTOR;
+
+function buildWordDocumentStream() {
+  const stream = new Uint8Array(WORD_SECTORS.length * SECTOR);
+  const view = new DataView(stream.buffer);
+  view.setUint16(0, 0xa5ec, true); // wIdent
+  view.setUint16(2, 0xc1, true); // nFib: Word 97
+  view.setUint16(0x0a, 0x0200, true); // fWhichTblStm: 1Table
+  view.setUint16(32, 14, true); // csw
+  view.setUint16(62, 22, true); // cslw
+  view.setUint16(152, 93, true); // cbRgFcLcb
+  view.setUint32(154 + 33 * 8, 0, true); // fcClx
+  view.setUint32(154 + 33 * 8 + 4, 33, true); // lcbClx
+  for (const { text, fc, compressed } of PIECES) {
+    for (let i = 0; i < text.length; i++) {
+      if (compressed) stream[fc + i] = text.charCodeAt(i);
+      else view.setUint16(fc + i * 2, text.charCodeAt(i), true);
+    }
+  }
+  return stream;
+}
+
+function buildTableStream() {
+  const stream = new Uint8Array(100);
+  const view = new DataView(stream.buffer);
+  stream[0] = 0x02; // Pcdt
+  view.setUint32(1, 4 * (PIECES.length + 1) + 8 * PIECES.length, true);
+  let cp = 0;
+  PIECES.forEach(({ text, fc, compressed }, i) => {
+    view.setUint32(5 + i * 4, cp, true);
+    cp += text.length;
+    view.setUint32(5 + (PIECES.length + 1) * 4 + i * 8 + 2, compressed ? (fc * 2) | 0x40000000 : fc, true);
+  });
+  view.setUint32(5 + PIECES.length * 4, cp, true);
+  return stream;
+}
+
+// A minimal compound file holding the two streams
+function buildDoc() {
+  const file = new Uint8Array(SECTOR * 13);
+  const view = new DataView(file.buffer);
+  [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1].forEach((b, i) => (file[i] = b));
+  view.setUint16(0x18, 0x3e, true);
+  view.setUint16(0x1a, 3, true);
+  view.setUint16(0x1c, 0xfffe, true);
+  view.setUint16(0x1e, 9, true); // 512-byte sectors
+  view.setUint16(0x20, 6, true); // 64-byte mini sectors
+  view.setUint32(0x2c, 1, true); // FAT sectors
+  view.setUint32(0x30, DIR_SECTOR, true);
+  view.setUint32(0x38, 4096, true); // mini stream cutoff
+  view.setUint32(0x3c, MINI_FAT_SECTOR, true);
+  view.setUint32(0x40, 1, true);
+  view.setUint32(0x44, ENDOFCHAIN, true); // no DIFAT sectors
+  for (let i = 0; i < 109; i++) view.setUint32(0x4c + i * 4, i === 0 ? FAT_SECTOR : FREESECT, true);
+
+  const fat = new Array(SECTOR / 4).fill(FREESECT);
+  fat[FAT_SECTOR] = FATSECT;
+  fat[DIR_SECTOR] = ENDOFCHAIN;
+  WORD_SECTORS.forEach((sector, i) => (fat[sector] = WORD_SECTORS[i + 1] ?? ENDOFCHAIN));
+  fat[MINI_FAT_SECTOR] = ENDOFCHAIN;
+  fat[MINI_STREAM_SECTOR] = ENDOFCHAIN;
+  fat.forEach((next, i) => view.setUint32(sectorOffset(FAT_SECTOR) + i * 4, next, true));
+
+  const miniFat = new Array(SECTOR / 4).fill(FREESECT);
+  TABLE_MINI_SECTORS.forEach((sector, i) => (miniFat[sector] = TABLE_MINI_SECTORS[i + 1] ?? ENDOFCHAIN));
+  miniFat.forEach((next, i) => view.setUint32(sectorOffset(MINI_FAT_SECTOR) + i * 4, next, true));
+
+  const entry = (index, name, type, { left = NOSTREAM, right = NOSTREAM, child = NOSTREAM, start = 0, size = 0 }) => {
+    const base = sectorOffset(DIR_SECTOR) + index * 128;
+    for (let i = 0; i < name.length; i++) view.setUint16(base + i * 2, name.charCodeAt(i), true);
+    view.setUint16(base + 64, (name.length + 1) * 2, true);
+    file[base + 66] = type;
+    view.setUint32(base + 68, left, true);
+    view.setUint32(base + 72, right, true);
+    view.setUint32(base + 76, child, true);
+    view.setUint32(base + 116, start, true);
+    view.setUint32(base + 120, size, true);
+  };
+  const wordDocument = buildWordDocumentStream();
+  const table = buildTableStream();
+  entry(0, "Root Entry", 5, { child: 1, start: MINI_STREAM_SECTOR, size: TABLE_MINI_SECTORS.length * MINI_SECTOR });
+  entry(1, "WordDocument", 2, { left: 2, start: WORD_SECTORS[0], size: wordDocument.length });
+  entry(2, "1Table", 2, { start: TABLE_MINI_SECTORS[0], size: table.length });
+
+  WORD_SECTORS.forEach((sector, i) => file.set(wordDocument.subarray(i * SECTOR, (i + 1) * SECTOR), sectorOffset(sector)));
+  TABLE_MINI_SECTORS.forEach((miniSector, i) => {
+    const part = table.subarray(i * MINI_SECTOR, (i + 1) * MINI_SECTOR);
+    file.set(part, sectorOffset(MINI_STREAM_SECTOR) + miniSector * MINI_SECTOR);
+  });
+  return { file, wordDocument, table };
+}
+
+// File offset of a WordDocument stream position
+const wordDocumentOffset = (pos) => sectorOffset(WORD_SECTORS[Math.floor(pos / SECTOR)]) + (pos % SECTOR);
+
+test("streams are read through the FAT and miniFAT chains", () => {
+  const { file, wordDocument, table } = buildDoc();
+  const cfb = openCompoundFile(file);
+  assert.deepEqual(cfb.entries.map(({ path }) => path).sort(), ["1Table", "WordDocument"]);
+  assert.deepEqual(cfb.readStream("WordDocument"), wordDocument);
+  assert.deepEqual(cfb.readStream("1Table"), table);
+  assert.throws(() => cfb.writeStream("1Table", new Uint8Array(99)), /must stay 100 bytes/);
+});
+
+test("a sector chain that loops is reported as corrupt", () => {
+  const { file } = buildDoc();
+  // The last WordDocument sector points back to the first
+  new DataView(file.buffer).setUint32(sectorOffset(FAT_SECTOR) + WORD_SECTORS.at(-1) * 4, WORD_SECTORS[0], true);
+  assert.throws(() => openCompoundFile(file).readStream("WordDocument"), /broken sector chain/);
+});
+
+test("the piece table maps 8-bit and UTF-16 pieces and marks field instructions", () => {
+  const { file } = buildDoc();
+  const doc = readWordDocument(file.buffer);
+  assert.equal(doc.text, "Contact John Smith\nEmail: jo@x.de  HYPERLINK \"mailto:jo@x.de\" jo@x.de\nCafé Müller\n");
+  assert.equal(extractWordDocumentText(file.buffer), "Contact John Smith\nEmail: jo@x.de jo@x.de\nCafé Müller\n");
+  // Character positions point at their bytes in the WordDocument stream
+  const smith = doc.text.indexOf("Smith");
+  assert.deepEqual(doc.map[smith], { pos: 1024 + "Contact John ".length, compressed: true });
+  const muller = doc.text.indexOf("Müller");
+  assert.deepEqual(doc.map[muller], { pos: 2048 + PIECES[1].text.indexOf("Müller") * 2, compressed: false });
+});
+
+test("masking a .doc rewrites the masked characters in place and no other byte", async () => {
+  const { file } = buildDoc();
+  const original = readWordDocument(file.buffer);
+  const detections = [{ type: "NAME", value: "John Smith" }, { type: "EMAIL", value: "jo@x.de" }, { type: "NAME", value: "Müller" }];
+
+  const blob = await maskDoc(file.slice().buffer, detections);
+  const masked = new Uint8Array(await blob.arrayBuffer());
+
+  const text = readWordDocument(masked.buffer).text;
+  assert.equal(text, "Contact XXXX XXXXX\nEmail: XXXXXXX  HYPERLINK \"mailto:XXXXXXX\" XXXXXXX\nCafé XXXXXX\n");
+
+  // Bytes the masked characters occupy; everything else, 1Table and the FAT included, must be identical
+  const allowed = new Set();
+  for (const { value } of detections) {
+    for (let start = original.text.indexOf(value); start !== -1; start = original.text.indexOf(value, start + 1)) {
+      for (let i = start; i < start + value.length; i++) {
+        const { pos, compressed } = original.map[i];
+        allowed.add(wordDocumentOffset(pos));
+        if (!compressed) allowed.add(wordDocumentOffset(pos + 1));
+      }
+    }
+  }
+  assert.equal(masked.length, file.length);
+  const changed = [...file.keys()].filter((offset) => masked[offset] !== file[offset]);
+  assert.ok(changed.length > 0);
+  assert.deepEqual(changed.filter((offset) => !allowed.has(offset)), []);
+});